@@ -3,7 +3,9 @@
  *
  * This file contains all of the client‑side logic for the Student Marketplace.
  * It leverages Supabase as a backend for authentication, real‑time database
- * operations, storage and row‑level subscriptions.  The app is deliberately
+ * operations, storage and row‑level subscriptions, reached through the data
+ * access layer in data/ so that an in‑memory backend can stand in for
+ * Supabase when working offline.  The app is deliberately
  * built using vanilla JavaScript and Tailwind CSS to keep the codebase
  * accessible to learners without requiring a complex build pipeline.  Each
  * page is defined as an HTML template in index.html and is rendered
@@ -11,19 +13,80 @@
  */
 
 import { config } from './config.js';
-import { createClient } from 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2.39.0/+esm';
+import { createDataStore } from './data/index.js';
+import { parseSearchQuery, findMatchRanges, makeSnippet, listingMatchesCriteria } from './search.js';
+import { LISTING_STATUS_LABELS, REVIEW_STATUSES, listingStatus, listingExpiryDate } from './listing-status.js';
+import { processListingPhoto } from './image-processing.js';
+import { parseIsbn, isbnFromQuery } from './isbn.js';
+import { lookupTextbook } from './data/textbook-catalog.js';
+import { normalizeCourseCode, parseCourseCodes, courseCodeSlug, MAX_COURSE_CODES } from './course-codes.js';
+import { emailDomain, findSchoolByEmail, findSchoolByName, validateSchool } from './schools.js';
+import {
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  AUDIT_ACTIONS,
+  APPEAL_STATUSES,
+  reportCategoryLabel,
+  accountRestriction,
+  describeRestriction,
+} from './moderation.js';
+import {
+  saveLocalDraft,
+  listLocalDrafts,
+  removeLocalDraft,
+  toRemoteDraft,
+  mergeDrafts,
+} from './listing-drafts.js';
+import {
+  parseListingFile,
+  validateListingRecord,
+  formatListingFile,
+  MAX_IMPORT_ROWS,
+  LISTING_CATEGORIES,
+} from './listing-import.js';
+import { SCREENING_RULE_TYPES, describeRule, validateScreeningRule } from './screening.js';
+import { RATE_LIMITED_ACTIONS, isRateLimitError, describeRateLimit } from './rate-limits.js';
+import { findSimilarListings } from './listing-similarity.js';
 
-// Initialise the Supabase client using the project URL and anon key.  See
-// config.js for configuration values.
-const supabase = createClient(config.supabaseUrl, config.supabaseAnonKey);
+// Initialise the data store selected in config.js ('supabase' or
+// 'memory').  Every page reads and writes through this object rather than
+// a backend client directly.
+const db = await createDataStore(config);
 
 // Application state.  These variables are updated throughout the app and
 // reference the currently authenticated user, any real‑time subscriptions and
 // cached data such as saved listings.
-let currentUser = null;        // supabase.auth.User object
+let currentUser = null;        // authenticated user from db.auth
 let userProfile = null;        // row from users table
 let savedListingIds = new Set(); // IDs of listings saved by the current user
+let blockedUserIds = new Set(); // IDs of users the current user has blocked
 let currentChatSubscription = null; // active realtime subscription for chat
+let savedSearches = [];        // saved marketplace queries of the current user
+let schoolDirectory = [];      // rows of the schools table, by name
+let searchAlertSubscription = null; // realtime feed of new listings for alerts
+let unreadMessageCount = 0;    // messages received but not yet read
+let unreadSubscription = null; // realtime feed keeping the unread count current
+// Course codes per school for autocomplete, as pending
+// db.listings.listCourseCodes() results.  See fillCourseCodeOptions().
+const courseCodeOptions = new Map();
+// Set by a page with work that would be lost by navigating away: { hash,
+// hasUnsavedChanges(), save(), message }.  See handleRoute().
+let pageLeaveGuard = null;
+
+// Number of listing cards fetched per page on the marketplace grid.
+const LISTINGS_PAGE_SIZE = 24;
+
+// Shortest password Supabase Auth accepts by default.
+const MIN_PASSWORD_LENGTH = 6;
+
+// Private storage bucket for photos attached to chat messages.  Objects
+// are stored under the conversation ID and only its participants can
+// read them (see the README).
+const CHAT_ATTACHMENT_BUCKET = 'chat-attachments';
+
+// Public storage bucket holding listing photos and their thumbnails, stored
+// under the listing ID.
+const LISTING_IMAGE_BUCKET = 'listing-images';
 
 /**
  * Toggle visibility between the static home landing content and the dynamic
@@ -79,34 +142,441 @@ function showNotification(message, type = 'info') {
 }
 
 /**
- * Check whether the supplied email address appears to be a valid Canadian
- * student email.  We simply require the domain to end in `.ca`.  You can
- * refine this check to match specific institutions if desired.
+ * Utility: Delete listing photos from storage by their public URLs.  URLs
+ * that don't point into the listing image bucket, such as the placeholders
+ * in the demo data, are skipped.
+ *
+ * @param {string[]} urls Photo and thumbnail URLs no longer in use
+ * @returns {Promise<{data: any, error: object|null}>} Result of the removal
+ */
+async function removeListingPhotos(urls) {
+  const paths = urls
+    .map((url) => db.storage.getPathFromUrl(LISTING_IMAGE_BUCKET, url))
+    .filter(Boolean);
+  if (paths.length === 0) return { data: null, error: null };
+  return db.storage.remove(LISTING_IMAGE_BUCKET, paths);
+}
+
+/**
+ * Utility: Offer text to the user as a file download.
+ *
+ * @param {string} filename Suggested file name
+ * @param {string} contents File contents
+ * @param {string} type     MIME type
+ */
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Utility: Show an image full size in a lightbox overlay.  Clicking
+ * anywhere or pressing Escape closes it.
+ *
+ * @param {string} url    Image URL
+ * @param {string} [alt]  Alternative text
+ */
+function showImageLightbox(url, alt = '') {
+  const overlay = document.createElement('div');
+  overlay.className = 'lightbox';
+  const img = document.createElement('img');
+  img.src = url;
+  img.alt = alt;
+  overlay.appendChild(img);
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKey);
+  };
+  const onKey = (e) => {
+    if (e.key === 'Escape') close();
+  };
+  overlay.addEventListener('click', close);
+  document.addEventListener('keydown', onKey);
+  document.body.appendChild(overlay);
+}
+
+/**
+ * Utility: Check a file chosen as a chat attachment against the limits in
+ * config.chatAttachments.
+ *
+ * @param {File} file The chosen file
+ * @returns {string|null} A message describing the problem, or null if valid
+ */
+function validateChatAttachment(file) {
+  const limits = config.chatAttachments || {};
+  const allowedTypes = limits.allowedTypes || ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+  const maxSizeMB = limits.maxFileSizeMB || 5;
+  if (!allowedTypes.includes(file.type)) {
+    return `${file.name} isn't a supported image (JPEG, PNG, WebP or GIF).`;
+  }
+  if (file.size > maxSizeMB * 1024 * 1024) {
+    return `${file.name} is larger than ${maxSizeMB} MB.`;
+  }
+  return null;
+}
+
+/**
+ * Utility: Fill an element with text, wrapping words that match the search
+ * tokens in <mark> elements.  Text is inserted as text nodes so listing
+ * content can never inject markup.
+ *
+ * @param {HTMLElement} el   Element to populate (existing content is replaced)
+ * @param {string} text      Text to display
+ * @param {string[]} tokens  Query tokens from parseSearchQuery()
+ */
+function setHighlightedText(el, text, tokens) {
+  el.textContent = '';
+  const value = text || '';
+  let pos = 0;
+  findMatchRanges(value, tokens).forEach(([start, end]) => {
+    el.appendChild(document.createTextNode(value.slice(pos, start)));
+    const mark = document.createElement('mark');
+    mark.className = 'search-highlight';
+    mark.textContent = value.slice(start, end);
+    el.appendChild(mark);
+    pos = end;
+  });
+  el.appendChild(document.createTextNode(value.slice(pos)));
+}
+
+/**
+ * Load the school directory into the global schoolDirectory array.  Sign
+ * up, the school pickers and the marketplace filter all read from it.
+ */
+async function loadSchools() {
+  const { data, error } = await db.schools.list();
+  if (!error && data) {
+    schoolDirectory = data;
+  }
+}
+
+/**
+ * Load the signed‑in user's row from the users table, creating it on first
+ * sign‑in.  With email confirmation on, sign‑up returns no session, so
+ * the row is made from the metadata saved at sign‑up the first time the
+ * confirmed user signs in.  The school always comes from the email
+ * address, as the users insert policy requires.  When the user has
+ * confirmed a new email address, the row follows it (and the school its
+ * domain belongs to).
+ *
+ * @param {object} user Authenticated user from db.auth
+ * @returns {Promise<object|null>} The user's profile
+ */
+async function loadUserProfile(user) {
+  const { data: profile } = await db.users.get(user.id);
+  const school = findSchoolByEmail(schoolDirectory, user.email);
+  if (!profile) {
+    const metadata = user.user_metadata || {};
+    const { data: created, error } = await db.users.create({
+      id: user.id,
+      email: user.email,
+      full_name: metadata.full_name || '',
+      school_name: school?.name || metadata.school_name || null,
+      program_name: metadata.program_name || null,
+      is_admin: false,
+      blocked: false,
+      rating_sum: 0,
+      rating_count: 0,
+    });
+    if (!error) return created;
+    // Another tab (or the startup load) got there first
+    const { data: existing } = await db.users.get(user.id);
+    return existing;
+  }
+  if (profile.email !== user.email) {
+    const changes = { email: user.email };
+    if (school) changes.school_name = school.name;
+    const { data: updated } = await db.users.update(user.id, changes);
+    if (updated) return updated;
+  }
+  return profile;
+}
+
+/**
+ * Utility: The address auth emails (reset links, sign‑in links, email
+ * change confirmations) send the user back to: this page, without its hash.
+ * It must be in the Supabase project's redirect allow list.
+ *
+ * @returns {string} Redirect URL
+ */
+function authRedirectUrl() {
+  return `${window.location.origin}${window.location.pathname}`;
+}
+
+/**
+ * Utility: Check a new password and its confirmation.
+ *
+ * @param {string} password New password
+ * @param {string} confirmation The same password typed again
+ * @returns {string|null} What's wrong, or null when it can be used
+ */
+function passwordProblem(password, confirmation) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (password !== confirmation) return "The passwords don't match.";
+  return null;
+}
+
+/**
+ * Utility: Turn a school name as typed or stored (including aliases such
+ * as "UofT") into the directory's canonical name.  Names the directory
+ * doesn't know are returned trimmed, so older data keeps working.
+ *
+ * @param {string|null} name School name
+ * @returns {string} Canonical school name
+ */
+function canonicalSchoolName(name) {
+  const school = findSchoolByName(schoolDirectory, name);
+  return school ? school.name : (name || '').trim();
+}
+
+/**
+ * Fill a <select> with the schools in the directory.  A selected name the
+ * directory doesn't know (a profile or listing from before the directory
+ * existed) is kept as an extra option so saving doesn't silently change it.
  *
- * @param {string} email The email address to validate
- * @returns {boolean} Whether the email seems valid
+ * @param {HTMLSelectElement} select    The select to fill
+ * @param {string|null} selected        School to select
+ * @param {string} [emptyLabel]         Label of a leading option with an
+ *   empty value, e.g. 'All schools'
  */
-function validStudentEmail(email) {
-  const parts = (email || '').split('@');
-  if (parts.length !== 2) return false;
-  const domain = parts[1].toLowerCase();
-  return domain.endsWith('.ca');
+function fillSchoolSelect(select, selected, emptyLabel = 'Choose your school') {
+  const current = canonicalSchoolName(selected);
+  select.innerHTML = '';
+  const names = schoolDirectory.map((school) => school.name);
+  if (current && !names.includes(current)) names.push(current);
+  [['', emptyLabel], ...names.map((name) => [name, name])].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = current;
 }
 
 /**
- * Parse the URL hash into a route and optional ID.  We use a simple
- * convention: #/route/id.  For example, #/listing/123 will parse to
- * ['listing', '123'] and #/new-listing will parse to ['new-listing', null].
+ * Parse the URL hash into a route, optional ID and query parameters.  We
+ * use a simple convention: #/route/id?key=value.  For example,
+ * #/listing/123 will parse to ['listing', '123', {}] and
+ * #/marketplace?category=textbooks to ['marketplace', null, {category}].
+ * Routes addressed by two segments, like #/course/<school>/<code>, get the
+ * second one as a fourth element.
  *
- * @returns {[string, string|null]} An array containing the route and id
+ * @returns {[string, string|null, URLSearchParams, string|null]} The route,
+ *   id, params and sub‑id
  */
 function parseHash() {
   let hash = window.location.hash || '#/home';
   hash = hash.replace(/^#\/?/, '');
-  const parts = hash.split('/').filter(Boolean);
+  const queryStart = hash.indexOf('?');
+  const path = queryStart === -1 ? hash : hash.slice(0, queryStart);
+  const params = new URLSearchParams(queryStart === -1 ? '' : hash.slice(queryStart + 1));
+  const parts = path.split('/').filter(Boolean);
   const route = parts[0] || 'home';
   const id = parts.length > 1 ? parts[1] : null;
-  return [route, id];
+  const subId = parts.length > 2 ? parts[2] : null;
+  return [route, id, params, subId];
+}
+
+/**
+ * Build a hash URL in the format understood by parseHash().  Empty
+ * parameters are left out so links stay short.
+ *
+ * @param {string} route           Route name, e.g. 'marketplace'
+ * @param {string|null} [id]       Optional ID segment
+ * @param {object} [params]        Query parameters
+ * @returns {string} e.g. '#/marketplace?category=textbooks'
+ */
+function buildHash(route, id = null, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') query.set(key, value);
+  });
+  const queryString = query.toString();
+  return `#/${route}${id ? `/${id}` : ''}${queryString ? `?${queryString}` : ''}`;
+}
+
+// Marketplace filters and the query parameter each one is kept under in
+// the URL, e.g. #/marketplace?category=textbooks&school=UofT&max=0 for
+// "all free textbooks at UofT".
+const MARKETPLACE_URL_PARAMS = {
+  searchTerm: 'q',
+  category: 'category',
+  school: 'school',
+  program: 'program',
+  courseCode: 'course',
+  minPrice: 'min',
+  maxPrice: 'max',
+  sort: 'sort',
+  status: 'status',
+};
+
+/**
+ * Read marketplace filters from URL query parameters.  Values are
+ * returned as strings ready to put into the filter inputs; missing
+ * parameters become empty strings and non‑numeric prices are dropped.
+ *
+ * @param {URLSearchParams} params Parameters from parseHash()
+ * @returns {object} Filters keyed like MARKETPLACE_URL_PARAMS
+ */
+function marketplaceFiltersFromParams(params) {
+  const filters = {};
+  Object.entries(MARKETPLACE_URL_PARAMS).forEach(([key, param]) => {
+    filters[key] = (params.get(param) || '').trim();
+  });
+  ['minPrice', 'maxPrice'].forEach((key) => {
+    if (filters[key] && isNaN(parseFloat(filters[key]))) filters[key] = '';
+  });
+  // Links shared before the school directory may use another name
+  filters.school = filters.school ? canonicalSchoolName(filters.school) : '';
+  return filters;
+}
+
+/**
+ * Build the shareable marketplace URL for a set of filters.  The default
+ * sort (newest) and visibility (available) are omitted.
+ *
+ * @param {object} filters Filters keyed like MARKETPLACE_URL_PARAMS
+ * @returns {string} Hash URL for the marketplace route
+ */
+function marketplaceHash(filters) {
+  const params = {};
+  Object.entries(MARKETPLACE_URL_PARAMS).forEach(([key, param]) => {
+    params[param] = filters[key];
+  });
+  if (params.sort === 'newest') params.sort = '';
+  if (params.status === 'available') params.status = '';
+  return buildHash('marketplace', null, params);
+}
+
+/**
+ * Summarise saved search criteria in a short human readable line, e.g.
+ * “"calculus" · Textbooks · University of Toronto · under $50”.
+ *
+ * @param {object} criteria Saved search criteria
+ * @returns {string} Description of the search
+ */
+function describeSearchCriteria(criteria) {
+  const parts = [];
+  if (criteria.searchTerm) parts.push(`“${criteria.searchTerm}”`);
+  if (criteria.category) parts.push(criteria.category.charAt(0).toUpperCase() + criteria.category.slice(1));
+  if (criteria.school) parts.push(criteria.school);
+  if (criteria.program) parts.push(criteria.program);
+  if (criteria.courseCode) parts.push(criteria.courseCode);
+  const hasMin = criteria.minPrice !== null && criteria.minPrice !== undefined && criteria.minPrice !== '';
+  const hasMax = criteria.maxPrice !== null && criteria.maxPrice !== undefined && criteria.maxPrice !== '';
+  if (hasMax && Number(criteria.maxPrice) === 0) {
+    parts.push('Free');
+  } else if (hasMin && hasMax) {
+    parts.push(`$${criteria.minPrice}–$${criteria.maxPrice}`);
+  } else if (hasMax) {
+    parts.push(`under $${criteria.maxPrice}`);
+  } else if (hasMin) {
+    parts.push(`from $${criteria.minPrice}`);
+  }
+  return parts.length ? parts.join(' · ') : 'All listings';
+}
+
+/**
+ * Utility: Pick the image shown for a listing on cards and in lists.  The
+ * first photo is the cover; its thumbnail is used where one exists, since
+ * listings posted before thumbnails were generated only have full‑size
+ * photos.
+ *
+ * @param {object} listing Listing row
+ * @returns {string|null} Image URL, or null when the listing has no photos
+ */
+function listingCoverImage(listing) {
+  const thumbnails = Array.isArray(listing.thumbnails) ? listing.thumbnails : [];
+  const images = Array.isArray(listing.images) ? listing.images : [];
+  return thumbnails[0] || images[0] || null;
+}
+
+/**
+ * Build the URL of a course page, e.g. '#/course/McGill%20University/CHEM-222'.
+ *
+ * @param {string} school School the course is taught at
+ * @param {string} code   Normalised course code
+ * @returns {string} Hash URL for the course route
+ */
+function courseHash(school, code) {
+  return `#/course/${encodeURIComponent(school)}/${encodeURIComponent(courseCodeSlug(code))}`;
+}
+
+/**
+ * Create the row of course code chips shown on listing cards and the
+ * detail page.  Each chip links to the course page at the listing's
+ * school.
+ *
+ * @param {object} listing Listing row
+ * @returns {HTMLElement|null} The chips, or null when the listing has no
+ *   course codes
+ */
+function createCourseChips(listing) {
+  const codes = Array.isArray(listing.course_codes) ? listing.course_codes : [];
+  if (codes.length === 0) return null;
+  const row = document.createElement('div');
+  row.className = 'course-chips';
+  codes.forEach((code) => {
+    const chip = document.createElement('a');
+    chip.className = 'course-chip';
+    chip.href = courseHash(listing.school, code);
+    chip.textContent = code;
+    chip.title = `Everything for ${code} at ${listing.school}`;
+    // Cards navigate on click; the chip goes to the course instead
+    chip.addEventListener('click', (e) => e.stopPropagation());
+    row.appendChild(chip);
+  });
+  return row;
+}
+
+/**
+ * Fill a <datalist> with the course codes already used on listings at a
+ * school, for autocomplete.  Results are cached per school for the session.
+ *
+ * @param {HTMLDataListElement} datalist Options to replace
+ * @param {string} school               School name or part of one
+ */
+async function fillCourseCodeOptions(datalist, school) {
+  const key = school.trim().toLowerCase();
+  if (!courseCodeOptions.has(key)) {
+    courseCodeOptions.set(key, db.listings.listCourseCodes(school.trim()));
+  }
+  const { data, error } = await courseCodeOptions.get(key);
+  if (error) {
+    // Try again next time rather than caching the failure
+    courseCodeOptions.delete(key);
+    return;
+  }
+  datalist.innerHTML = '';
+  data.forEach((code) => {
+    const option = document.createElement('option');
+    option.value = code;
+    datalist.appendChild(option);
+  });
+}
+
+/**
+ * Create a badge showing a listing's status for use on cards and the
+ * detail page.  Active listings get no badge.
+ *
+ * @param {object} listing Listing row
+ * @returns {HTMLElement|null} The badge, or null for active listings
+ */
+function createStatusBadge(listing) {
+  const status = listingStatus(listing);
+  if (status === 'active') return null;
+  const badge = document.createElement('span');
+  badge.className = `status-badge status-badge-${status}`;
+  badge.textContent = LISTING_STATUS_LABELS[status];
+  return badge;
 }
 
 /**
@@ -167,7 +637,7 @@ function renderNav() {
     const msgLink = document.createElement('a');
     msgLink.href = '#/messages';
     msgLink.className = 'btn btn-outline';
-    msgLink.innerHTML = '<i class="fas fa-comments"></i> Messages';
+    msgLink.innerHTML = '<i class="fas fa-comments"></i> Messages <span id="messages-badge" class="nav-badge hidden"></span>';
     navButtons.appendChild(msgLink);
     // Profile
     const profileLink = document.createElement('a');
@@ -188,7 +658,7 @@ function renderNav() {
     logoutBtn.className = 'btn btn-outline';
     logoutBtn.innerHTML = '<i class="fas fa-sign-out-alt"></i> Log Out';
     logoutBtn.addEventListener('click', async () => {
-      await supabase.auth.signOut();
+      await db.auth.signOut();
       showNotification('Logged out successfully', 'success');
       window.location.hash = '#/home';
     });
@@ -206,16 +676,79 @@ function renderNav() {
     signupBtn.innerHTML = '<i class="fas fa-user-plus"></i> Sign Up';
     navButtons.appendChild(signupBtn);
   }
+  renderUnreadBadge();
+  renderRestrictionBanner();
+}
+
+/**
+ * Show the banner telling a suspended or banned user why, with a link to
+ * appeal, or hide it when the current user isn't restricted.
+ */
+function renderRestrictionBanner() {
+  const banner = document.getElementById('restriction-banner');
+  if (!banner) return;
+  const restriction = currentUser ? accountRestriction(userProfile) : null;
+  banner.classList.toggle('hidden', !restriction);
+  banner.innerHTML = '';
+  if (!restriction) return;
+  const text = document.createElement('span');
+  text.textContent = `${describeRestriction(restriction)} You can't post listings, send messages, make offers, review or report until it is lifted.`;
+  banner.appendChild(text);
+  const appealLink = document.createElement('a');
+  appealLink.href = '#/appeal';
+  appealLink.textContent = 'Appeal';
+  banner.appendChild(appealLink);
 }
 
 /**
- * Main router: render the appropriate page based on the current URL hash.
+ * Utility: Stop a suspended or banned user before they try something the
+ * row level policies will refuse, telling them why.
+ *
+ * @param {string} action What they were about to do, e.g. "send messages"
+ * @returns {boolean} Whether the current user is restricted
+ */
+function blockedByRestriction(action) {
+  const restriction = accountRestriction(userProfile);
+  if (!restriction) return false;
+  showNotification(`${describeRestriction(restriction)} You can't ${action} until it is lifted.`, 'error');
+  return true;
+}
+
+/**
+ * Utility: Explain a write refused by a rate limit (see rate-limits.js).
+ *
+ * @param {string} action Key of RATE_LIMITED_ACTIONS, e.g. 'messages'
+ * @returns {string} Notification text
+ */
+function rateLimitNotice(action) {
+  const limit = config.rateLimits?.[action];
+  const what = RATE_LIMITED_ACTIONS[action].toLowerCase();
+  return limit
+    ? `You've reached the limit for ${what} (${describeRateLimit(limit)}). Please try again later.`
+    : `You've reached the limit for ${what}. Please try again later.`;
+}
+
+/**
+ * Main router:render the appropriate page based on the current URL hash.
  * If the user attempts to access a protected route without authentication
  * (e.g. creating a listing), they are redirected to the login page.  When a
  * page is rendered, any previously subscribed realtime channels are cleaned
  * up to prevent memory leaks.
  */
 async function handleRoute() {
+  // Give the page being left a chance to keep the user there.  The hash
+  // has already changed, so staying means putting the old one back.
+  if (pageLeaveGuard && window.location.hash !== pageLeaveGuard.hash) {
+    const guard = pageLeaveGuard;
+    if (guard.hasUnsavedChanges()) {
+      guard.save();
+      if (!confirm(guard.message)) {
+        history.replaceState(null, '', guard.hash);
+        return;
+      }
+    }
+    pageLeaveGuard = null;
+  }
   // Clean up any existing realtime subscription when navigating away
   if (currentChatSubscription) {
     try {
@@ -226,7 +759,7 @@ async function handleRoute() {
     currentChatSubscription = null;
   }
 
-  const [route, id] = parseHash();
+  const [route, id, params, subId] = parseHash();
   switch (route) {
     case 'login':
       renderLoginPage();
@@ -240,20 +773,47 @@ async function handleRoute() {
         if (signupTab) signupTab.click();
       }, 0);
       break;
+    case 'forgot-password':
+      renderForgotPasswordPage();
+      break;
+    case 'magic-link':
+      renderMagicLinkPage();
+      break;
+    case 'reset-password':
+      if (!currentUser) {
+        showNotification('Open the link in your password reset email to choose a new password.', 'error');
+        window.location.hash = '#/forgot-password';
+      } else {
+        renderResetPasswordPage();
+      }
+      break;
+    case 'account':
+      if (!currentUser) {
+        showNotification('Please log in to manage your account.', 'error');
+        window.location.hash = '#/login';
+      } else {
+        renderAccountPage();
+      }
+      break;
     case 'marketplace':
-      renderMarketplacePage();
+      renderMarketplacePage(params);
       break;
     case 'new-listing':
       if (!currentUser) {
         showNotification('Please log in to create listings.', 'error');
         window.location.hash = '#/login';
+      } else if (!id && blockedByRestriction('post listings')) {
+        window.location.hash = '#/appeal';
       } else {
-        renderNewListingPage(id);
+        renderNewListingPage(id, params);
       }
       break;
     case 'listing':
       renderListingDetailsPage(id);
       break;
+    case 'course':
+      renderCoursePage(id, subId);
+      break;
     case 'profile':
       renderProfilePage(id);
       break;
@@ -265,6 +825,14 @@ async function handleRoute() {
         renderMessagesPage(id);
       }
       break;
+    case 'settings':
+      if (!currentUser) {
+        showNotification('Please log in to view your settings.', 'error');
+        window.location.hash = '#/login';
+      } else {
+        renderSettingsPage();
+      }
+      break;
     case 'saved':
       if (!currentUser) {
         showNotification('Please log in to view saved listings.', 'error');
@@ -273,6 +841,14 @@ async function handleRoute() {
         renderSavedPage();
       }
       break;
+    case 'appeal':
+      if (!currentUser) {
+        showNotification('Please log in to appeal.', 'error');
+        window.location.hash = '#/login';
+      } else {
+        renderAppealPage();
+      }
+      break;
     case 'admin':
       if (!currentUser || !userProfile || !userProfile.is_admin) {
         showNotification('You do not have access to that page.', 'error');
@@ -344,7 +920,7 @@ function renderLoginPage() {
     const email = content.querySelector('#signin-email').value.trim();
     const password = content.querySelector('#signin-password').value;
     if (!email || !password) return;
-    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    const { error } = await db.auth.signIn({ email, password });
     if (error) {
       showNotification(error.message || 'Failed to sign in.', 'error');
     } else {
@@ -355,59 +931,64 @@ function renderLoginPage() {
     }
   });
 
+  // The school comes from the email domain; only schools in the
+  // directory can sign up
+  const signupEmailInput = content.querySelector('#signup-email');
+  const signupSchoolInput = content.querySelector('#signup-school');
+  const signupSchoolHint = content.querySelector('#signup-school-hint');
+  signupEmailInput.addEventListener('input', () => {
+    const domain = emailDomain(signupEmailInput.value);
+    const school = findSchoolByEmail(schoolDirectory, signupEmailInput.value);
+    signupSchoolInput.value = school ? school.name : '';
+    signupSchoolHint.classList.toggle('field-error', Boolean(domain && !school));
+    if (school || !domain) {
+      signupSchoolHint.textContent = "Sign up with your school email address and we'll fill this in.";
+    } else {
+      signupSchoolHint.textContent = `${domain} isn't a school email domain we know. Use your school address, or ask us to add your school.`;
+    }
+  });
+
   // Sign up handler
   signupForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     const fullName = content.querySelector('#signup-fullname').value.trim();
-    const email = content.querySelector('#signup-email').value.trim();
+    const email = signupEmailInput.value.trim();
     const password = content.querySelector('#signup-password').value;
-    const school = content.querySelector('#signup-school').value.trim();
+    const confirmation = content.querySelector('#signup-confirm').value;
     const program = content.querySelector('#signup-program').value.trim();
-    if (!fullName || !email || !password || !school) {
+    if (!fullName || !email || !password) {
       showNotification('Please fill out all required fields.', 'error');
       return;
     }
-    if (!validStudentEmail(email)) {
-      showNotification('Please use a valid .ca student email address.', 'error');
+    const problem = passwordProblem(password, confirmation);
+    if (problem) {
+      showNotification(problem, 'error');
+      return;
+    }
+    const schoolRow = findSchoolByEmail(schoolDirectory, email);
+    if (!schoolRow) {
+      showNotification('Please sign up with the email address your school gave you.', 'error');
       return;
     }
-    // Create user with metadata so we can retrieve profile details later
-    const { data, error } = await supabase.auth.signUp({
+    const school = schoolRow.name;
+    // The users row is created from this metadata on first sign‑in; see
+    // loadUserProfile()
+    const { data, error } = await db.auth.signUp({
       email,
       password,
-      options: {
-        data: {
-          full_name: fullName,
-          school_name: school,
-          program_name: program,
-        },
+      metadata: {
+        full_name: fullName,
+        school_name: school,
+        program_name: program,
       },
     });
     if (error) {
       showNotification(error.message || 'Sign up failed.', 'error');
+    } else if (data?.session) {
+      // Email confirmation is off: the new user is already signed in
+      showNotification('Account created!', 'success');
+      window.location.hash = '#/home';
     } else {
-      // Insert a row in users table with extra details.  The auth.signUp
-      // response may not contain a user if email confirmations are
-      // enabled, so we wrap in a try/catch.  We'll insert when the
-      // session becomes available in the auth state change handler too.
-      const user = data?.user;
-      if (user) {
-        try {
-          await supabase.from('users').insert({
-            id: user.id,
-            email: email,
-            full_name: fullName,
-            school_name: school,
-            program_name: program,
-            is_admin: false,
-            blocked: false,
-            rating_sum: 0,
-            rating_count: 0,
-          });
-        } catch (err) {
-          // ignore duplicate insertion
-        }
-      }
       showNotification('Account created! Check your email for a confirmation link.', 'success');
       // After sign up, remain on login page so they can log in once
       // their email is confirmed
@@ -416,151 +997,533 @@ function renderLoginPage() {
 }
 
 /**
- * Render the home page.  This page displays a grid of listings and includes
- * controls for searching, filtering and sorting.  Saved listings are marked
- * with a coloured heart icon if the user is logged in.  Filters trigger a
- * re‑query of the listings table.
+ * Render the forgot password page.  It emails a reset link; opening the
+ * link signs the user in and the auth state change handler sends them to
+ * the reset password page.
  */
-async function renderHomePage() {
-  // The home landing page is a static template in index.html (#home-content).
-  // When navigating to home we hide the SPA content container and reveal
-  // the landing content.  All dynamic controls (search, filters) exist on
-  // the marketplace page rather than the home page.  See renderMarketplacePage()
-  // for listing functionality.
-  showHomeContent();
+function renderForgotPasswordPage() {
+  const content = document.getElementById('content');
+  const template = document.getElementById('forgot-password-template');
+  if (!content || !template) return;
+  showDynamicContent();
+  content.innerHTML = '';
+  content.appendChild(template.content.cloneNode(true));
+  const form = content.querySelector('#forgot-password-form');
+  const emailInput = content.querySelector('#forgot-email');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = emailInput.value.trim();
+    if (!email) return;
+    submitBtn.disabled = true;
+    const { error } = await db.auth.sendPasswordReset(email, authRedirectUrl());
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(error.message || 'Could not send the reset link.', 'error');
+      return;
+    }
+    // Say the same thing whether or not the address has an account
+    showNotification(`If ${email} has an account, a reset link is on its way.`, 'success');
+  });
 }
 
 /**
- * Render the marketplace page.  This page provides search, filtering and
- * sorting controls and displays a grid of listing cards.  Saved listings
- * are highlighted with a heart icon when the user is logged in.  The
- * implementation is largely borrowed from the original home page but
- * separated into its own function to keep the landing page static.
+ * Render the page that emails a passwordless sign‑in link.  Only existing
+ * accounts can sign in this way; new students sign up with the form.
  */
-async function renderMarketplacePage() {
+function renderMagicLinkPage() {
   const content = document.getElementById('content');
-  const template = document.getElementById('marketplace-template');
+  const template = document.getElementById('magic-link-template');
   if (!content || !template) return;
-  // Ensure the SPA container is visible and the landing content hidden
   showDynamicContent();
   content.innerHTML = '';
-  const node = template.content.cloneNode(true);
-  content.appendChild(node);
-
-  // Preload saved listing IDs if logged in
-  if (currentUser) {
-    await loadSavedListingIds();
-  }
+  content.appendChild(template.content.cloneNode(true));
+  const form = content.querySelector('#magic-link-form');
+  const emailInput = content.querySelector('#magic-link-email');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = emailInput.value.trim();
+    if (!email) return;
+    submitBtn.disabled = true;
+    const { data, error } = await db.auth.sendMagicLink(email, authRedirectUrl());
+    submitBtn.disabled = false;
+    if (error) {
+      // Supabase refuses unknown addresses when it may not create users
+      const unknown = /signups not allowed/i.test(error.message || '');
+      showNotification(unknown ? `There's no account for ${email}. Sign up first.` : (error.message || 'Could not send the sign-in link.'), 'error');
+    } else if (data?.session) {
+      // The offline store follows the link straight away
+      showNotification('Signed in successfully!', 'success');
+      window.location.hash = '#/home';
+    } else {
+      showNotification(`Check ${email} for your sign-in link.`, 'success');
+    }
+  });
+}
 
-  // Elements
-  const searchInput = content.querySelector('#search-input');
-  const categoryFilter = content.querySelector('#category-filter');
-  const schoolFilter = content.querySelector('#school-filter');
-  const programFilter = content.querySelector('#program-filter');
-  const priceMinInput = content.querySelector('#price-min');
-  const priceMaxInput = content.querySelector('#price-max');
-  const sortOrder = content.querySelector('#sort-order');
-  const listingsGrid = content.querySelector('#listings-grid');
+/**
+ * Render the page for choosing a new password after following a reset
+ * link, which has already signed the user in.
+ */
+function renderResetPasswordPage() {
+  const content = document.getElementById('content');
+  const template = document.getElementById('reset-password-template');
+  if (!content || !template) return;
+  showDynamicContent();
+  content.innerHTML = '';
+  content.appendChild(template.content.cloneNode(true));
+  const form = content.querySelector('#reset-password-form');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = content.querySelector('#reset-password').value;
+    const problem = passwordProblem(password, content.querySelector('#reset-confirm').value);
+    if (problem) {
+      showNotification(problem, 'error');
+      return;
+    }
+    submitBtn.disabled = true;
+    const { error } = await db.auth.updateUser({ password });
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(error.message || 'Could not save your new password.', 'error');
+      return;
+    }
+    showNotification('Your password has been changed.', 'success');
+    window.location.hash = '#/home';
+  });
+}
 
-  // Debounce helper to prevent re‑querying on every keystroke
-  let searchTimeout;
-  const triggerSearch = () => {
-    clearTimeout(searchTimeout);
-    searchTimeout = setTimeout(loadListings, 300);
+/**
+ * Render the account page, where the signed‑in user changes their email
+ * address or password.  A new address must belong to a school in the
+ * directory, as at sign‑up.  Supabase only switches to it once the link
+ * sent there is opened; the users row follows in loadUserProfile().
+ */
+function renderAccountPage() {
+  const content = document.getElementById('content');
+  const template = document.getElementById('account-template');
+  if (!content || !template) return;
+  showDynamicContent();
+  content.innerHTML = '';
+  content.appendChild(template.content.cloneNode(true));
+  content.querySelector('#account-email').textContent = currentUser.email;
+  const pendingEl = content.querySelector('#account-pending-email');
+  const showPending = (address) => {
+    pendingEl.textContent = `Waiting for you to confirm ${address} from the link we sent there.`;
+    pendingEl.classList.remove('hidden');
   };
+  if (currentUser.new_email) showPending(currentUser.new_email);
 
-  // Attach event listeners
-  searchInput.addEventListener('input', triggerSearch);
-  categoryFilter.addEventListener('change', loadListings);
-  schoolFilter.addEventListener('input', triggerSearch);
-  programFilter.addEventListener('input', triggerSearch);
-  priceMinInput.addEventListener('input', triggerSearch);
-  priceMaxInput.addEventListener('input', triggerSearch);
-  sortOrder.addEventListener('change', loadListings);
+  const emailForm = content.querySelector('#change-email-form');
+  const emailInput = content.querySelector('#account-new-email');
+  const emailHint = content.querySelector('#account-email-hint');
+  emailInput.addEventListener('input', () => {
+    const domain = emailDomain(emailInput.value);
+    const school = findSchoolByEmail(schoolDirectory, emailInput.value);
+    emailHint.classList.toggle('field-error', Boolean(domain && !school));
+    if (domain && !school) {
+      emailHint.textContent = `${domain} isn't a school email domain we know.`;
+    } else if (school && school.name !== userProfile?.school_name) {
+      emailHint.textContent = `Your school will change to ${school.name}.`;
+    } else {
+      emailHint.textContent = "We'll send a confirmation link to the new address.";
+    }
+  });
+  emailForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = emailInput.value.trim();
+    if (!email) return;
+    if (email.toLowerCase() === currentUser.email.toLowerCase()) {
+      showNotification("That's already your email address.", 'error');
+      return;
+    }
+    if (!findSchoolByEmail(schoolDirectory, email)) {
+      showNotification('Please use the email address your school gave you.', 'error');
+      return;
+    }
+    const submitBtn = emailForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    const { data, error } = await db.auth.updateUser({ email }, authRedirectUrl());
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(error.message || 'Could not change your email address.', 'error');
+    } else if (data?.user?.email === email) {
+      showNotification('Your email address has been changed.', 'success');
+    } else {
+      emailForm.reset();
+      showPending(email);
+      showNotification(`Check ${email} for a link to confirm the change.`, 'success');
+    }
+  });
+
+  const passwordForm = content.querySelector('#change-password-form');
+  passwordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const password = content.querySelector('#account-new-password').value;
+    const problem = passwordProblem(password, content.querySelector('#account-confirm-password').value);
+    if (problem) {
+      showNotification(problem, 'error');
+      return;
+    }
+    const submitBtn = passwordForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    const { error } = await db.auth.updateUser({ password });
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(error.message || 'Could not change your password.', 'error');
+      return;
+    }
+    passwordForm.reset();
+    showNotification('Your password has been changed.', 'success');
+  });
+}
+
+/**
+ * Render the appeal page, where a suspended or banned user sees why and
+ * asks the admins to lift it.  One appeal may be open at a time; earlier
+ * appeals are listed with the admins' answers.
+ */
+async function renderAppealPage() {
+  const content = document.getElementById('content');
+  const template = document.getElementById('appeal-template');
+  if (!content || !template) return;
+  showDynamicContent();
+  content.innerHTML = '';
+  content.appendChild(template.content.cloneNode(true));
+  const statusEl = content.querySelector('#appeal-restriction');
+  const form = content.querySelector('#appeal-form');
+  const historyList = content.querySelector('#appeal-history');
+  // The restriction may have been lifted since the profile was loaded
+  userProfile = (await db.users.get(currentUser.id)).data || userProfile;
+  renderRestrictionBanner();
+  const restriction = accountRestriction(userProfile);
+  statusEl.textContent = restriction ? describeRestriction(restriction) : "Your account isn't suspended or banned.";
+
+  const { data: appeals, error } = await db.appeals.listForUser(currentUser.id);
+  if (error) {
+    historyList.innerHTML = '<p>Failed to load your appeals.</p>';
+    return;
+  }
+  const openAppeal = (appeals || []).find((appeal) => appeal.status === 'open');
+  form.classList.toggle('hidden', !restriction || Boolean(openAppeal));
+  (appeals || []).forEach((appeal) => {
+    const item = document.createElement('div');
+    item.className = 'appeal-item';
+    const heading = document.createElement('div');
+    heading.className = 'font-medium';
+    heading.textContent = `${APPEAL_STATUSES[appeal.status] || appeal.status} · sent ${new Date(appeal.created_at).toLocaleString()}`;
+    item.appendChild(heading);
+    const message = document.createElement('p');
+    message.textContent = appeal.message;
+    item.appendChild(message);
+    if (appeal.admin_response) {
+      const response = document.createElement('p');
+      response.className = 'text-gray-600';
+      response.textContent = `Response: ${appeal.admin_response}`;
+      item.appendChild(response);
+    }
+    historyList.appendChild(item);
+  });
+  if (!appeals || appeals.length === 0) historyList.innerHTML = "<p class=\"text-gray-500\">You haven't appealed.</p>";
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const message = content.querySelector('#appeal-message').value.trim();
+    if (!message) return;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    const { error: createError } = await db.appeals.create({ user_id: currentUser.id, message });
+    submitBtn.disabled = false;
+    if (createError) {
+      showNotification('Failed to send your appeal.', 'error');
+      return;
+    }
+    showNotification('Your appeal has been sent. An admin will review it.', 'success');
+    renderAppealPage();
+  });
+}
+
+/**
+ * Render the home page.  This page displays a grid of listings and includes
+ * controls for searching, filtering and sorting.  Saved listings are marked
+ * with a coloured heart icon if the user is logged in.  Filters trigger a
+ * re‑query of the listings table.
+ */
+async function renderHomePage() {
+  // The home landing page is a static template in index.html (#home-content).
+  // When navigating to home we hide the SPA content container and reveal
+  // the landing content.  All dynamic controls (search, filters) exist on
+  // the marketplace page rather than the home page.  See renderMarketplacePage()
+  // for listing functionality.
+  showHomeContent();
+}
+
+/**
+ * Render the marketplace page.  This page provides search, filtering and
+ * sorting controls and displays a grid of listing cards.  Saved listings
+ * are highlighted with a heart icon when the user is logged in.  The
+ * implementation is largely borrowed from the original home page but
+ * separated into its own function to keep the landing page static.
+ *
+ * The filter state lives in the URL (#/marketplace?q=…&category=…) so it
+ * survives reloads, works with back/forward and can be shared as a link.
+ *
+ * @param {URLSearchParams} [params] Query parameters holding the filters
+ */
+async function renderMarketplacePage(params = new URLSearchParams()) {
+  const content = document.getElementById('content');
+  const template = document.getElementById('marketplace-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+
+  // Preload saved listing IDs if logged in
+  if (currentUser) {
+    await loadSavedListingIds();
+  }
+
+  // Elements
+  const searchInput = content.querySelector('#search-input');
+  const categoryFilter = content.querySelector('#category-filter');
+  const schoolFilter = content.querySelector('#school-filter');
+  const programFilter = content.querySelector('#program-filter');
+  const courseFilter = content.querySelector('#course-filter');
+  const courseFilterOptions = content.querySelector('#course-filter-options');
+  const priceMinInput = content.querySelector('#price-min');
+  const priceMaxInput = content.querySelector('#price-max');
+  const sortOrder = content.querySelector('#sort-order');
+  const statusFilter = content.querySelector('#status-filter');
+  const listingsGrid = content.querySelector('#listings-grid');
+  const resultsSummary = content.querySelector('#results-summary');
+  const loadMoreBtn = content.querySelector('#load-more-btn');
+  const shareBtn = content.querySelector('#share-filters-btn');
+  const saveSearchBtn = content.querySelector('#save-search-btn');
+
+  // Restore filters from the URL.  Unknown select values are ignored so a
+  // hand‑edited link can't leave a select blank.
+  const initialFilters = marketplaceFiltersFromParams(params);
+  searchInput.value = initialFilters.searchTerm;
+  fillSchoolSelect(schoolFilter, initialFilters.school, 'All schools');
+  programFilter.value = initialFilters.program;
+  courseFilter.value = initialFilters.courseCode;
+  priceMinInput.value = initialFilters.minPrice;
+  priceMaxInput.value = initialFilters.maxPrice;
+  const hasOption = (select, value) => Array.from(select.options).some((o) => o.value === value);
+  if (hasOption(categoryFilter, initialFilters.category)) {
+    categoryFilter.value = initialFilters.category;
+  }
+  if (hasOption(sortOrder, initialFilters.sort)) {
+    sortOrder.value = initialFilters.sort;
+  }
+  if (hasOption(statusFilter, initialFilters.status)) {
+    statusFilter.value = initialFilters.status;
+  }
+
+  // Paging state for the current set of filters.  `activeRequest` holds the
+  // AbortController of the query in flight so that a newer filter change
+  // can cancel it; a cancelled query never touches the grid.
+  let activeRequest = null;
+  let nextCursor = null;
+  let totalCount = 0;
+  let shownCount = 0;
+  let currentTokens = [];
+
+  // Debounce helper to prevent re‑querying on every keystroke
+  let searchTimeout;
+  const triggerSearch = () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(loadListings, 300);
+  };
+
+  // Switch to relevance ordering while a keyword search is active, unless
+  // the user (or the link they followed) has picked a sort order.
+  let sortChosen = Boolean(initialFilters.sort);
+  sortOrder.addEventListener('change', () => {
+    sortChosen = true;
+  });
+
+  // Attach event listeners
+  searchInput.addEventListener('input', () => {
+    if (!sortChosen) {
+      sortOrder.value = searchInput.value.trim() ? 'relevance' : 'newest';
+    }
+    triggerSearch();
+  });
+  // Discrete choices get their own history entry so Back undoes them;
+  // typing just updates the current entry.
+  categoryFilter.addEventListener('change', () => loadListings({ pushHistory: true }));
+  schoolFilter.addEventListener('change', () => loadListings({ pushHistory: true }));
+  programFilter.addEventListener('input', triggerSearch);
+  // Course codes are only complete once chosen or typed in full, so the
+  // filter applies on change rather than on every keystroke
+  courseFilter.addEventListener('focus', () => fillCourseCodeOptions(courseFilterOptions, schoolFilter.value));
+  courseFilter.addEventListener('change', () => {
+    courseFilter.value = normalizeCourseCode(courseFilter.value) || courseFilter.value.trim();
+    loadListings({ pushHistory: true });
+  });
+  priceMinInput.addEventListener('input', triggerSearch);
+  priceMaxInput.addEventListener('input', triggerSearch);
+  sortOrder.addEventListener('change', () => loadListings({ pushHistory: true }));
+  statusFilter.addEventListener('change', () => loadListings({ pushHistory: true }));
+  loadMoreBtn.addEventListener('click', loadNextPage);
+  shareBtn.addEventListener('click', async () => {
+    const url = window.location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      showNotification('Link copied – share it with your classmates!', 'success');
+    } catch (err) {
+      // Clipboard access can be denied; let the user copy it by hand
+      prompt('Copy this link to share these results:', url);
+    }
+  });
+  if (currentUser) {
+    saveSearchBtn.classList.remove('hidden');
+    saveSearchBtn.addEventListener('click', async () => {
+      const criteria = {
+        searchTerm: searchInput.value.trim(),
+        category: categoryFilter.value,
+        school: schoolFilter.value.trim(),
+        program: programFilter.value.trim(),
+        courseCode: normalizeCourseCode(courseFilter.value),
+        minPrice: isNaN(parseFloat(priceMinInput.value)) ? null : parseFloat(priceMinInput.value),
+        maxPrice: isNaN(parseFloat(priceMaxInput.value)) ? null : parseFloat(priceMaxInput.value),
+      };
+      const name = prompt('Name this search:', describeSearchCriteria(criteria));
+      if (!name) return;
+      const { data, error } = await db.savedSearches.create({
+        user_id: currentUser.id,
+        name: name.trim(),
+        criteria,
+        alerts_enabled: true,
+      });
+      if (error) {
+        showNotification('Failed to save search.', 'error');
+        return;
+      }
+      savedSearches.unshift(data);
+      showNotification("Search saved. We'll alert you when new listings match.", 'success');
+    });
+  }
+
+  // Infinite scroll: fetch the next page as soon as the "Load more" button
+  // scrolls into view.  The button remains as a fallback.
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (!loadMoreBtn.isConnected) {
+        // The page has been replaced by another route
+        observer.disconnect();
+        return;
+      }
+      if (entries.some((entry) => entry.isIntersecting)) loadNextPage();
+    }, { rootMargin: '200px' });
+    observer.observe(loadMoreBtn);
+  }
 
   // Initial load
   loadListings();
 
   /**
-   * Query the listings table applying current filters and render the
-   * results.  Any errors are surfaced via a notification.
+   * Query the listings applying the current filters and render the results.
+   * Without `append` the grid is replaced by the first page; with it the
+   * next page is added below the cards already shown.  Any errors are
+   * surfaced via a notification.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.append]      Load the page after the current one
+   * @param {boolean} [options.pushHistory] Record the new filters as a new
+   *   history entry instead of replacing the current one
    */
-  async function loadListings() {
-    listingsGrid.innerHTML = '';
-    // Build query
-    let query = supabase.from('listings').select('*').eq('is_deleted', false);
+  async function loadListings({ append = false, pushHistory = false } = {}) {
+    // A newer query always wins: cancel whatever is still in flight
+    if (activeRequest) activeRequest.abort();
+    const controller = new AbortController();
+    activeRequest = controller;
+    loadMoreBtn.disabled = true;
+    if (!append) resultsSummary.textContent = 'Searching…';
     const searchTerm = searchInput.value.trim();
-    const category = categoryFilter.value;
-    const school = schoolFilter.value.trim();
-    const program = programFilter.value.trim();
-    const minPrice = parseFloat(priceMinInput.value);
-    const maxPrice = parseFloat(priceMaxInput.value);
-    const sort = sortOrder.value;
-    if (category) {
-      query = query.eq('category', category);
-    }
-    if (school) {
-      query = query.ilike('school', `%${school}%`);
-    }
-    if (program) {
-      query = query.ilike('program', `%${program}%`);
-    }
-    if (searchTerm) {
-      // Use OR across title and description
-      query = query.ilike('title', `%${searchTerm}%`);
-      // Note: supabase doesn't support OR across fields in the same call of .ilike.
-      // To match description as well, we'll refine after the fetch below.
-    }
-    if (!isNaN(minPrice)) {
-      query = query.gte('price', minPrice);
-    }
-    if (!isNaN(maxPrice)) {
-      query = query.lte('price', maxPrice);
-    }
-    // Sorting
-    switch (sort) {
-      case 'lowprice':
-        query = query.order('price', { ascending: true });
-        break;
-      case 'highprice':
-        query = query.order('price', { ascending: false });
-        break;
-      case 'mostviewed':
-        query = query.order('view_count', { ascending: false });
-        break;
-      case 'newest':
-      default:
-        query = query.order('created_at', { ascending: false });
+    const filters = {
+      searchTerm,
+      category: categoryFilter.value,
+      school: schoolFilter.value.trim(),
+      program: programFilter.value.trim(),
+      courseCode: courseFilter.value.trim(),
+      minPrice: priceMinInput.value.trim(),
+      maxPrice: priceMaxInput.value.trim(),
+      sort: sortOrder.value,
+      status: statusFilter.value,
+    };
+    if (!append) {
+      // Keep the URL in step with the filters.  history.pushState and
+      // replaceState don't fire hashchange, so this doesn't re‑render.
+      const hash = marketplaceHash(filters);
+      if (hash !== window.location.hash) {
+        history[pushHistory ? 'pushState' : 'replaceState'](null, '', hash);
+      }
     }
-    const { data, error } = await query.limit(100);
+    const { data, error } = await db.listings.search(
+      {
+        ...filters,
+        minPrice: parseFloat(filters.minPrice),
+        maxPrice: parseFloat(filters.maxPrice),
+        excludeOwnerIds: Array.from(blockedUserIds),
+      },
+      {
+        cursor: append ? nextCursor : null,
+        pageSize: LISTINGS_PAGE_SIZE,
+        signal: controller.signal,
+      }
+    );
+    // Superseded by a newer filter change: discard silently
+    if (controller.signal.aborted) return;
+    activeRequest = null;
+    loadMoreBtn.disabled = false;
     if (error) {
       showNotification('Failed to load listings.', 'error');
       return;
     }
-    // If searching across both title and description, filter results locally
-    let results = data || [];
-    if (searchTerm) {
-      const lower = searchTerm.toLowerCase();
-      results = results.filter(
-        (item) =>
-          item.title.toLowerCase().includes(lower) ||
-          (item.description && item.description.toLowerCase().includes(lower))
-      );
+    if (!append) {
+      // An ISBN search matches the book itself, so there's nothing to highlight
+      currentTokens = isbnFromQuery(searchTerm) ? [] : parseSearchQuery(searchTerm);
+      totalCount = data.total || 0;
+      shownCount = 0;
     }
-    renderListings(results);
+    shownCount += data.items.length;
+    nextCursor = data.nextCursor;
+    renderListings(data.items, currentTokens, append);
+    resultsSummary.textContent = totalCount
+      ? `Showing ${shownCount} of ${totalCount} result${totalCount === 1 ? '' : 's'}`
+      : '';
+    loadMoreBtn.classList.toggle('hidden', !nextCursor);
+  }
+
+  /**
+   * Append the next page of results, if there is one and no query is
+   * already running.
+   */
+  function loadNextPage() {
+    if (!nextCursor || activeRequest) return;
+    loadListings({ append: true });
   }
 
   /**
    * Render a set of listing cards in the grid.  Each card displays
    * thumbnail image(s), title, price, school and program.  Clicking a card
    * navigates to its detail page.  A save/unsave button is available when
-   * logged in.
+   * logged in.  Words matching the current search are highlighted, and a
+   * short description excerpt is shown when the description matched.
    *
-   * @param {Array} listings The listings to render
+   * @param {Array} listings  The listings to render
+   * @param {string[]} tokens Search tokens to highlight
+   * @param {boolean} [append] Add to the existing cards instead of replacing them
    */
-  function renderListings(listings) {
-    listingsGrid.innerHTML = '';
-    if (!listings || listings.length === 0) {
+  function renderListings(listings, tokens = [], append = false) {
+    if (!append) listingsGrid.innerHTML = '';
+    if (!append && (!listings || listings.length === 0)) {
       const empty = document.createElement('p');
       empty.className = 'text-center text-gray-500 mt-8 col-span-full';
       empty.textContent = 'No listings found.';
@@ -573,16 +1536,19 @@ async function renderMarketplacePage() {
       // Image
       const img = document.createElement('img');
       img.className = 'h-40 w-full object-cover rounded-t';
-      const firstImage = Array.isArray(listing.images) && listing.images.length > 0 ? listing.images[0] : null;
+      const firstImage = listingCoverImage(listing);
       img.src = firstImage || 'https://placehold.co/400x300?text=No+Image';
       card.appendChild(img);
       // Info container
       const info = document.createElement('div');
       info.className = 'p-4 flex-1 flex flex-col';
+      // Sold / reserved badge
+      const badge = createStatusBadge(listing);
+      if (badge) info.appendChild(badge);
       // Title
       const title = document.createElement('h3');
       title.className = 'text-lg font-semibold mb-1 truncate';
-      title.textContent = listing.title;
+      setHighlightedText(title, listing.title, tokens);
       info.appendChild(title);
       // Price
       const price = document.createElement('p');
@@ -592,12 +1558,22 @@ async function renderMarketplacePage() {
       // School / program
       const schoolLine = document.createElement('p');
       schoolLine.className = 'text-sm text-gray-600';
-      schoolLine.textContent = listing.school;
+      setHighlightedText(schoolLine, listing.school, tokens);
       info.appendChild(schoolLine);
       const programLine = document.createElement('p');
       programLine.className = 'text-sm text-gray-600 mb-2';
-      programLine.textContent = listing.program || '';
+      setHighlightedText(programLine, listing.program || '', tokens);
       info.appendChild(programLine);
+      const courseChips = createCourseChips(listing);
+      if (courseChips) info.appendChild(courseChips);
+      // Description excerpt around the first match, if any
+      const snippet = makeSnippet(listing.description, tokens);
+      if (snippet) {
+        const snippetLine = document.createElement('p');
+        snippetLine.className = 'text-sm text-gray-500 mb-2';
+        setHighlightedText(snippetLine, snippet, tokens);
+        info.appendChild(snippetLine);
+      }
       // Save button if logged in
       if (currentUser) {
         const saveBtn = document.createElement('button');
@@ -610,17 +1586,12 @@ async function renderMarketplacePage() {
           // Toggle saved state
           if (savedListingIds.has(listing.id)) {
             // unsave
-            await supabase
-              .from('saved_listings')
-              .delete()
-              .match({ user_id: currentUser.id, listing_id: listing.id });
+            await db.savedListings.remove(currentUser.id, listing.id);
             savedListingIds.delete(listing.id);
             saveBtn.innerHTML = '🤍';
             saveBtn.title = 'Save listing';
           } else {
-            await supabase
-              .from('saved_listings')
-              .insert({ user_id: currentUser.id, listing_id: listing.id });
+            await db.savedListings.add(currentUser.id, listing.id);
             savedListingIds.add(listing.id);
             saveBtn.innerHTML = '❤️';
             saveBtn.title = 'Remove from saved';
@@ -638,993 +1609,4456 @@ async function renderMarketplacePage() {
 }
 
 /**
- * Load the set of listing IDs that the current user has saved.  These are
- * stored in the global savedListingIds set so the UI can display hearts on
- * saved items.  Called when rendering home or saved pages.
- */
-async function loadSavedListingIds() {
-  savedListingIds.clear();
-  if (!currentUser) return;
-  const { data, error } = await supabase
-    .from('saved_listings')
-    .select('listing_id')
-    .eq('user_id', currentUser.id);
-  if (!error && data) {
-    data.forEach((row) => savedListingIds.add(row.listing_id));
-  }
-}
-
-/**
- * Render the page for creating or editing a listing.  If an ID is supplied
- * then the existing listing is fetched and its data pre‑populated for editing.
- * Only the owner of a listing can edit it.  When the form is submitted the
- * listing and any images are saved to Supabase.  Upon success the user is
- * redirected to the listing detail page.
+ * Render the page for one course at one school, e.g.
+ * #/course/McGill%20University/CHEM-222: every available or reserved
+ * listing tagged with that course code, newest first, a page at a time.
+ * A link opens the same results in the marketplace for further filtering.
  *
- * @param {string|null} id Optional listing ID to edit
+ * @param {string|null} schoolSegment School from the URL, URI encoded
+ * @param {string|null} codeSegment   Course code from the URL, e.g. 'CHEM-222'
  */
-async function renderNewListingPage(id = null) {
+async function renderCoursePage(schoolSegment, codeSegment) {
   const content = document.getElementById('content');
-  const template = document.getElementById('new-listing-template');
+  const template = document.getElementById('course-template');
   if (!content || !template) return;
   // Ensure the SPA container is visible and the landing content hidden
   showDynamicContent();
   content.innerHTML = '';
   const node = template.content.cloneNode(true);
   content.appendChild(node);
-  const form = content.querySelector('#listing-form');
-  const titleInput = content.querySelector('#listing-title');
-  const descriptionInput = content.querySelector('#listing-description');
-  const priceInput = content.querySelector('#listing-price');
-  const categorySelect = content.querySelector('#listing-category');
-  const imagesInput = content.querySelector('#listing-images');
-  const schoolInput = content.querySelector('#listing-school');
-  const programInput = content.querySelector('#listing-program');
-  const formTitle = content.querySelector('#listing-form-title');
+  const titleEl = content.querySelector('#course-title');
+  const schoolEl = content.querySelector('#course-school');
+  const summary = content.querySelector('#course-summary');
+  const marketplaceLink = content.querySelector('#course-marketplace-link');
+  const grid = content.querySelector('#course-listings');
+  const loadMoreBtn = content.querySelector('#course-load-more-btn');
 
-  let isEditing = false;
-  let existingListing = null;
-  if (id) {
-    // Editing existing listing
-    const { data, error } = await supabase
-      .from('listings')
-      .select('*')
-      .eq('id', id)
-      .single();
-    if (error || !data) {
-      showNotification('Unable to load listing for editing.', 'error');
-      return;
-    }
-    if (data.owner_id !== currentUser.id) {
-      showNotification('You do not have permission to edit this listing.', 'error');
-      window.location.hash = '#/home';
-      return;
-    }
-    isEditing = true;
-    existingListing = data;
-    formTitle.textContent = 'Edit Listing';
-    // Prefill fields
-    titleInput.value = existingListing.title;
-    descriptionInput.value = existingListing.description;
-    priceInput.value = existingListing.price;
-    categorySelect.value = existingListing.category;
-    schoolInput.value = existingListing.school;
-    programInput.value = existingListing.program || '';
+  let school = '';
+  let code = null;
+  try {
+    school = canonicalSchoolName(decodeURIComponent(schoolSegment || ''));
+    code = normalizeCourseCode(decodeURIComponent(codeSegment || ''));
+  } catch (err) {
+    // Malformed escape sequence in a hand‑edited link
+  }
+  if (!school || !code) {
+    titleEl.textContent = 'Course not found';
+    summary.textContent = 'Course links look like #/course/<school>/<code>, e.g. #/course/McGill%20University/CHEM-222.';
+    marketplaceLink.classList.add('hidden');
+    return;
   }
+  titleEl.textContent = code;
+  schoolEl.textContent = school;
+  marketplaceLink.href = marketplaceHash({ school, courseCode: code });
 
-  form.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const title = titleInput.value.trim();
-    const description = descriptionInput.value.trim();
-    const price = parseFloat(priceInput.value);
-    const category = categorySelect.value;
-    const school = schoolInput.value.trim();
-    const program = programInput.value.trim();
-    const files = imagesInput.files;
-    if (!title || !description || !school || isNaN(price)) {
-      showNotification('Please fill in all required fields.', 'error');
+  if (currentUser) {
+    await loadSavedListingIds();
+  }
+  let nextCursor = null;
+  let shownCount = 0;
+  let totalCount = 0;
+  loadMoreBtn.addEventListener('click', () => loadPage());
+  loadPage();
+
+  /**
+   * Fetch the next page of listings for the course and add them to the
+   * grid.
+   */
+  async function loadPage() {
+    loadMoreBtn.disabled = true;
+    const { data, error } = await db.listings.search(
+      { school, courseCode: code, excludeOwnerIds: Array.from(blockedUserIds) },
+      { cursor: nextCursor, pageSize: LISTINGS_PAGE_SIZE },
+    );
+    loadMoreBtn.disabled = false;
+    if (error) {
+      showNotification('Failed to load listings.', 'error');
       return;
     }
-    // When editing we keep existing images unless new ones are provided.  If
-    // the user selects files we replace the images array entirely.
-    let imageUrls = existingListing ? existingListing.images || [] : [];
-    const listingId = isEditing ? existingListing.id : crypto.randomUUID();
-    // Handle uploads if files provided
-    if (files && files.length > 0) {
-      imageUrls = [];
-      const bucket = 'listing-images';
-      // Ensure the bucket exists and is public.  See README for set‑up.
-      for (let i = 0; i < Math.min(files.length, 4); i++) {
-        const file = files[i];
-        const path = `${listingId}/${Date.now()}-${file.name}`;
-        const { error: uploadError } = await supabase.storage
-          .from(bucket)
-          .upload(path, file, { cacheControl: '3600', upsert: false });
-        if (uploadError) {
-          showNotification(`Failed to upload ${file.name}.`, 'error');
-          continue;
-        }
-        const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(path);
-        if (urlData && urlData.publicUrl) {
-          imageUrls.push(urlData.publicUrl);
-        }
-      }
-    }
-    // Prepare listing object
-    const listingRecord = {
-      id: listingId,
-      owner_id: currentUser.id,
-      owner_name: userProfile?.full_name || currentUser.email,
-      owner_email: currentUser.email,
-      title,
-      description,
-      price,
-      category,
-      images: imageUrls,
-      school,
-      program: program || null,
-      created_at: new Date().toISOString(),
-      view_count: existingListing ? existingListing.view_count : 0,
-      rating_sum: existingListing ? existingListing.rating_sum : 0,
-      rating_count: existingListing ? existingListing.rating_count : 0,
-      is_deleted: false,
-    };
-    let opError;
-    if (isEditing) {
-      const { error } = await supabase
-        .from('listings')
-        .update(listingRecord)
-        .eq('id', listingId);
-      opError = error;
-    } else {
-      const { error } = await supabase.from('listings').insert(listingRecord);
-      opError = error;
-    }
-    if (opError) {
-      showNotification('Failed to save listing.', 'error');
+    if (!nextCursor) totalCount = data.total || 0;
+    nextCursor = data.nextCursor;
+    shownCount += data.items.length;
+    data.items.forEach((listing) => grid.appendChild(createCard(listing)));
+    if (!totalCount) {
+      summary.textContent = `Nothing is listed for ${code} yet.`;
     } else {
-      showNotification('Listing saved successfully!', 'success');
-      // Redirect to details page
-      window.location.hash = `#/listing/${listingId}`;
+      summary.textContent = `Showing ${shownCount} of ${totalCount} listing${totalCount === 1 ? '' : 's'}`;
     }
-  });
+    loadMoreBtn.classList.toggle('hidden', !nextCursor);
+  }
+
+  /**
+   * Build the card for one listing on the course page.
+   *
+   * @param {object} listing Listing row
+   * @returns {HTMLElement} The card
+   */
+  function createCard(listing) {
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded shadow hover:shadow-lg transition cursor-pointer flex flex-col';
+    const img = document.createElement('img');
+    img.className = 'h-40 w-full object-cover rounded-t';
+    const firstImage = listingCoverImage(listing);
+    img.src = firstImage || 'https://placehold.co/400x300?text=No+Image';
+    card.appendChild(img);
+    const info = document.createElement('div');
+    info.className = 'p-4 flex-1 flex flex-col';
+    const badge = createStatusBadge(listing);
+    if (badge) info.appendChild(badge);
+    const title = document.createElement('h3');
+    title.className = 'text-lg font-semibold mb-1 truncate';
+    title.textContent = listing.title;
+    info.appendChild(title);
+    const price = document.createElement('p');
+    price.className = 'text-blue-600 font-bold mb-1';
+    price.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
+    info.appendChild(price);
+    const programLine = document.createElement('p');
+    programLine.className = 'text-sm text-gray-600 mb-2';
+    programLine.textContent = listing.program || '';
+    info.appendChild(programLine);
+    const courseChips = createCourseChips(listing);
+    if (courseChips) info.appendChild(courseChips);
+    card.appendChild(info);
+    card.addEventListener('click', () => {
+      window.location.hash = `#/listing/${listing.id}`;
+    });
+    return card;
+  }
 }
 
 /**
- * Render the detail view for a single listing.  The page shows all images,
+ * Load the set of listing IDs that the current user has saved.  These are
+ * stored in the global savedListingIds set so the UI can display hearts on
+ * saved items.  Called when rendering home or saved pages.
+ */
+async function loadSavedListingIds() {
+  savedListingIds.clear();
+  if (!currentUser) return;
+  const { data, error } = await db.savedListings.listIds(currentUser.id);
+  if (!error && data) {
+    data.forEach((listingId) => savedListingIds.add(listingId));
+  }
+}
+
+/**
+ * Load the current user's saved searches into the global savedSearches
+ * array, which the realtime alert handler evaluates new listings against.
+ */
+async function loadSavedSearches() {
+  savedSearches = [];
+  if (!currentUser) return;
+  const { data, error } = await db.savedSearches.list(currentUser.id);
+  if (!error && data) {
+    savedSearches = data;
+  }
+}
+
+/**
+ * Load the IDs of the users the current user has blocked into the global
+ * blockedUserIds set.  Their listings are hidden from the marketplace,
+ * saved items and alerts, and conversations with them are archived.
+ */
+async function loadBlockedUsers() {
+  blockedUserIds.clear();
+  if (!currentUser) return;
+  const { data, error } = await db.blocks.list(currentUser.id);
+  if (!error && data) {
+    data.forEach((row) => blockedUserIds.add(row.blocked_id));
+  }
+}
+
+/**
+ * Block or unblock another user after confirming with the current user.
+ *
+ * @param {string} userId    The user to block or unblock
+ * @param {string} name      Their display name, for the confirmation
+ * @param {boolean} blocking True to block, false to unblock
+ * @returns {Promise<boolean>} Whether the change was made
+ */
+async function setUserBlocked(userId, name, blocking) {
+  const question = blocking
+    ? `Block ${name}? They won't be able to message you, you won't see their listings, and your conversations will be archived.`
+    : `Unblock ${name}?`;
+  if (!confirm(question)) return false;
+  const { error } = blocking
+    ? await db.blocks.add(currentUser.id, userId)
+    : await db.blocks.remove(currentUser.id, userId);
+  if (error) {
+    showNotification(blocking ? 'Failed to block user.' : 'Failed to unblock user.', 'error');
+    return false;
+  }
+  if (blocking) {
+    blockedUserIds.add(userId);
+  } else {
+    blockedUserIds.delete(userId);
+  }
+  showNotification(blocking ? `${name} has been blocked.` : `${name} has been unblocked.`, 'success');
+  return true;
+}
+
+/**
+ * Subscribe to listing changes and alert the user when a listing enters the
+ * marketplace matching any of their saved searches that has alerts enabled:
+ * either inserted as active, or approved after being held for review.  The
+ * subscription lives for the whole session, independent of the page being
+ * viewed.
+ */
+function startSearchAlerts() {
+  stopSearchAlerts();
+  if (!currentUser) return;
+  searchAlertSubscription = db.realtime.subscribe(
+    { table: 'listings', event: '*', filter: { status: 'active' } },
+    (payload) => {
+      // Edits to a listing already in the marketplace aren't new to anyone
+      const approved = payload.eventType === 'UPDATE' && REVIEW_STATUSES.includes(payload.old.status);
+      if (payload.eventType !== 'INSERT' && !approved) return;
+      const listing = payload.new;
+      if (!currentUser || listing.owner_id === currentUser.id || blockedUserIds.has(listing.owner_id)) return;
+      const match = savedSearches.find((search) => search.alerts_enabled && listingMatchesCriteria(listing, {
+        ...search.criteria,
+        // Searches saved before the school directory may use another name
+        school: search.criteria.school ? canonicalSchoolName(search.criteria.school) : '',
+      }));
+      if (match) showSearchAlert(match, listing);
+    }
+  );
+}
+
+/**
+ * End the saved search alert subscription, e.g. when the user logs out.
+ */
+function stopSearchAlerts() {
+  if (searchAlertSubscription) {
+    searchAlertSubscription.unsubscribe();
+    searchAlertSubscription = null;
+  }
+}
+
+/**
+ * Re‑count the current user's unread messages and update the nav badge.
+ */
+async function refreshUnreadCount() {
+  if (!currentUser) return;
+  const { data, error } = await db.messages.countUnread(currentUser.id);
+  if (error) return;
+  unreadMessageCount = data || 0;
+  renderUnreadBadge();
+}
+
+/**
+ * Show the unread message count on the Messages link in the nav.
+ */
+function renderUnreadBadge() {
+  const badge = document.getElementById('messages-badge');
+  if (!badge) return;
+  badge.textContent = unreadMessageCount > 99 ? '99+' : String(unreadMessageCount);
+  badge.classList.toggle('hidden', unreadMessageCount === 0);
+}
+
+/**
+ * Keep the unread badge current on every page by watching the messages
+ * sent to the current user: a new message or one being marked read
+ * triggers a re‑count.
+ */
+function startUnreadTracking() {
+  stopUnreadTracking();
+  if (!currentUser) return;
+  refreshUnreadCount();
+  unreadSubscription = db.realtime.subscribe(
+    { table: 'messages', event: '*', filter: { receiver_id: currentUser.id } },
+    () => refreshUnreadCount()
+  );
+}
+
+/**
+ * End the unread message subscription and clear the count, e.g. when the
+ * user logs out.
+ */
+function stopUnreadTracking() {
+  if (unreadSubscription) {
+    unreadSubscription.unsubscribe();
+    unreadSubscription = null;
+  }
+  unreadMessageCount = 0;
+  renderUnreadBadge();
+}
+
+/**
+ * Show an in‑app alert for a new listing matching a saved search.  Unlike
+ * the notification bar, alerts stack in the corner and stay until
+ * dismissed (or for 15 seconds) so they aren't missed.
+ *
+ * @param {object} search  The saved search that matched
+ * @param {object} listing The newly posted listing
+ */
+function showSearchAlert(search, listing) {
+  let stack = document.getElementById('search-alerts');
+  if (!stack) {
+    stack = document.createElement('div');
+    stack.id = 'search-alerts';
+    stack.className = 'search-alerts';
+    document.body.appendChild(stack);
+  }
+  const alertEl = document.createElement('div');
+  alertEl.className = 'search-alert';
+  const heading = document.createElement('div');
+  heading.className = 'search-alert-heading';
+  heading.textContent = `New match for “${search.name}”`;
+  const link = document.createElement('a');
+  link.href = `#/listing/${listing.id}`;
+  link.textContent = `${listing.title} – ${listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free'}`;
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'search-alert-close';
+  closeBtn.title = 'Dismiss';
+  closeBtn.textContent = '×';
+  const dismiss = () => alertEl.remove();
+  closeBtn.addEventListener('click', dismiss);
+  link.addEventListener('click', dismiss);
+  alertEl.appendChild(closeBtn);
+  alertEl.appendChild(heading);
+  alertEl.appendChild(link);
+  stack.appendChild(alertEl);
+  setTimeout(dismiss, 15000);
+}
+
+/**
+ * List the current user's listing drafts, combining those saved on this
+ * device with those saved to the backend (when enabled in config.js).
+ *
+ * @returns {Promise<object[]>} Drafts, most recently updated first
+ */
+async function listListingDrafts() {
+  const [{ data: localDrafts }, { data: remoteDrafts }] = await Promise.all([
+    listLocalDrafts(currentUser.id),
+    config.listingDrafts?.saveToBackend ? db.drafts.list(currentUser.id) : { data: [] },
+  ]);
+  return mergeDrafts(localDrafts || [], remoteDrafts || []);
+}
+
+/**
+ * Delete a listing draft from this device and the backend.
+ *
+ * @param {string} id Draft ID
+ */
+async function deleteListingDraft(id) {
+  await removeLocalDraft(id);
+  if (config.listingDrafts?.saveToBackend) await db.drafts.remove(id);
+}
+
+/**
+ * Render the page for creating or editing a listing.  If an ID is supplied
+ * then the existing listing is fetched and its data pre‑populated for editing.
+ * Only the owner of a listing can edit it.  Changes are autosaved as a
+ * draft (see listing-drafts.js) which a `draft` query parameter resumes;
+ * when editing, the listing's latest draft is resumed automatically.  The
+ * form can be previewed as the published detail page.  When the form is
+ * submitted any new photos are uploaded and the listing is saved; photos
+ * removed while editing are then deleted from storage.  Upon success the
+ * draft is deleted and the user is redirected to the listing detail page.
+ *
+ * @param {string|null} id           Optional listing ID to edit
+ * @param {URLSearchParams} [params] Query parameters; `draft` names a
+ *   draft to resume
+ */
+async function renderNewListingPage(id = null, params = new URLSearchParams()) {
+  const content = document.getElementById('content');
+  const template = document.getElementById('new-listing-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+  const form = content.querySelector('#listing-form');
+  const titleInput = content.querySelector('#listing-title');
+  const descriptionInput = content.querySelector('#listing-description');
+  const priceInput = content.querySelector('#listing-price');
+  const categorySelect = content.querySelector('#listing-category');
+  const imagesInput = content.querySelector('#listing-images');
+  const schoolInput = content.querySelector('#listing-school');
+  const programInput = content.querySelector('#listing-program');
+  const formTitle = content.querySelector('#listing-form-title');
+  const photoManager = content.querySelector('#photo-manager');
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const draftStatus = content.querySelector('#draft-status');
+  const discardDraftBtn = content.querySelector('#discard-draft-btn');
+  const previewBtn = content.querySelector('#preview-listing-btn');
+  const previewSection = content.querySelector('#listing-preview');
+  const previewContent = content.querySelector('#listing-preview-content');
+  const textbookFields = content.querySelector('#textbook-fields');
+  const isbnInput = content.querySelector('#listing-isbn');
+  const isbnFeedback = content.querySelector('#isbn-feedback');
+  const authorInput = content.querySelector('#listing-author');
+  const editionInput = content.querySelector('#listing-edition');
+  const courseCodeInput = content.querySelector('#listing-course-input');
+  const courseCodeChips = content.querySelector('#listing-course-chips');
+  const courseCodeOptionList = content.querySelector('#listing-course-options');
+  const courseCodeFeedback = content.querySelector('#course-code-feedback');
+  const accessCodeInput = content.querySelector('#listing-access-code');
+  const photoSettings = config.listingPhotos || {};
+  const maxPhotos = photoSettings.maxPhotos || 4;
+  // New listings default to the seller's own school
+  fillSchoolSelect(schoolInput, userProfile?.school_name);
+  // Photos of the listing, cover first: { name, previewUrl, url,
+  // thumbnailUrl, image, thumbnail, processing, progress }.  Photos already
+  // in storage have a `url` (and usually a `thumbnailUrl`); new ones hold
+  // the processed JPEG blobs in `image` and `thumbnail` until uploaded.
+  // `progress` is the upload fraction, or null when not uploading.
+  let photos = [];
+  // Index of the photo being dragged to a new position
+  let dragIndex = null;
+  // Object URLs of full-size photos shown in the preview
+  let previewObjectUrls = [];
+  // Normalised course codes the listing is tagged with
+  let courseCodes = [];
+
+  // Resume a draft: the one named in the URL or, when editing, the most
+  // recent draft of the listing
+  let draft = null;
+  const draftId = params.get('draft');
+  if (draftId) {
+    draft = (await listListingDrafts()).find((d) => d.id === draftId) || null;
+    if (draft) {
+      id = draft.listing_id;
+    } else {
+      showNotification('That draft no longer exists.', 'error');
+      params.delete('draft');
+    }
+  } else if (id) {
+    draft = (await listListingDrafts()).find((d) => d.listing_id === id) || null;
+  }
+
+  let isEditing = false;
+  let existingListing = null;
+  if (id) {
+    // Editing existing listing
+    const { data, error } = await db.listings.get(id);
+    if (error || !data) {
+      showNotification('Unable to load listing for editing.', 'error');
+      return;
+    }
+    if (data.owner_id !== currentUser.id) {
+      showNotification('You do not have permission to edit this listing.', 'error');
+      window.location.hash = '#/home';
+      return;
+    }
+    isEditing = true;
+    existingListing = data;
+    formTitle.textContent = 'Edit Listing';
+    // Prefill fields
+    titleInput.value = existingListing.title;
+    descriptionInput.value = existingListing.description;
+    priceInput.value = existingListing.price;
+    categorySelect.value = existingListing.category;
+    fillSchoolSelect(schoolInput, existingListing.school);
+    programInput.value = existingListing.program || '';
+    isbnInput.value = existingListing.isbn || '';
+    authorInput.value = existingListing.author || '';
+    editionInput.value = existingListing.edition || '';
+    courseCodes = Array.isArray(existingListing.course_codes) ? [...existingListing.course_codes] : [];
+    accessCodeInput.checked = Boolean(existingListing.includes_access_code);
+    // Start from the photos already on the listing
+    const thumbnails = existingListing.thumbnails || [];
+    photos = (existingListing.images || []).map((url, index) => ({
+      name: `Photo ${index + 1}`,
+      previewUrl: thumbnails[index] || url,
+      url,
+      thumbnailUrl: thumbnails[index] || null,
+      image: null,
+      thumbnail: null,
+      processing: false,
+      progress: null,
+    }));
+    renderPhotoManager();
+  }
+  // Bulk import only makes sense when creating listings
+  const importPanel = content.querySelector('#import-panel');
+  if (isEditing) {
+    importPanel.remove();
+  } else {
+    renderListingImport(importPanel);
+  }
+  if (draft) {
+    applyDraft(draft);
+    showNotification(`Restored your draft from ${new Date(draft.updated_at).toLocaleString()}.`, 'success');
+  }
+  updateTextbookFields();
+  showIsbnFeedback();
+  renderCourseCodes();
+
+  // Textbook details are only asked for in the textbooks category
+  categorySelect.addEventListener('change', updateTextbookFields);
+  isbnInput.addEventListener('input', () => showIsbnFeedback({ autofill: true }));
+
+  // Course codes are entered one at a time (or comma separated) and shown
+  // as chips; suggestions come from other listings at the same school
+  courseCodeInput.addEventListener('focus', () => fillCourseCodeOptions(courseCodeOptionList, schoolInput.value));
+  courseCodeInput.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== ',') return;
+    // Enter would otherwise submit the form
+    e.preventDefault();
+    addCourseCodes();
+  });
+  courseCodeInput.addEventListener('change', () => addCourseCodes());
+
+  /**
+   * Add the course codes typed in the course code input.  Codes that
+   * can't be read, or that would take the listing past MAX_COURSE_CODES,
+   * are left in the input with an explanation.
+   *
+   * @returns {boolean} Whether everything typed was added
+   */
+  function addCourseCodes() {
+    const { codes, invalid } = parseCourseCodes(courseCodeInput.value);
+    const added = codes.filter((code) => !courseCodes.includes(code));
+    courseCodeFeedback.classList.remove('field-error');
+    if (invalid.length) {
+      courseCodeFeedback.textContent = `"${invalid[0]}" doesn't look like a course code. Use the subject and number, e.g. MATH 1010.`;
+      courseCodeFeedback.classList.add('field-error');
+      return false;
+    }
+    if (courseCodes.length + added.length > MAX_COURSE_CODES) {
+      courseCodeFeedback.textContent = `A listing can have up to ${MAX_COURSE_CODES} course codes.`;
+      courseCodeFeedback.classList.add('field-error');
+      return false;
+    }
+    courseCodeInput.value = '';
+    if (added.length) {
+      courseCodes.push(...added);
+      renderCourseCodes();
+      scheduleAutosave();
+    }
+    return true;
+  }
+
+  /**
+   * Show the listing's course codes as removable chips.
+   */
+  function renderCourseCodes() {
+    courseCodeChips.innerHTML = '';
+    courseCodes.forEach((code) => {
+      const chip = document.createElement('span');
+      chip.className = 'course-chip';
+      chip.textContent = code;
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'course-chip-remove';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove ${code}`);
+      removeBtn.addEventListener('click', () => {
+        courseCodes = courseCodes.filter((c) => c !== code);
+        renderCourseCodes();
+        scheduleAutosave();
+      });
+      chip.appendChild(removeBtn);
+      courseCodeChips.appendChild(chip);
+    });
+    courseCodeFeedback.classList.remove('field-error');
+    courseCodeFeedback.textContent = courseCodes.length
+      ? ''
+      : `Add up to ${MAX_COURSE_CODES} courses at your school this is for, so classmates can find it by course.`;
+  }
+
+  /**
+   * Show the textbook fields when the textbooks category is selected.
+   */
+  function updateTextbookFields() {
+    textbookFields.classList.toggle('hidden', categorySelect.value !== 'textbooks');
+  }
+
+  /**
+   * Check the ISBN as it is typed and show both of its forms, or what is
+   * wrong with it.  With `autofill`, a book found in the local catalog
+   * fills in whichever of title, author and edition are still empty.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.autofill] Fill empty fields from the catalog
+   */
+  function showIsbnFeedback({ autofill = false } = {}) {
+    isbnFeedback.classList.remove('field-error');
+    if (!isbnInput.value.trim()) {
+      isbnFeedback.textContent = '';
+      return;
+    }
+    const { isbn13, isbn10, error } = parseIsbn(isbnInput.value);
+    if (error) {
+      isbnFeedback.textContent = error;
+      isbnFeedback.classList.add('field-error');
+      return;
+    }
+    const forms = `ISBN‑13 ${isbn13}${isbn10 ? ` · ISBN‑10 ${isbn10}` : ''}`;
+    const book = lookupTextbook(isbn13);
+    if (!book) {
+      isbnFeedback.textContent = forms;
+      return;
+    }
+    isbnFeedback.textContent = `${forms} · ${book.title}, ${book.edition} edition`;
+    if (!autofill) return;
+    if (!titleInput.value.trim()) titleInput.value = `${book.title} (${book.edition} ed.)`;
+    if (!authorInput.value.trim()) authorInput.value = book.author;
+    if (!editionInput.value.trim()) editionInput.value = book.edition;
+  }
+
+  // Autosave.  The draft keeps its ID from the first change on, and the
+  // ID is put in the URL so that reloading the page resumes it.
+  const draftSettings = config.listingDrafts || {};
+  const currentDraftId = draft ? draft.id : crypto.randomUUID();
+  let hasUnpublishedChanges = false;
+  let autosaveTimer = null;
+  let savingDraft = Promise.resolve();
+  const guard = {
+    hash: window.location.hash,
+    hasUnsavedChanges: () => hasUnpublishedChanges,
+    save: () => saveDraft(),
+    message: "Your listing hasn't been published. Leave this page? Your changes are kept under My drafts on your profile.",
+  };
+  pageLeaveGuard = guard;
+  discardDraftBtn.classList.toggle('hidden', !draft);
+  form.addEventListener('input', scheduleAutosave);
+  form.addEventListener('change', scheduleAutosave);
+
+  /**
+   * Fill the form from a draft.
+   *
+   * @param {object} saved Draft from listListingDrafts()
+   */
+  function applyDraft(saved) {
+    const fields = saved.fields || {};
+    titleInput.value = fields.title || '';
+    descriptionInput.value = fields.description || '';
+    priceInput.value = fields.price ?? '';
+    if (fields.category) categorySelect.value = fields.category;
+    fillSchoolSelect(schoolInput, fields.school);
+    programInput.value = fields.program || '';
+    isbnInput.value = fields.isbn || '';
+    authorInput.value = fields.author || '';
+    editionInput.value = fields.edition || '';
+    courseCodes = parseCourseCodes(fields.course_codes || []).codes;
+    accessCodeInput.checked = Boolean(fields.includes_access_code);
+    // Photos saved only to the backend copy have no blobs and are lost
+    photos = (saved.photos || [])
+      .filter((p) => p.url || p.image)
+      .map((p) => ({
+        name: p.name,
+        previewUrl: p.url ? p.thumbnail_url || p.url : URL.createObjectURL(p.thumbnail || p.image),
+        url: p.url || null,
+        thumbnailUrl: p.thumbnail_url || null,
+        image: p.image || null,
+        thumbnail: p.thumbnail || null,
+        processing: false,
+        progress: null,
+      }));
+    renderPhotoManager();
+  }
+
+  /**
+   * Note that the form changed and save the draft once it has been left
+   * alone for `listingDrafts.autosaveSeconds`.
+   */
+  function scheduleAutosave() {
+    hasUnpublishedChanges = true;
+    draftStatus.textContent = 'Unsaved changes';
+    if (pageLeaveGuard === guard && !params.get('draft')) {
+      params.set('draft', currentDraftId);
+      guard.hash = buildHash('new-listing', existingListing ? existingListing.id : null, { draft: currentDraftId });
+      history.replaceState(null, '', guard.hash);
+    }
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveDraft, (draftSettings.autosaveSeconds || 2) * 1000);
+  }
+
+  /**
+   * Save the form as a draft now, on this device and (if enabled) to the
+   * backend.  Photos still being processed are left out.
+   *
+   * @returns {Promise<void>} Resolves once the draft is saved
+   */
+  function saveDraft() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    const record = {
+      id: currentDraftId,
+      user_id: currentUser.id,
+      listing_id: existingListing ? existingListing.id : null,
+      fields: {
+        title: titleInput.value,
+        description: descriptionInput.value,
+        price: priceInput.value,
+        category: categorySelect.value,
+        school: schoolInput.value,
+        program: programInput.value,
+        isbn: isbnInput.value,
+        author: authorInput.value,
+        edition: editionInput.value,
+        course_codes: courseCodes,
+        includes_access_code: accessCodeInput.checked,
+      },
+      photos: photos
+        .filter((p) => !p.processing)
+        .map((p) => ({
+          name: p.name,
+          url: p.url,
+          thumbnail_url: p.thumbnailUrl,
+          image: p.url ? null : p.image,
+          thumbnail: p.url ? null : p.thumbnail,
+        })),
+      updated_at: new Date().toISOString(),
+    };
+    savingDraft = savingDraft.then(async () => {
+      const { error: localError } = await saveLocalDraft(record);
+      let remoteError = null;
+      if (draftSettings.saveToBackend) {
+        ({ error: remoteError } = await db.drafts.save(toRemoteDraft(record)));
+      }
+      if (localError && (remoteError || !draftSettings.saveToBackend)) {
+        draftStatus.textContent = "Draft couldn't be saved";
+        return;
+      }
+      draftStatus.textContent = `Draft saved at ${new Date(record.updated_at).toLocaleTimeString()}`;
+      discardDraftBtn.classList.remove('hidden');
+    });
+    return savingDraft;
+  }
+
+  /**
+   * Stop autosaving and delete the draft, e.g. once the listing is
+   * published.
+   */
+  async function dropDraft() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    await savingDraft;
+    await deleteListingDraft(currentDraftId);
+    hasUnpublishedChanges = false;
+    if (pageLeaveGuard === guard) pageLeaveGuard = null;
+  }
+
+  discardDraftBtn.addEventListener('click', async () => {
+    if (!confirm('Discard this draft? Changes that haven\'t been published will be lost.')) return;
+    await dropDraft();
+    showNotification('Draft discarded.', 'success');
+    // Start again from the published listing, or an empty form
+    const listingId = existingListing ? existingListing.id : null;
+    const hash = buildHash('new-listing', listingId);
+    if (window.location.hash === hash) {
+      renderNewListingPage(listingId);
+    } else {
+      window.location.hash = hash;
+    }
+  });
+
+  previewBtn.addEventListener('click', () => {
+    if (photos.some((p) => p.processing)) {
+      showNotification('Your photos are still being prepared. Try again in a moment.', 'error');
+      return;
+    }
+    // New photos are shown from their processed blobs
+    previewObjectUrls = [];
+    const images = photos.map((p) => {
+      if (p.url) return p.url;
+      const url = URL.createObjectURL(p.image);
+      previewObjectUrls.push(url);
+      return url;
+    });
+    const listingId = existingListing ? existingListing.id : currentDraftId;
+    previewContent.innerHTML = '';
+    renderListingContent(previewContent, buildListingRecord(listingId, images, images));
+    form.classList.add('hidden');
+    previewSection.classList.remove('hidden');
+    window.scrollTo(0, 0);
+  });
+
+  /**
+   * Leave the preview and show the form again.
+   */
+  function closePreview() {
+    previewObjectUrls.forEach((url) => URL.revokeObjectURL(url));
+    previewObjectUrls = [];
+    previewSection.classList.add('hidden');
+    form.classList.remove('hidden');
+  }
+
+  content.querySelector('#preview-back-btn').addEventListener('click', closePreview);
+  content.querySelector('#preview-publish-btn').addEventListener('click', () => {
+    closePreview();
+    form.requestSubmit();
+  });
+
+  /**
+   * Build the listing row from the form.  Used both to save the listing
+   * and to preview it.
+   *
+   * @param {string} listingId      Listing ID
+   * @param {string[]} imageUrls    Photo URLs, cover first
+   * @param {string[]} thumbnailUrls Thumbnail URLs in the same order
+   * @returns {object} Listing row
+   */
+  function buildListingRecord(listingId, imageUrls, thumbnailUrls) {
+    const program = programInput.value.trim();
+    // Textbook details are dropped if the category was changed away
+    const isTextbook = categorySelect.value === 'textbooks';
+    const textbookValue = (input) => (isTextbook && input.value.trim()) || null;
+    return {
+      id: listingId,
+      owner_id: currentUser.id,
+      owner_name: userProfile?.full_name || currentUser.email,
+      owner_email: currentUser.email,
+      title: titleInput.value.trim(),
+      description: descriptionInput.value.trim(),
+      price: parseFloat(priceInput.value),
+      category: categorySelect.value,
+      images: imageUrls,
+      thumbnails: thumbnailUrls,
+      school: schoolInput.value.trim(),
+      program: program || null,
+      isbn: isTextbook ? parseIsbn(isbnInput.value).isbn13 : null,
+      author: textbookValue(authorInput),
+      edition: textbookValue(editionInput),
+      course_codes: [...courseCodes],
+      includes_access_code: isTextbook && accessCodeInput.checked,
+      // Editing keeps the listing's place in its lifecycle; a new listing
+      // starts active for the configured lifetime.
+      status: existingListing ? existingListing.status : 'active',
+      expires_at: existingListing
+        ? existingListing.expires_at
+        : listingExpiryDate(config.listingLifetimeDays || 60),
+    };
+  }
+
+  imagesInput.addEventListener('change', () => {
+    const files = Array.from(imagesInput.files);
+    // Allow choosing the same file again after removing it
+    imagesInput.value = '';
+    const remaining = maxPhotos - photos.length;
+    if (files.length > remaining) {
+      showNotification(
+        remaining > 0
+          ? `A listing can have up to ${maxPhotos} photos. You selected ${files.length}, but only ${remaining} more can be added.`
+          : `A listing can have up to ${maxPhotos} photos. Remove one before adding another.`,
+        'error',
+      );
+      return;
+    }
+    files.forEach(addPhoto);
+  });
+
+  /**
+   * Add a chosen file to the photo list and process it in the background.
+   * The original is previewed until its thumbnail is ready.
+   *
+   * @param {File} file Photo chosen by the user
+   */
+  async function addPhoto(file) {
+    const photo = {
+      name: file.name,
+      previewUrl: URL.createObjectURL(file),
+      url: null,
+      thumbnailUrl: null,
+      image: null,
+      thumbnail: null,
+      processing: true,
+      progress: null,
+    };
+    photos.push(photo);
+    renderPhotoManager();
+    try {
+      const { image, thumbnail } = await processListingPhoto(file, photoSettings);
+      // The photo may have been removed while it was being processed
+      if (!photos.includes(photo)) return;
+      URL.revokeObjectURL(photo.previewUrl);
+      photo.image = image;
+      photo.thumbnail = thumbnail;
+      photo.previewUrl = URL.createObjectURL(thumbnail);
+      photo.processing = false;
+    } catch (err) {
+      showNotification(err.message, 'error');
+      if (photos.includes(photo)) removePhoto(photo);
+      return;
+    }
+    renderPhotoManager();
+    scheduleAutosave();
+  }
+
+  /**
+   * Drop a photo from the list.
+   *
+   * @param {object} photo Entry of `photos`
+   */
+  function removePhoto(photo) {
+    if (photo.previewUrl.startsWith('blob:')) URL.revokeObjectURL(photo.previewUrl);
+    photos = photos.filter((p) => p !== photo);
+    renderPhotoManager();
+    scheduleAutosave();
+  }
+
+  /**
+   * Move a photo to a new position; position 0 makes it the cover.
+   *
+   * @param {number} from Current index
+   * @param {number} to   New index
+   */
+  function movePhoto(from, to) {
+    if (from === to) return;
+    const [photo] = photos.splice(from, 1);
+    photos.splice(to, 0, photo);
+    renderPhotoManager();
+    scheduleAutosave();
+  }
+
+  /**
+   * Draw the chosen photos.  Each can be dragged onto another to take its
+   * place, made the cover or removed; while uploading, a progress bar
+   * replaces the controls.
+   */
+  function renderPhotoManager() {
+    photoManager.innerHTML = '';
+    photoManager.classList.toggle('hidden', photos.length === 0);
+    const uploading = photos.some((p) => p.progress !== null);
+    photos.forEach((photo, index) => {
+      const item = document.createElement('div');
+      item.className = 'photo-item';
+      if (photo.processing) item.classList.add('processing');
+      const img = document.createElement('img');
+      img.src = photo.previewUrl;
+      img.alt = photo.name;
+      img.draggable = false;
+      item.appendChild(img);
+      if (index === 0) {
+        const cover = document.createElement('span');
+        cover.className = 'photo-cover';
+        cover.textContent = 'Cover';
+        item.appendChild(cover);
+      }
+      if (photo.progress !== null) {
+        const progress = document.createElement('progress');
+        progress.max = 1;
+        progress.value = photo.progress;
+        item.appendChild(progress);
+      } else if (!uploading) {
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => {
+          dragIndex = index;
+          e.dataTransfer.effectAllowed = 'move';
+          item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => {
+          dragIndex = null;
+          item.classList.remove('dragging');
+        });
+        item.addEventListener('dragover', (e) => {
+          if (dragIndex === null) return;
+          e.preventDefault();
+          item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+        item.addEventListener('drop', (e) => {
+          e.preventDefault();
+          if (dragIndex !== null) movePhoto(dragIndex, index);
+        });
+        const actions = document.createElement('div');
+        actions.className = 'photo-actions';
+        if (index > 0) {
+          const coverBtn = document.createElement('button');
+          coverBtn.type = 'button';
+          coverBtn.textContent = 'Make cover';
+          coverBtn.addEventListener('click', () => movePhoto(index, 0));
+          actions.appendChild(coverBtn);
+        } else {
+          actions.appendChild(document.createElement('span'));
+        }
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'photo-remove';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removePhoto(photo));
+        actions.appendChild(removeBtn);
+        item.appendChild(actions);
+      }
+      photoManager.appendChild(item);
+    });
+  }
+
+  /**
+   * Upload the photos added since the page was opened, with their
+   * thumbnails, under the listing's folder.  Uploads are named by random
+   * IDs rather than the original file names.  If any upload fails the ones
+   * already made are removed again.
+   *
+   * @param {string} listingId Listing the photos belong to
+   * @returns {Promise<boolean>} Whether every photo was uploaded
+   */
+  async function uploadPhotos(listingId) {
+    const pending = photos.filter((p) => !p.url);
+    pending.forEach((photo) => { photo.progress = 0; });
+    renderPhotoManager();
+    const uploadedPaths = [];
+    for (const photo of pending) {
+      const name = `${crypto.randomUUID()}.jpg`;
+      const imagePath = `${listingId}/${name}`;
+      const thumbnailPath = `${listingId}/thumbs/${name}`;
+      // Ensure the bucket exists and is public.  See README for set‑up.
+      let { error: uploadError } = await db.storage.upload(LISTING_IMAGE_BUCKET, imagePath, photo.image, {
+        cacheControl: '3600',
+        onProgress: (fraction) => {
+          // The thumbnail is small, so the bar tracks the photo itself
+          photo.progress = fraction * 0.95;
+          renderPhotoManager();
+        },
+      });
+      if (!uploadError) {
+        uploadedPaths.push(imagePath);
+        ({ error: uploadError } = await db.storage.upload(LISTING_IMAGE_BUCKET, thumbnailPath, photo.thumbnail, {
+          cacheControl: '3600',
+        }));
+      }
+      if (uploadError) {
+        showNotification(`Failed to upload ${photo.name}.`, 'error');
+        if (uploadedPaths.length) await db.storage.remove(LISTING_IMAGE_BUCKET, uploadedPaths);
+        pending.forEach((p) => {
+          p.url = null;
+          p.thumbnailUrl = null;
+          p.progress = null;
+        });
+        renderPhotoManager();
+        return false;
+      }
+      uploadedPaths.push(thumbnailPath);
+      photo.url = db.storage.getPublicUrl(LISTING_IMAGE_BUCKET, imagePath);
+      photo.thumbnailUrl = db.storage.getPublicUrl(LISTING_IMAGE_BUCKET, thumbnailPath);
+      photo.progress = 1;
+      renderPhotoManager();
+    }
+    pending.forEach((photo) => { photo.progress = null; });
+    renderPhotoManager();
+    return true;
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const title = titleInput.value.trim();
+    const description = descriptionInput.value.trim();
+    const price = parseFloat(priceInput.value);
+    const school = schoolInput.value.trim();
+    if (!title || !description || !school || isNaN(price)) {
+      showNotification('Please fill in all required fields.', 'error');
+      return;
+    }
+    // A course code typed but not yet added as a chip still counts
+    if (!addCourseCodes()) {
+      courseCodeInput.focus();
+      return;
+    }
+    if (categorySelect.value === 'textbooks' && isbnInput.value.trim()) {
+      const { error: isbnError } = parseIsbn(isbnInput.value);
+      if (isbnError) {
+        showNotification(isbnError, 'error');
+        isbnInput.focus();
+        return;
+      }
+    }
+    if (photos.some((p) => p.processing)) {
+      showNotification('Your photos are still being prepared. Try again in a moment.', 'error');
+      return;
+    }
+    const listingId = isEditing ? existingListing.id : crypto.randomUUID();
+    // Warn before posting what reads like one of the seller's active listings
+    const { data: ownListings } = await db.listings.listByOwner(currentUser.id);
+    const [duplicate] = findSimilarListings(
+      { id: listingId, title, description, category: categorySelect.value },
+      (ownListings || []).filter((listing) => listingStatus(listing) === 'active'),
+      config.duplicateListingThreshold ?? 0.7
+    );
+    if (duplicate && !confirm(`This looks very similar to your listing "${duplicate.listing.title}". Save it anyway?`)) {
+      return;
+    }
+    const newPhotos = photos.filter((p) => !p.url);
+    submitBtn.disabled = true;
+    const uploaded = await uploadPhotos(listingId);
+    submitBtn.disabled = false;
+    if (!uploaded) return;
+    // Photos from before thumbnails existed stand in as their own thumbnail
+    // so that both arrays stay in step
+    const imageUrls = photos.map((p) => p.url);
+    const thumbnailUrls = photos.map((p) => p.thumbnailUrl || p.url);
+    const listingRecord = buildListingRecord(listingId, imageUrls, thumbnailUrls);
+    let opError;
+    let saved;
+    if (isEditing) {
+      ({ data: saved, error: opError } = await db.listings.update(listingId, listingRecord));
+    } else {
+      // The counters are kept by the database from here on, and an edit
+      // keeps the listing's original created_at
+      ({ data: saved, error: opError } = await db.listings.create({
+        ...listingRecord,
+        created_at: new Date().toISOString(),
+        view_count: 0,
+        rating_sum: 0,
+        rating_count: 0,
+      }));
+    }
+    if (opError) {
+      // Don't leave the new uploads behind; they are uploaded again on the
+      // next attempt
+      await removeListingPhotos(newPhotos.flatMap((p) => [p.url, p.thumbnailUrl]));
+      newPhotos.forEach((p) => {
+        p.url = null;
+        p.thumbnailUrl = null;
+      });
+      showNotification(isRateLimitError(opError) ? rateLimitNotice('listings') : 'Failed to save listing.', 'error');
+    } else {
+      if (existingListing) {
+        // Delete the stored photos the listing no longer uses
+        const kept = new Set([...imageUrls, ...thumbnailUrls]);
+        const previous = [...(existingListing.images || []), ...(existingListing.thumbnails || [])];
+        await removeListingPhotos(previous.filter((url) => !kept.has(url)));
+      }
+      await dropDraft();
+      // The listing's course codes are now suggestions for others
+      courseCodeOptions.clear();
+      if (saved?.status === 'pending') {
+        showNotification('Listing saved. An admin will review it before it appears in the marketplace.', 'info');
+      } else {
+        showNotification('Listing saved successfully!', 'success');
+      }
+      // Redirect to details page
+      window.location.hash = `#/listing/${listingId}`;
+    }
+  });
+}
+
+/**
+ * Set up the bulk import panel of the listing form.  A chosen CSV or JSON
+ * file (see listing-import.js) is checked row by row and a report lists
+ * each row as ready or with its problems; the valid rows can then be
+ * created as listings in one batch.
+ *
+ * @param {HTMLElement} panel The #import-panel element
+ */
+function renderListingImport(panel) {
+  const fileInput = panel.querySelector('#import-file');
+  const report = panel.querySelector('#import-report');
+  const submitBtn = panel.querySelector('#import-submit-btn');
+  // Listing fields of the rows that passed validation
+  let validRows = [];
+
+  panel.querySelector('#import-template-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    downloadFile('listings-template.csv', formatListingFile([], 'csv'), 'text/csv');
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    validRows = [];
+    report.innerHTML = '';
+    submitBtn.classList.add('hidden');
+    if (!file) {
+      report.classList.add('hidden');
+      return;
+    }
+    const format = /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+    const { records, error } = parseListingFile(await file.text(), format);
+    report.classList.remove('hidden');
+    let problem = error;
+    if (!problem && records.length === 0) problem = 'The file has no listings in it.';
+    if (!problem && records.length > MAX_IMPORT_ROWS) {
+      problem = `A file can hold up to ${MAX_IMPORT_ROWS} listings; this one has ${records.length}. Split it into smaller files.`;
+    }
+    if (problem) {
+      const message = document.createElement('p');
+      message.className = 'import-error';
+      message.textContent = problem;
+      report.appendChild(message);
+      return;
+    }
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Row</th><th>Title</th><th>Result</th></tr></thead>';
+    const body = document.createElement('tbody');
+    records.forEach(({ rowNumber, values }) => {
+      const { fields, errors } = validateListingRecord(values, { school: userProfile?.school_name, schools: schoolDirectory });
+      if (fields) validRows.push(fields);
+      const row = document.createElement('tr');
+      const numberCell = document.createElement('td');
+      numberCell.textContent = rowNumber;
+      const titleCell = document.createElement('td');
+      titleCell.textContent = values.title || '—';
+      const resultCell = document.createElement('td');
+      resultCell.className = fields ? 'import-ok' : 'import-error';
+      resultCell.textContent = fields ? 'Ready' : errors.join(' ');
+      row.append(numberCell, titleCell, resultCell);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    const summary = document.createElement('p');
+    const invalid = records.length - validRows.length;
+    summary.textContent = `${validRows.length} ready to import${invalid ? `, ${invalid} with errors that will be skipped` : ''}.`;
+    report.append(summary, table);
+    const overLimit = await importOverRateLimit();
+    if (overLimit) {
+      const message = document.createElement('p');
+      message.className = 'import-error';
+      message.textContent = overLimit;
+      report.insertBefore(message, table);
+      return;
+    }
+    if (validRows.length > 0) {
+      submitBtn.textContent = `Create ${validRows.length} Listing${validRows.length === 1 ? '' : 's'}`;
+      submitBtn.classList.remove('hidden');
+    }
+  });
+
+  /**
+   * Check the valid rows against the listings the user may still create
+   * under their rate limit, since the import is one insert that fails as
+   * a whole once a row is over it.
+   *
+   * @returns {Promise<string|null>} What is wrong, or null when they fit
+   */
+  async function importOverRateLimit() {
+    const { data: remaining } = await db.rateLimits.remaining('listings');
+    if (remaining === null || remaining === undefined || validRows.length <= remaining) return null;
+    if (remaining === 0) return rateLimitNotice('listings');
+    const limit = config.rateLimits?.listings ? ` (the limit is ${describeRateLimit(config.rateLimits.listings)})` : '';
+    return `You can create ${remaining} more listing${remaining === 1 ? '' : 's'} right now${limit}. Remove some rows and choose the file again, or import the rest later.`;
+  }
+
+  submitBtn.addEventListener('click', async () => {
+    if (validRows.length === 0) return;
+    const overLimit = await importOverRateLimit();
+    if (overLimit) {
+      showNotification(overLimit, 'error');
+      return;
+    }
+    const { data: ownListings } = await db.listings.listByOwner(currentUser.id);
+    const active = (ownListings || []).filter((listing) => listingStatus(listing) === 'active');
+    const threshold = config.duplicateListingThreshold ?? 0.7;
+    const repeats = validRows.filter((fields) => findSimilarListings(fields, active, threshold).length > 0).length;
+    if (repeats && !confirm(`${repeats} of these look${repeats === 1 ? 's' : ''} very similar to listings you already have. Import anyway?`)) {
+      return;
+    }
+    const createdAt = new Date().toISOString();
+    const records = validRows.map((fields) => ({
+      id: crypto.randomUUID(),
+      owner_id: currentUser.id,
+      owner_name: userProfile?.full_name || currentUser.email,
+      owner_email: currentUser.email,
+      ...fields,
+      // Imported photos are linked rather than uploaded, so there are no
+      // separate thumbnails
+      thumbnails: fields.images,
+      created_at: createdAt,
+      view_count: 0,
+      rating_sum: 0,
+      rating_count: 0,
+      status: 'active',
+      expires_at: listingExpiryDate(config.listingLifetimeDays || 60),
+    }));
+    submitBtn.disabled = true;
+    const { data: created, error } = await db.listings.createMany(records);
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(
+        isRateLimitError(error) ? rateLimitNotice('listings') : `Couldn't create the listings: ${error.message}`,
+        'error'
+      );
+      return;
+    }
+    const held = (created || []).filter((listing) => listing.status === 'pending').length;
+    showNotification(
+      `Created ${records.length} listing${records.length === 1 ? '' : 's'}.${held ? ` ${held} will appear once an admin has reviewed them.` : ''}`,
+      held ? 'info' : 'success'
+    );
+    window.location.hash = '#/profile';
+  });
+}
+
+/**
+ * Render the detail view for a single listing.  The page shows all images,
  * description, seller information and provides controls for saving, editing,
  * deleting, reporting and initiating a conversation with the seller.  When
  * accessed, the listing's view count is incremented.
  *
- * @param {string} id The listing ID to display
+ * @param {string} id The listing ID to display
+ */
+async function renderListingDetailsPage(id) {
+  const content = document.getElementById('content');
+  const template = document.getElementById('listing-details-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const wrapper = template.content.cloneNode(true);
+  content.appendChild(wrapper);
+  const container = content.querySelector('#listing-details-content');
+  container.innerHTML = '<p class="text-center">Loading...</p>';
+  // Fetch listing
+  const { data, error } = await db.listings.get(id);
+  // Listings held for review are only shown to their owner and the admins
+  const hidden = data && REVIEW_STATUSES.includes(data.status)
+    && data.owner_id !== currentUser?.id && !userProfile?.is_admin;
+  if (error || !data || listingStatus(data) === 'deleted' || hidden) {
+    container.innerHTML = '<p class="text-red-600">Listing not found or has been removed.</p>';
+    return;
+  }
+  const listing = data;
+  // Increment view count
+  await db.listings.recordView(id);
+  // Reviews, including the current user's own review if they left one
+  const { data: ratingsData } = await db.ratings.listForListing(listing.id);
+  const ownReview = currentUser ? (ratingsData || []).find((r) => r.user_id === currentUser.id) : null;
+  // Preload saved IDs
+  if (currentUser) {
+    await loadSavedListingIds();
+  }
+  // Clear container and build UI
+  container.innerHTML = '';
+  renderListingContent(container, listing);
+  const status = listingStatus(listing);
+  // Controls (save, contact, edit/delete, report)
+  const controls = document.createElement('div');
+  controls.className = 'mt-6 flex flex-wrap gap-4 items-center';
+  // Save button
+  if (currentUser) {
+    const saveBtn = document.createElement('button');
+    const isSaved = savedListingIds.has(listing.id);
+    saveBtn.innerHTML = isSaved ? '❤️ Saved' : '🤍 Save';
+    saveBtn.className = 'px-4 py-2 rounded border border-gray-300 hover:bg-gray-100';
+    saveBtn.addEventListener('click', async () => {
+      if (savedListingIds.has(listing.id)) {
+        await db.savedListings.remove(currentUser.id, listing.id);
+        savedListingIds.delete(listing.id);
+        saveBtn.innerHTML = '🤍 Save';
+      } else {
+        await db.savedListings.add(currentUser.id, listing.id);
+        savedListingIds.add(listing.id);
+        saveBtn.innerHTML = '❤️ Saved';
+      }
+    });
+    controls.appendChild(saveBtn);
+    // Contact seller button (if not owner)
+    if (listing.owner_id !== currentUser.id) {
+      const contactBtn = document.createElement('button');
+      contactBtn.textContent = 'Contact Seller';
+      contactBtn.className = 'px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700';
+      contactBtn.addEventListener('click', () => {
+        if (blockedByRestriction('send messages')) return;
+        // Open (or start) the conversation about this listing
+        openConversationWith(listing.owner_id, listing.id);
+      });
+      controls.appendChild(contactBtn);
+    }
+    // Make an offer button (if not owner and still available) – opens the
+    // offer modal
+    if (listing.owner_id !== currentUser.id && status === 'active') {
+      const offerBtn = document.createElement('button');
+      offerBtn.textContent = 'Make an Offer';
+      offerBtn.className = 'px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700';
+      offerBtn.addEventListener('click', () => {
+        if (blockedByRestriction('make offers')) return;
+        showOfferModal({
+          heading: 'Make an offer',
+          initialAmount: listing.price,
+          onSubmit: async (amount) => {
+            const { error } = await submitOffer(listing, amount);
+            if (error) return error;
+            showNotification('Offer sent to the seller.', 'success');
+            renderListingDetailsPage(listing.id);
+            return null;
+          },
+        });
+      });
+      controls.appendChild(offerBtn);
+    }
+    // Review button (if not owner) – opens the review modal, prefilled
+    // with the user's existing review so it can be edited
+    if (listing.owner_id !== currentUser.id) {
+      const rateBtn = document.createElement('button');
+      rateBtn.textContent = ownReview ? 'Edit Your Review' : 'Leave a Review';
+      rateBtn.className = 'px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600';
+      rateBtn.addEventListener('click', () => {
+        if (blockedByRestriction('review listings')) return;
+        showRatingModal(listing, ownReview);
+      });
+      controls.appendChild(rateBtn);
+    }
+    // Edit & delete buttons if owner
+    if (listing.owner_id === currentUser.id) {
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit';
+      editBtn.className = 'px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600';
+      editBtn.addEventListener('click', () => {
+        window.location.hash = `#/new-listing/${listing.id}`;
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.className = 'px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600';
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm('Are you sure you want to delete this listing?')) return;
+        const { error } = await db.listings.update(listing.id, {
+          status: 'deleted',
+          status_changed_at: new Date().toISOString(),
+          images: [],
+          thumbnails: [],
+        });
+        if (error) {
+          showNotification('Failed to delete the listing.', 'error');
+          return;
+        }
+        await removeListingPhotos([...(listing.images || []), ...(listing.thumbnails || [])]);
+        showNotification('Listing deleted.', 'success');
+        window.location.hash = '#/home';
+      });
+      controls.appendChild(editBtn);
+      renderStatusControls(listing, controls);
+      controls.appendChild(deleteBtn);
+    }
+  }
+  // Report button (for all viewers)
+  const reportBtn = document.createElement('button');
+  reportBtn.textContent = 'Report Listing';
+  reportBtn.className = 'px-4 py-2 bg-red-100 text-red-600 rounded hover:bg-red-200';
+  reportBtn.addEventListener('click', () => {
+    if (!currentUser) {
+      showNotification('Please log in to report listings.', 'error');
+      return;
+    }
+    if (blockedByRestriction('report listings')) return;
+    showReportModal(listing);
+  });
+  controls.appendChild(reportBtn);
+  container.appendChild(controls);
+  // Offers: the seller sees every offer on the listing, a buyer their own
+  if (currentUser) {
+    const offersSection = document.createElement('div');
+    container.appendChild(offersSection);
+    renderListingOffers(listing, offersSection);
+  }
+  // Rating summary
+  const ratingSummary = document.createElement('p');
+  ratingSummary.className = 'mt-4 text-gray-700';
+  const averageRating = listing.rating_count > 0 ? (listing.rating_sum / listing.rating_count).toFixed(1) : null;
+  ratingSummary.textContent = averageRating
+    ? `Rating: ${averageRating} / 5 from ${listing.rating_count} ratings`
+    : 'No ratings yet';
+  container.appendChild(ratingSummary);
+  // Reviews list
+  if (ratingsData && ratingsData.length) {
+    const ratingList = document.createElement('div');
+    ratingList.className = 'mt-4 space-y-4';
+    ratingsData.forEach((r) => {
+      ratingList.appendChild(renderReview(r, listing));
+    });
+    container.appendChild(ratingList);
+  }
+}
+
+/**
+ * Build the body of a listing's detail view: photo gallery, title, status,
+ * price, category, school, seller and description.  Shared by the detail
+ * page and the listing form's preview so a preview looks exactly like the
+ * published listing.
+ *
+ * @param {HTMLElement} container Element to append to
+ * @param {object} listing        Listing row (or the unsaved listing being
+ *   previewed)
+ */
+function renderListingContent(container, listing) {
+  // Image gallery
+  const gallery = document.createElement('div');
+  gallery.className = 'w-full flex flex-col md:flex-row gap-4';
+  const mainImg = document.createElement('img');
+  mainImg.className = 'w-full md:w-2/3 h-64 object-cover rounded';
+  const images = Array.isArray(listing.images) && listing.images.length > 0 ? listing.images : ['https://placehold.co/600x400?text=No+Image'];
+  mainImg.src = images[0];
+  gallery.appendChild(mainImg);
+  if (images.length > 1) {
+    const thumbs = document.createElement('div');
+    thumbs.className = 'flex md:flex-col md:w-1/3 gap-2 overflow-x-auto';
+    images.forEach((url) => {
+      const thumb = document.createElement('img');
+      thumb.src = url;
+      thumb.className = 'h-20 w-20 object-cover rounded cursor-pointer';
+      thumb.addEventListener('click', () => {
+        mainImg.src = url;
+      });
+      thumbs.appendChild(thumb);
+    });
+    gallery.appendChild(thumbs);
+  }
+  container.appendChild(gallery);
+  // Title & price
+  const titleEl = document.createElement('h2');
+  titleEl.className = 'text-3xl font-semibold mt-4';
+  titleEl.textContent = listing.title;
+  container.appendChild(titleEl);
+  const status = listingStatus(listing);
+  const isOwner = currentUser && listing.owner_id === currentUser.id;
+  const statusBadge = createStatusBadge(listing);
+  if (statusBadge) container.appendChild(statusBadge);
+  if (status === 'expired' && !isOwner) {
+    const expiredNote = document.createElement('p');
+    expiredNote.className = 'text-gray-600 mt-1';
+    expiredNote.textContent = 'This listing has expired and may no longer be available.';
+    container.appendChild(expiredNote);
+  }
+  const priceEl = document.createElement('p');
+  priceEl.className = 'text-2xl text-blue-600 font-bold mt-2';
+  priceEl.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
+  container.appendChild(priceEl);
+  // Category, school, program
+  const metaEl = document.createElement('p');
+  metaEl.className = 'text-gray-600 mt-1';
+  metaEl.textContent = `${listing.category} • ${listing.school}${listing.program ? ' • ' + listing.program : ''}`;
+  container.appendChild(metaEl);
+  const courseChips = createCourseChips(listing);
+  if (courseChips) container.appendChild(courseChips);
+  const textbookDetails = renderTextbookDetails(listing);
+  if (textbookDetails) container.appendChild(textbookDetails);
+  // Seller info
+  const sellerEl = document.createElement('p');
+  sellerEl.className = 'mt-1';
+  sellerEl.innerHTML = `<span class="font-semibold">Seller:</span> ${listing.owner_name}`;
+  container.appendChild(sellerEl);
+  // Description
+  const descEl = document.createElement('p');
+  descEl.className = 'mt-4 whitespace-pre-line';
+  descEl.textContent = listing.description;
+  container.appendChild(descEl);
+}
+
+/**
+ * Build the list of textbook details (author, edition, ISBNs and access
+ * code) shown on a textbook listing.
+ *
+ * @param {object} listing Listing row
+ * @returns {HTMLElement|null} The details, or null when the listing isn't a
+ *   textbook or has none
+ */
+function renderTextbookDetails(listing) {
+  if (listing.category !== 'textbooks') return null;
+  const { isbn13, isbn10 } = listing.isbn ? parseIsbn(listing.isbn) : {};
+  const rows = [
+    ['Author', listing.author],
+    ['Edition', listing.edition],
+    ['ISBN‑13', isbn13],
+    ['ISBN‑10', isbn10],
+  ].filter(([, value]) => value);
+  if (rows.length === 0 && !listing.includes_access_code) return null;
+  rows.push(['Access code', listing.includes_access_code ? 'Included (unused)' : 'Not included']);
+  const list = document.createElement('dl');
+  list.className = 'textbook-details';
+  rows.forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    list.append(term, detail);
+  });
+  return list;
+}
+
+/**
+ * Build the element for one review: reviewer name and date, stars,
+ * comment and the seller's reply.  The listing owner gets a form to reply
+ * (or edit their reply).
+ *
+ * @param {object} review  Row from the ratings table
+ * @param {object} listing The listing the review belongs to
+ * @returns {HTMLElement} The review element
+ */
+function renderReview(review, listing) {
+  const item = document.createElement('div');
+  item.className = 'border border-gray-200 rounded p-2';
+  const header = document.createElement('div');
+  header.className = 'review-header';
+  const nameEl = document.createElement('span');
+  nameEl.className = 'font-semibold';
+  nameEl.textContent = review.reviewer_name || 'Student';
+  header.appendChild(nameEl);
+  const dateEl = document.createElement('span');
+  dateEl.className = 'text-sm text-gray-500';
+  dateEl.textContent = new Date(review.created_at).toLocaleDateString() + (review.updated_at ? ' (edited)' : '');
+  header.appendChild(dateEl);
+  item.appendChild(header);
+  const starsEl = document.createElement('div');
+  starsEl.textContent = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+  starsEl.className = 'text-yellow-500';
+  item.appendChild(starsEl);
+  const commentEl = document.createElement('p');
+  commentEl.className = 'mt-1';
+  commentEl.textContent = review.comment || '';
+  item.appendChild(commentEl);
+  if (review.seller_reply) {
+    const replyEl = document.createElement('div');
+    replyEl.className = 'review-reply';
+    const replyLabel = document.createElement('span');
+    replyLabel.className = 'font-semibold';
+    replyLabel.textContent = 'Seller reply: ';
+    replyEl.appendChild(replyLabel);
+    replyEl.appendChild(document.createTextNode(review.seller_reply));
+    item.appendChild(replyEl);
+  }
+  if (currentUser && listing.owner_id === currentUser.id) {
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'mt-2 text-sm text-blue-600 hover:underline';
+    replyBtn.textContent = review.seller_reply ? 'Edit reply' : 'Reply';
+    replyBtn.addEventListener('click', () => {
+      replyBtn.classList.add('hidden');
+      const form = document.createElement('form');
+      form.className = 'mt-2 space-y-2';
+      form.innerHTML = `
+        <textarea rows="2" class="w-full border border-gray-300 rounded p-2" placeholder="Reply publicly to this review..."></textarea>
+        <div class="flex justify-end space-x-2">
+          <button type="button" class="px-3 py-1 rounded border">Cancel</button>
+          <button type="submit" class="px-3 py-1 bg-blue-600 text-white rounded">Post reply</button>
+        </div>
+      `;
+      const textarea = form.querySelector('textarea');
+      textarea.value = review.seller_reply || '';
+      form.querySelector('button[type="button"]').addEventListener('click', () => {
+        form.remove();
+        replyBtn.classList.remove('hidden');
+      });
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const { error } = await db.ratings.reply(review.id, textarea.value.trim());
+        if (error) {
+          showNotification('Failed to post reply.', 'error');
+          return;
+        }
+        showNotification('Reply posted.', 'success');
+        renderListingDetailsPage(listing.id);
+      });
+      item.appendChild(form);
+      textarea.focus();
+    });
+    item.appendChild(replyBtn);
+  }
+  return item;
+}
+
+/**
+ * Add the owner's lifecycle buttons for a listing: reserve or release it,
+ * mark it sold, and renew it once it has expired (or is about to).  Each
+ * change is saved and the detail page re‑rendered.  A listing held for
+ * review gets a note on where it stands instead.
+ *
+ * @param {object} listing        The listing, owned by the current user
+ * @param {HTMLElement} controls  Container for the buttons
+ */
+function renderStatusControls(listing, controls) {
+  const status = listingStatus(listing);
+  // Only an admin can take a listing out of review
+  if (REVIEW_STATUSES.includes(status)) {
+    const reviewNote = document.createElement('p');
+    reviewNote.className = 'review-note';
+    reviewNote.textContent = status === 'pending'
+      ? 'An admin is reviewing this listing before it appears in the marketplace.'
+      : `An admin rejected this listing${listing.review_note ? `: ${listing.review_note}` : '.'} Edit it to send it for review again.`;
+    controls.appendChild(reviewNote);
+    return;
+  }
+  const addButton = (label, className, patch, message) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.className = `px-4 py-2 rounded ${className}`;
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const { error } = await db.listings.update(listing.id, {
+        ...patch,
+        status_changed_at: new Date().toISOString(),
+      });
+      if (error) {
+        btn.disabled = false;
+        showNotification('Failed to update listing.', 'error');
+        return;
+      }
+      showNotification(message, 'success');
+      renderListingDetailsPage(listing.id);
+    });
+    controls.appendChild(btn);
+  };
+  if (status === 'active') {
+    addButton('Mark as Reserved', 'bg-yellow-100 hover:bg-yellow-200', { status: 'reserved' }, 'Listing marked as reserved.');
+  }
+  if (status === 'reserved') {
+    addButton('Mark as Available', 'border border-gray-300 hover:bg-gray-100', { status: 'active' }, 'Listing is available again.');
+  }
+  if (status === 'active' || status === 'reserved') {
+    addButton('Mark as Sold', 'bg-gray-800 text-white hover:bg-gray-900', { status: 'sold' }, 'Congratulations on the sale!');
+  }
+  // Offer renewal once expired, or in the last few days before expiry
+  const renewWindow = 7 * 24 * 60 * 60 * 1000;
+  const expiresSoon = listing.expires_at && new Date(listing.expires_at) - new Date() < renewWindow;
+  if (status === 'expired' || (status !== 'sold' && expiresSoon)) {
+    const days = config.listingLifetimeDays || 60;
+    addButton(
+      'Renew',
+      'bg-blue-100 text-blue-700 hover:bg-blue-200',
+      { status: status === 'reserved' ? 'reserved' : 'active', expires_at: listingExpiryDate(days) },
+      `Listing renewed for ${days} days.`
+    );
+  }
+  if (listing.expires_at && status !== 'sold') {
+    const expiryNote = document.createElement('span');
+    expiryNote.className = 'text-sm text-gray-600';
+    expiryNote.textContent = status === 'expired'
+      ? `Expired ${new Date(listing.expires_at).toLocaleDateString()}`
+      : `Expires ${new Date(listing.expires_at).toLocaleDateString()}`;
+    controls.appendChild(expiryNote);
+  }
+}
+
+/**
+ * Show a modal dialog for reviewing a listing.  This function creates a
+ * simple overlay with star inputs and an optional comment field, prefilled
+ * when the user is editing their earlier review.  Each user has one review
+ * per listing; the backend keeps the listing's and seller's rating
+ * aggregates in step with it.
+ *
+ * @param {object} listing          The listing being reviewed
+ * @param {object} [existingReview] The user's current review, if any
+ */
+function showRatingModal(listing, existingReview = null) {
+  if (!currentUser) {
+    showNotification('Please log in to leave a rating.', 'error');
+    return;
+  }
+  // Create overlay
+  const overlay = document.createElement('div');
+  overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+  const modal = document.createElement('div');
+  modal.className = 'bg-white rounded p-6 w-96';
+  modal.innerHTML = `
+    <h3 class="text-xl font-semibold mb-4">${existingReview ? 'Edit your review' : 'Review this listing'}</h3>
+    <div id="star-container" class="flex space-x-1 mb-4">
+      ${[1, 2, 3, 4, 5]
+        .map((i) => `<span data-star="${i}" class="cursor-pointer text-2xl text-gray-300">★</span>`) .join('')}
+    </div>
+    <textarea id="rating-comment" rows="3" placeholder="Optional comment..." class="w-full border border-gray-300 rounded p-2 mb-4"></textarea>
+    <div class="flex justify-end space-x-2">
+      <button id="cancel-rating" class="px-3 py-1 rounded border">Cancel</button>
+      <button id="submit-rating" class="px-3 py-1 bg-yellow-500 text-white rounded">Submit</button>
+    </div>
+  `;
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  // Star selection logic
+  let selectedRating = 0;
+  const starSpans = modal.querySelectorAll('[data-star]');
+  const showStars = () => {
+    starSpans.forEach((s, idx) => {
+      s.classList.toggle('text-yellow-500', idx < selectedRating);
+      s.classList.toggle('text-gray-300', idx >= selectedRating);
+    });
+  };
+  starSpans.forEach((star) => {
+    star.addEventListener('click', () => {
+      selectedRating = parseInt(star.getAttribute('data-star'));
+      showStars();
+    });
+  });
+  if (existingReview) {
+    selectedRating = existingReview.rating;
+    modal.querySelector('#rating-comment').value = existingReview.comment || '';
+    showStars();
+  }
+  // Cancel
+  modal.querySelector('#cancel-rating').addEventListener('click', () => {
+    document.body.removeChild(overlay);
+  });
+  // Submit
+  modal.querySelector('#submit-rating').addEventListener('click', async () => {
+    if (selectedRating < 1) {
+      alert('Please select a rating.');
+      return;
+    }
+    const comment = modal.querySelector('#rating-comment').value.trim();
+    // Create or update the user's review; aggregates are updated by the
+    // backend so concurrent reviews are never lost
+    const { error } = await db.ratings.save({
+      listing_id: listing.id,
+      user_id: currentUser.id,
+      rating: selectedRating,
+      comment: comment || null,
+    });
+    if (error) {
+      showNotification(error.message || 'Failed to save your review.', 'error');
+      return;
+    }
+    showNotification(existingReview ? 'Your review has been updated.' : 'Thank you for your review!', 'success');
+    document.body.removeChild(overlay);
+    // reload page to show updated rating summary
+    renderListingDetailsPage(listing.id);
+  });
+}
+
+/**
+ * Find the conversation between the current user and another user about a
+ * listing, starting it if needed.  Each listing gets its own thread; pass
+ * null as the listing for a general conversation.
+ *
+ * @param {string} otherId          The other participant
+ * @param {string|null} listingId   The listing being discussed
+ * @returns {Promise<{data: object|null, error: object|null}>} The conversation
+ */
+function findConversation(otherId, listingId) {
+  return db.conversations.findOrCreate({ listingId, participants: [currentUser.id, otherId] });
+}
+
+/**
+ * Navigate to the conversation with another user about a listing (or a
+ * general one when `listingId` is null), starting it if needed.
+ *
+ * @param {string} otherId         The other participant
+ * @param {string|null} listingId  The listing being discussed
+ */
+async function openConversationWith(otherId, listingId) {
+  const { data: conversation, error } = await findConversation(otherId, listingId);
+  if (error || !conversation) {
+    showNotification('Unable to start a conversation.', 'error');
+    return;
+  }
+  window.location.hash = `#/messages/${conversation.id}`;
+}
+
+// Display names for offer statuses
+const OFFER_STATUS_LABELS = {
+  pending: 'Pending',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  countered: 'Countered',
+  expired: 'Expired',
+};
+
+/**
+ * Work out the status to show for an offer.  A pending offer whose expiry
+ * time has passed is expired even though nothing has updated its row; the
+ * backend refuses to accept it either way.
+ *
+ * @param {object} offer Offer row
+ * @returns {string} A key of OFFER_STATUS_LABELS
+ */
+function offerStatus(offer) {
+  if (offer.status === 'pending' && new Date(offer.expires_at) <= new Date()) {
+    return 'expired';
+  }
+  return offer.status;
+}
+
+/**
+ * Describe how long remains before a timestamp, e.g. "1d 4h left".
+ *
+ * @param {string} isoDate Expiry timestamp
+ * @returns {string} Human readable time remaining
+ */
+function formatTimeLeft(isoDate) {
+  const hours = Math.floor((new Date(isoDate) - new Date()) / (60 * 60 * 1000));
+  if (hours < 1) return 'less than an hour left';
+  if (hours < 24) return `${hours}h left`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h left`;
+}
+
+/**
+ * Create an offer (or counter‑offer) and post it into the conversation
+ * between buyer and seller so it shows up inline in the chat.  The current
+ * user is the one proposing the amount.
+ *
+ * @param {object} listing        The listing the offer is for
+ * @param {number} amount         Offered price in CAD
+ * @param {object} [parentOffer]  Offer being countered, if any
+ * @returns {Promise<{data: object|null, error: object|null}>} The new offer
+ */
+async function submitOffer(listing, amount, parentOffer = null) {
+  const buyerId = parentOffer ? parentOffer.buyer_id : currentUser.id;
+  const sellerId = listing.owner_id;
+  // The database sets when the offer expires (offerExpiryHours)
+  const { data: offer, error } = await db.offers.create({
+    listing_id: listing.id,
+    buyer_id: buyerId,
+    seller_id: sellerId,
+    proposed_by: currentUser.id,
+    parent_offer_id: parentOffer ? parentOffer.id : null,
+    amount,
+  });
+  if (error) return { data: null, error };
+  const otherId = currentUser.id === buyerId ? sellerId : buyerId;
+  const { data: conversation } = await findConversation(otherId, listing.id);
+  if (!conversation) return { data: offer, error: null };
+  const verb = parentOffer ? 'Countered with' : 'Offered';
+  await db.messages.send({
+    conversation_id: conversation.id,
+    sender_id: currentUser.id,
+    receiver_id: otherId,
+    content: `${verb} CAD $${Number(amount).toFixed(2)} for “${listing.title}”`,
+    kind: 'offer',
+    offer_id: offer.id,
+  });
+  return { data: offer, error: null };
+}
+
+/**
+ * Accept, decline or counter an offer made to the current user, then post
+ * the outcome into the conversation thread.
+ *
+ * @param {object} offer          The pending offer
+ * @param {string} action         'accepted', 'declined' or 'countered'
+ * @param {number} [counterAmount] New amount when countering
+ * @returns {Promise<{error: object|null}>} Result of the update
+ */
+async function answerOffer(offer, action, counterAmount = null) {
+  const { data: listing } = await db.listings.get(offer.listing_id);
+  const title = listing ? listing.title : 'this listing';
+  if (action === 'countered') {
+    // The counter‑offer comes first, so a refused one leaves the original
+    // open rather than closing the negotiation
+    const { error: counterError } = await submitOffer(
+      listing || { id: offer.listing_id, owner_id: offer.seller_id, title },
+      counterAmount,
+      offer
+    );
+    if (counterError) return { error: counterError };
+    const { error } = await db.offers.respond(offer.id, 'countered');
+    return { error };
+  }
+  const { error } = await db.offers.respond(offer.id, action);
+  if (error) return { error };
+  const verb = action === 'accepted' ? 'Accepted' : 'Declined';
+  const { data: conversation } = await findConversation(offer.proposed_by, offer.listing_id);
+  if (!conversation) return { error: null };
+  await db.messages.send({
+    conversation_id: conversation.id,
+    sender_id: currentUser.id,
+    receiver_id: offer.proposed_by,
+    content: `${verb} the offer of CAD $${Number(offer.amount).toFixed(2)} for “${title}”`,
+    kind: 'offer_update',
+    offer_id: offer.id,
+  });
+  return { error: null };
+}
+
+/**
+ * Build a card describing an offer: amount, who proposed it, status and
+ * time remaining.  When the current user is the one the offer was made to
+ * and it is still open, Accept / Decline / Counter buttons are included.
+ *
+ * @param {object} offer        Offer row
+ * @param {function} onChange   Called after the user acts on the offer
+ * @returns {HTMLElement} The card element
+ */
+function renderOfferCard(offer, onChange) {
+  const status = offerStatus(offer);
+  const card = document.createElement('div');
+  card.className = 'offer-card';
+  const amountEl = document.createElement('div');
+  amountEl.className = 'offer-amount';
+  amountEl.textContent = `CAD $${Number(offer.amount).toFixed(2)}`;
+  card.appendChild(amountEl);
+  const metaEl = document.createElement('div');
+  metaEl.className = 'offer-meta';
+  const byBuyer = offer.proposed_by === offer.buyer_id;
+  const who = offer.proposed_by === currentUser.id ? 'You' : byBuyer ? 'Buyer' : 'Seller';
+  metaEl.textContent = `${who} ${offer.parent_offer_id ? 'countered' : 'offered'}`;
+  if (status === 'pending') metaEl.textContent += ` · ${formatTimeLeft(offer.expires_at)}`;
+  card.appendChild(metaEl);
+  const statusEl = document.createElement('span');
+  statusEl.className = `offer-status offer-status-${status}`;
+  statusEl.textContent = OFFER_STATUS_LABELS[status] || status;
+  card.appendChild(statusEl);
+  const isRecipient =
+    currentUser.id !== offer.proposed_by &&
+    (currentUser.id === offer.buyer_id || currentUser.id === offer.seller_id);
+  if (status === 'pending' && isRecipient) {
+    const actions = document.createElement('div');
+    actions.className = 'offer-actions';
+    const act = async (action, counterAmount) => {
+      const { error } = await answerOffer(offer, action, counterAmount);
+      if (error) {
+        showNotification(error.message || 'Unable to update the offer.', 'error');
+        return error;
+      }
+      onChange();
+      return null;
+    };
+    const acceptBtn = document.createElement('button');
+    acceptBtn.className = 'btn btn-primary';
+    acceptBtn.textContent = 'Accept';
+    acceptBtn.addEventListener('click', () => {
+      if (confirm(`Accept CAD $${Number(offer.amount).toFixed(2)}?`)) act('accepted');
+    });
+    const declineBtn = document.createElement('button');
+    declineBtn.className = 'btn btn-outline';
+    declineBtn.textContent = 'Decline';
+    declineBtn.addEventListener('click', () => act('declined'));
+    const counterBtn = document.createElement('button');
+    counterBtn.className = 'btn btn-outline';
+    counterBtn.textContent = 'Counter';
+    counterBtn.addEventListener('click', () => {
+      if (blockedByRestriction('make offers')) return;
+      showOfferModal({
+        heading: 'Counter‑offer',
+        initialAmount: offer.amount,
+        onSubmit: (amount) => act('countered', amount),
+      });
+    });
+    actions.appendChild(acceptBtn);
+    actions.appendChild(declineBtn);
+    actions.appendChild(counterBtn);
+    card.appendChild(actions);
+  }
+  return card;
+}
+
+/**
+ * Render the offers section of a listing's detail page.  The seller sees
+ * every offer made on the listing; a buyer sees only their own (row level
+ * security enforces the same on the backend).
+ *
+ * @param {object} listing       The listing
+ * @param {HTMLElement} section  Element to render into
+ */
+async function renderListingOffers(listing, section) {
+  const { data, error } = await db.offers.listForListing(listing.id);
+  section.innerHTML = '';
+  if (error) return;
+  const isOwner = listing.owner_id === currentUser.id;
+  const visible = (data || []).filter((o) => isOwner || o.buyer_id === currentUser.id);
+  if (visible.length === 0) return;
+  const header = document.createElement('h3');
+  header.className = 'mt-6 text-xl font-semibold';
+  header.textContent = isOwner ? 'Offers received' : 'Your offers';
+  section.appendChild(header);
+  const list = document.createElement('div');
+  list.className = 'offer-list';
+  for (const offer of visible) {
+    const row = document.createElement('div');
+    row.className = 'offer-row';
+    if (isOwner) {
+      const { data: buyer } = await db.users.get(offer.buyer_id);
+      const buyerEl = document.createElement('div');
+      buyerEl.className = 'font-medium';
+      buyerEl.textContent = buyer?.full_name || buyer?.email || 'Buyer';
+      row.appendChild(buyerEl);
+    }
+    row.appendChild(renderOfferCard(offer, () => renderListingOffers(listing, section)));
+    list.appendChild(row);
+  }
+  section.appendChild(list);
+}
+
+/**
+ * Show a modal for reporting a listing: the student picks one of
+ * REPORT_CATEGORIES and may add details for the moderators.
+ *
+ * @param {object} listing The listing being reported
+ */
+function showReportModal(listing) {
+  const overlay = document.createElement('div');
+  overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 modal-overlay';
+  const modal = document.createElement('form');
+  modal.className = 'bg-white rounded p-6 w-96 modal';
+  modal.innerHTML = `
+    <h3 class="text-xl font-semibold mb-4">Report this listing</h3>
+    <fieldset class="mb-4">
+      <legend class="block text-sm font-medium text-gray-700 mb-2">What's wrong with it?</legend>
+      <div id="report-categories"></div>
+    </fieldset>
+    <label class="block text-sm font-medium text-gray-700" for="report-reason">Details (optional)</label>
+    <textarea id="report-reason" rows="3" maxlength="500" class="w-full border border-gray-300 rounded p-2 mb-4"></textarea>
+    <div class="flex justify-end space-x-2">
+      <button type="button" id="cancel-report" class="px-3 py-1 rounded border">Cancel</button>
+      <button type="submit" id="submit-report" class="px-3 py-1 bg-red-600 text-white rounded">Report</button>
+    </div>
+  `;
+  const categories = modal.querySelector('#report-categories');
+  Object.entries(REPORT_CATEGORIES).forEach(([value, label]) => {
+    const option = document.createElement('label');
+    option.className = 'block';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'report-category';
+    radio.value = value;
+    radio.required = true;
+    option.appendChild(radio);
+    option.appendChild(document.createTextNode(` ${label}`));
+    categories.appendChild(option);
+  });
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  modal.querySelector('#cancel-report').addEventListener('click', () => {
+    document.body.removeChild(overlay);
+  });
+  const submitBtn = modal.querySelector('#submit-report');
+  modal.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const category = modal.querySelector('input[name="report-category"]:checked')?.value;
+    if (!category) return;
+    const reason = modal.querySelector('#report-reason').value.trim();
+    submitBtn.disabled = true;
+    const { error } = await db.reports.create({
+      listing_id: listing.id,
+      user_id: currentUser.id,
+      category,
+      reason: reason || null,
+    });
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(isRateLimitError(error) ? rateLimitNotice('reports') : 'Failed to send your report.', 'error');
+      return;
+    }
+    document.body.removeChild(overlay);
+    showNotification('Thank you for reporting. Our team will review it.', 'success');
+  });
+}
+
+/**
+ * Show a modal asking for an offer amount.  `onSubmit` receives the amount
+ * and resolves to null on success (closing the modal) or an error to keep
+ * it open.
+ *
+ * @param {object} options
+ * @param {string} options.heading        Modal title
+ * @param {number} [options.initialAmount] Amount to prefill
+ * @param {function(number): Promise<object|null>} options.onSubmit Submit handler
+ */
+function showOfferModal({ heading, initialAmount, onSubmit }) {
+  const overlay = document.createElement('div');
+  overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 modal-overlay';
+  const modal = document.createElement('div');
+  modal.className = 'bg-white rounded p-6 w-96 modal';
+  modal.innerHTML = `
+    <h3 class="text-xl font-semibold mb-4"></h3>
+    <label class="block text-sm font-medium text-gray-700" for="offer-amount">Amount (CAD)</label>
+    <input type="number" id="offer-amount" min="0" step="0.01" class="w-full border border-gray-300 rounded p-2 mb-4" />
+    <div class="flex justify-end space-x-2">
+      <button id="cancel-offer" class="px-3 py-1 rounded border">Cancel</button>
+      <button id="submit-offer" class="px-3 py-1 bg-green-600 text-white rounded">Send</button>
+    </div>
+  `;
+  modal.querySelector('h3').textContent = heading;
+  const amountInput = modal.querySelector('#offer-amount');
+  if (initialAmount !== undefined && initialAmount !== null) amountInput.value = initialAmount;
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+  amountInput.focus();
+  modal.querySelector('#cancel-offer').addEventListener('click', () => {
+    document.body.removeChild(overlay);
+  });
+  const submitBtn = modal.querySelector('#submit-offer');
+  submitBtn.addEventListener('click', async () => {
+    const amount = parseFloat(amountInput.value);
+    if (isNaN(amount) || amount < 0) {
+      alert('Please enter a valid amount.');
+      return;
+    }
+    submitBtn.disabled = true;
+    const error = await onSubmit(Math.round(amount * 100) / 100);
+    submitBtn.disabled = false;
+    if (!error) document.body.removeChild(overlay);
+  });
+}
+
+/**
+ * Render the messages page.  This page displays a list of conversations on
+ * the left and a chat window on the right.  If a conversation ID is
+ * provided in the hash then it is opened automatically.
+ *
+ * @param {string|null} conversationId Optional conversation to open
+ */
+async function renderMessagesPage(conversationId = null) {
+  const content = document.getElementById('content');
+  const template = document.getElementById('messages-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+  // Elements
+  const convList = content.querySelector('#conversation-list');
+  const chatMessages = content.querySelector('#chat-messages');
+  const chatTitle = content.querySelector('#chat-title');
+  const chatListing = content.querySelector('#chat-listing');
+  const messageForm = content.querySelector('#message-form');
+  const messageInput = content.querySelector('#message-input');
+  const attachmentInput = content.querySelector('#attachment-input');
+  const attachmentPreview = content.querySelector('#attachment-preview');
+  const blockUserBtn = content.querySelector('#block-user-btn');
+  // Photos chosen for the next message: { file, previewUrl, progress }
+  let pendingAttachments = [];
+  attachmentInput.addEventListener('change', () => {
+    const maxFiles = config.chatAttachments?.maxFilesPerMessage || 4;
+    for (const file of attachmentInput.files) {
+      const problem = validateChatAttachment(file);
+      if (problem) {
+        showNotification(problem, 'error');
+        continue;
+      }
+      if (pendingAttachments.length >= maxFiles) {
+        showNotification(`You can attach up to ${maxFiles} photos per message.`, 'error');
+        break;
+      }
+      pendingAttachments.push({ file, previewUrl: URL.createObjectURL(file), progress: null });
+    }
+    // Allow choosing the same file again after removing it
+    attachmentInput.value = '';
+    renderAttachmentPreview();
+  });
+  // Key of the conversation list group holding archived conversations
+  const ARCHIVED_GROUP = 'archived';
+  // Offer cards shown in the open chat, keyed by offer ID, so they can be
+  // refreshed when the other participant answers an offer.
+  const offerCards = new Map();
+  // The current user's messages in the open chat (message and row element)
+  // and the "Seen" receipt shown under the latest one the other user read.
+  let ownMessages = [];
+  const seenReceipt = document.createElement('div');
+  seenReceipt.className = 'seen-receipt';
+  seenReceipt.textContent = 'Seen';
+
+  // Load conversations
+  await loadConversations();
+  // If a conversation is specified, open it
+  if (conversationId) {
+    openConversation(conversationId);
+  }
+
+  /**
+   * Fetch all conversations for the current user and build the list,
+   * grouped by the listing they are about (general conversations last).
+   * Each item displays the other participant, a snippet of the last
+   * message and the number of unread messages; groups and items are
+   * ordered by most recent activity.  Clicking an item opens the chat.
+   */
+  async function loadConversations() {
+    convList.innerHTML = '';
+    const [{ data: convos, error }, { data: msgs }] = await Promise.all([
+      db.conversations.listForUser(currentUser.id),
+      db.messages.listForUser(currentUser.id),
+    ]);
+    if (error) {
+      showNotification('Unable to load messages.', 'error');
+      return;
+    }
+    // Messages arrive newest first, so the first one seen per conversation
+    // is its latest
+    const lastMessages = new Map();
+    const unreadCounts = new Map();
+    (msgs || []).forEach((msg) => {
+      if (!lastMessages.has(msg.conversation_id)) lastMessages.set(msg.conversation_id, msg);
+      if (msg.receiver_id === currentUser.id && !msg.read_at) {
+        unreadCounts.set(msg.conversation_id, (unreadCounts.get(msg.conversation_id) || 0) + 1);
+      }
+    });
+    // Skip conversations that were started but never used, except the one
+    // being opened
+    const lastActivity = (c) => (lastMessages.get(c.id) || c).created_at;
+    const active = (convos || [])
+      .filter((c) => lastMessages.has(c.id) || c.id === conversationId)
+      .sort((a, b) => new Date(lastActivity(b)) - new Date(lastActivity(a)));
+    if (active.length === 0) {
+      convList.innerHTML = '<li class="p-2 text-gray-500">No conversations yet.</li>';
+      return;
+    }
+    const listingIds = [...new Set(active.map((c) => c.listing_id).filter(Boolean))];
+    const { data: listingRows } = listingIds.length ? await db.listings.listByIds(listingIds) : { data: [] };
+    const listingsById = new Map((listingRows || []).map((l) => [l.id, l]));
+    // Group by listing, keeping the most recently active group first.
+    // General conversations come next and conversations with blocked users
+    // are archived at the end.
+    const otherParticipant = (c) => (c.participant_a === currentUser.id ? c.participant_b : c.participant_a);
+    const groups = new Map();
+    active.forEach((c) => {
+      const key = blockedUserIds.has(otherParticipant(c)) ? ARCHIVED_GROUP : c.listing_id || '';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(c);
+    });
+    ['', ARCHIVED_GROUP].forEach((key) => {
+      if (!groups.has(key)) return;
+      const group = groups.get(key);
+      groups.delete(key);
+      groups.set(key, group);
+    });
+    for (const [listingId, group] of groups.entries()) {
+      const header = document.createElement('li');
+      header.className = 'conversation-group';
+      const listing = listingsById.get(listingId);
+      if (listing) {
+        const thumb = document.createElement('img');
+        thumb.src = listingCoverImage(listing) || 'https://placehold.co/80x80?text=No+Image';
+        thumb.alt = '';
+        header.appendChild(thumb);
+      }
+      const headerTitle = document.createElement('span');
+      if (listingId === ARCHIVED_GROUP) {
+        headerTitle.textContent = 'Archived (blocked users)';
+      } else {
+        headerTitle.textContent = listing ? listing.title : listingId ? 'Listing removed' : 'General';
+      }
+      header.appendChild(headerTitle);
+      convList.appendChild(header);
+      for (const convo of group) {
+        const otherId = otherParticipant(convo);
+        // Fetch other user info from users table.  A deleted account
+        // leaves its conversations without a participant.
+        const { data: other } = otherId ? await db.users.get(otherId) : { data: null };
+        const lastMsg = lastMessages.get(convo.id);
+        const li = document.createElement('li');
+        li.className = 'p-2 rounded hover:bg-gray-100 cursor-pointer';
+        li.dataset.conversationId = convo.id;
+        li.classList.toggle('active', convo.id === conversationId);
+        const nameEl = document.createElement('div');
+        nameEl.className = 'font-medium';
+        nameEl.textContent = otherId ? other?.full_name || other?.email || 'Unknown' : 'Deleted account';
+        const unread = unreadCounts.get(convo.id);
+        if (unread && convo.id !== conversationId) {
+          const unreadEl = document.createElement('span');
+          unreadEl.className = 'unread-count';
+          unreadEl.textContent = unread;
+          unreadEl.title = `${unread} unread`;
+          nameEl.appendChild(unreadEl);
+        }
+        const snippetEl = document.createElement('div');
+        snippetEl.className = 'text-sm text-gray-600 truncate';
+        if (!lastMsg) {
+          snippetEl.textContent = 'New conversation';
+        } else {
+          snippetEl.textContent = lastMsg.content || (lastMsg.attachments?.length ? '📷 Photo' : '');
+        }
+        li.appendChild(nameEl);
+        li.appendChild(snippetEl);
+        li.addEventListener('click', () => {
+          openConversation(convo.id);
+        });
+        convList.appendChild(li);
+      }
+    }
+  }
+
+  /**
+   * Open a specific conversation, load its messages and subscribe for
+   * real‑time updates.  Updates the chat header to show the other user,
+   * pins the listing being discussed above the messages and provides an
+   * input for sending new messages.
+   *
+   * @param {string} cId The conversation ID to open
+   */
+  async function openConversation(cId) {
+    // Clear any existing subscription
+    if (currentChatSubscription) {
+      await currentChatSubscription.unsubscribe();
+      currentChatSubscription = null;
+    }
+    let { data: conversation } = await db.conversations.get(cId);
+    if (!conversation && cId.includes(currentUser.id)) {
+      // Links from before conversations were kept per listing name the two
+      // users ("<id>-<id>"); send them to the pair's general conversation
+      const otherId = cId.replace(currentUser.id, '').replace(/^-|-$/g, '');
+      ({ data: conversation } = await findConversation(otherId, null));
+      if (conversation) history.replaceState(null, '', `#/messages/${conversation.id}`);
+    }
+    if (!conversation) {
+      chatTitle.textContent = 'Conversation not found';
+      chatListing.classList.add('hidden');
+      chatMessages.innerHTML = '';
+      messageForm.onsubmit = (e) => e.preventDefault();
+      return;
+    }
+    cId = conversation.id;
+    convList.querySelectorAll('[data-conversation-id]').forEach((li) => {
+      li.classList.toggle('active', li.dataset.conversationId === cId);
+      if (li.dataset.conversationId === cId) li.querySelector('.unread-count')?.remove();
+    });
+    // Determine the other user
+    const otherId = conversation.participant_a === currentUser.id ? conversation.participant_b : conversation.participant_a;
+    // Fetch other user profile
+    const { data: other } = otherId ? await db.users.get(otherId) : { data: null };
+    const otherName = other?.full_name || other?.email || 'this user';
+    chatTitle.textContent = otherId ? other?.full_name || other?.email || 'Conversation' : 'Deleted account';
+    if (other && other.blocked) {
+      chatTitle.textContent += ' (Blocked)';
+    }
+    // Block / unblock the other participant.  A blocked user's
+    // conversations are archived and read‑only until they are unblocked.
+    const isBlocked = blockedUserIds.has(otherId);
+    blockUserBtn.classList.toggle('hidden', !otherId);
+    blockUserBtn.textContent = isBlocked ? 'Unblock User' : 'Block User';
+    blockUserBtn.onclick = async () => {
+      if (await setUserBlocked(otherId, otherName, !isBlocked)) {
+        renderMessagesPage(cId);
+      }
+    };
+    // Suspended and banned users can read their conversations but not reply
+    const restriction = accountRestriction(userProfile);
+    messageInput.disabled = isBlocked || !otherId || Boolean(restriction);
+    attachmentInput.disabled = messageInput.disabled;
+    clearPendingAttachments();
+    if (!otherId) {
+      messageInput.placeholder = 'This account has been deleted.';
+    } else if (restriction) {
+      messageInput.placeholder = describeRestriction(restriction);
+    } else {
+      messageInput.placeholder = isBlocked
+        ? 'You blocked this user. Unblock them to send messages.'
+        : 'Type a message...';
+    }
+    renderPinnedListing(conversation.listing_id);
+    // Load messages
+    chatMessages.innerHTML = '<p class="text-center text-gray-500 mt-4">Loading...</p>';
+    const { data: msgs } = await db.messages.listConversation(cId);
+    chatMessages.innerHTML = '';
+    offerCards.clear();
+    ownMessages = [];
+    (msgs || []).forEach((msg) => addMessageToChat(msg, otherId));
+    updateSeenReceipt();
+    markConversationRead(cId);
+    // Subscribe to new messages for this conversation, and to updates so
+    // read receipts appear as soon as the other user opens the chat
+    currentChatSubscription = db.realtime.subscribe(
+      { table: 'messages', event: '*', filter: { conversation_id: cId } },
+      (payload) => {
+        const msg = payload.new;
+        if (payload.eventType === 'INSERT') {
+          addMessageToChat(msg, otherId);
+          if (msg.receiver_id === currentUser.id) markConversationRead(cId);
+        } else if (payload.eventType === 'UPDATE') {
+          const own = ownMessages.find((m) => m.msg.id === msg.id);
+          if (own) own.msg = msg;
+        }
+        updateSeenReceipt();
+      }
+    );
+    // Handle sending new message
+    messageForm.onsubmit = async (e) => {
+      e.preventDefault();
+      const contentVal = messageInput.value.trim();
+      if (!contentVal && pendingAttachments.length === 0) return;
+      const submitBtn = messageForm.querySelector('button[type="submit"]');
+      submitBtn.disabled = true;
+      // Upload photos first, showing progress under each preview
+      const attachments = [];
+      for (const pending of pendingAttachments) {
+        const extension = pending.file.type.split('/')[1].replace('jpeg', 'jpg');
+        const path = `${cId}/${crypto.randomUUID()}.${extension}`;
+        const { error: uploadError } = await db.storage.upload(CHAT_ATTACHMENT_BUCKET, path, pending.file, {
+          contentType: pending.file.type,
+          onProgress: (fraction) => {
+            pending.progress = fraction;
+            renderAttachmentPreview();
+          },
+        });
+        if (uploadError) {
+          showNotification(`Failed to upload ${pending.file.name}.`, 'error');
+          await removeUploaded(attachments);
+          submitBtn.disabled = false;
+          return;
+        }
+        attachments.push({ path, name: pending.file.name, type: pending.file.type, size: pending.file.size });
+      }
+      const { error: sendError } = await db.messages.send({
+        conversation_id: cId,
+        sender_id: currentUser.id,
+        receiver_id: otherId,
+        content: contentVal,
+        attachments,
+      });
+      submitBtn.disabled = false;
+      if (sendError) {
+        await removeUploaded(attachments);
+        showNotification(
+          isRateLimitError(sendError)
+            ? rateLimitNotice('messages')
+            : "Your message couldn't be sent. This user may have blocked you.",
+          'error'
+        );
+        return;
+      }
+      messageInput.value = '';
+      clearPendingAttachments();
+    };
+  }
+
+  /**
+   * Show thumbnails of the photos chosen for the next message, each with a
+   * remove button, or an upload progress bar while sending.
+   */
+  function renderAttachmentPreview() {
+    attachmentPreview.innerHTML = '';
+    attachmentPreview.classList.toggle('hidden', pendingAttachments.length === 0);
+    pendingAttachments.forEach((pending, index) => {
+      const item = document.createElement('div');
+      item.className = 'attachment-item';
+      const img = document.createElement('img');
+      img.src = pending.previewUrl;
+      img.alt = pending.file.name;
+      item.appendChild(img);
+      if (pending.progress === null) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'attachment-remove';
+        removeBtn.title = 'Remove';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+          URL.revokeObjectURL(pending.previewUrl);
+          pendingAttachments.splice(index, 1);
+          renderAttachmentPreview();
+        });
+        item.appendChild(removeBtn);
+      } else {
+        const progress = document.createElement('progress');
+        progress.max = 1;
+        progress.value = pending.progress;
+        item.appendChild(progress);
+      }
+      attachmentPreview.appendChild(item);
+    });
+  }
+
+  /**
+   * Discard the photos chosen for the next message.
+   */
+  function clearPendingAttachments() {
+    pendingAttachments.forEach((pending) => URL.revokeObjectURL(pending.previewUrl));
+    pendingAttachments = [];
+    renderAttachmentPreview();
+  }
+
+  /**
+   * Delete attachments that were uploaded for a message that then failed
+   * to send, so no orphaned files remain in storage.
+   *
+   * @param {Array<{path: string}>} attachments Uploaded attachments
+   */
+  async function removeUploaded(attachments) {
+    if (attachments.length === 0) return;
+    await db.storage.remove(CHAT_ATTACHMENT_BUCKET, attachments.map((a) => a.path));
+  }
+
+  /**
+   * Build the thumbnails for a message's photo attachments.  The bucket is
+   * private, so each image is shown through a short‑lived signed URL;
+   * clicking a thumbnail opens it in the lightbox.
+   *
+   * @param {Array<object>} attachments The message's attachments
+   * @returns {HTMLElement} Container of thumbnails
+   */
+  function renderChatImages(attachments) {
+    const container = document.createElement('div');
+    container.className = 'chat-images';
+    attachments.forEach(async (attachment) => {
+      const img = document.createElement('img');
+      img.alt = attachment.name || 'Photo';
+      container.appendChild(img);
+      const { data: url } = await db.storage.createSignedUrl(CHAT_ATTACHMENT_BUCKET, attachment.path, 3600);
+      if (!url) return;
+      img.src = url;
+      img.addEventListener('click', () => showImageLightbox(url, img.alt));
+    });
+    return container;
+  }
+
+  /**
+   * Mark the messages received in a conversation as read and refresh the
+   * nav badge.
+   *
+   * @param {string} cId The conversation ID
+   */
+  async function markConversationRead(cId) {
+    const { data: marked } = await db.messages.markRead(cId, currentUser.id);
+    if (marked && marked.length) refreshUnreadCount();
+  }
+
+  /**
+   * Move the "Seen" receipt under the latest of the current user's
+   * messages that the other user has read.
+   */
+  function updateSeenReceipt() {
+    const lastRead = [...ownMessages].reverse().find((m) => m.msg.read_at);
+    if (!lastRead) {
+      seenReceipt.remove();
+      return;
+    }
+    lastRead.el.after(seenReceipt);
+  }
+
+  /**
+   * Show the listing a conversation is about at the top of the chat:
+   * thumbnail, title, price and status, linking to the listing.  Hidden for
+   * general conversations.
+   *
+   * @param {string|null} listingId The conversation's listing
+   */
+  async function renderPinnedListing(listingId) {
+    chatListing.innerHTML = '';
+    chatListing.classList.toggle('hidden', !listingId);
+    if (!listingId) return;
+    const { data: listing } = await db.listings.get(listingId);
+    if (!listing || listingStatus(listing) === 'deleted') {
+      chatListing.textContent = 'This listing has been removed.';
+      return;
+    }
+    const thumb = document.createElement('img');
+    thumb.src = listingCoverImage(listing) || 'https://placehold.co/80x80?text=No+Image';
+    thumb.alt = '';
+    chatListing.appendChild(thumb);
+    const info = document.createElement('div');
+    const titleEl = document.createElement('a');
+    titleEl.href = `#/listing/${listing.id}`;
+    titleEl.className = 'font-semibold';
+    titleEl.textContent = listing.title;
+    info.appendChild(titleEl);
+    const priceEl = document.createElement('div');
+    priceEl.className = 'text-blue-600 font-bold';
+    priceEl.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
+    info.appendChild(priceEl);
+    chatListing.appendChild(info);
+    const badge = createStatusBadge(listing);
+    if (badge) chatListing.appendChild(badge);
+  }
+
+  /**
+   * Append a message to the chat area.  Messages sent by the current user
+   * align to the right and those from the other user align to the left.
+   * Offer messages render as a live offer card; offer updates (accepted or
+   * declined) render as a centred status line and refresh the offer's card.
+   * The current user's messages are tracked for read receipts.
+   *
+   * @param {object} msg      The message record
+   * @param {string} otherId  The ID of the other user
+   */
+  function addMessageToChat(msg, otherId) {
+    if (msg.kind === 'offer_update') {
+      const line = document.createElement('div');
+      line.className = 'chat-event';
+      line.textContent = `${msg.sender_id === currentUser.id ? 'You' : 'They'}: ${msg.content}`;
+      chatMessages.appendChild(line);
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+      const refresh = offerCards.get(msg.offer_id);
+      if (refresh) refresh();
+      return;
+    }
+    if (msg.kind === 'offer') {
+      const holder = document.createElement('div');
+      holder.className = `flex mb-2 ${msg.sender_id === currentUser.id ? 'justify-end' : 'justify-start'}`;
+      chatMessages.appendChild(holder);
+      if (msg.sender_id === currentUser.id) ownMessages.push({ msg, el: holder });
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+      mountOfferCard(holder, msg.offer_id, msg.content);
+      return;
+    }
+    const div = document.createElement('div');
+    div.className = 'flex mb-2';
+    const isMine = msg.sender_id === currentUser.id;
+    div.classList.add(isMine ? 'justify-end' : 'justify-start');
+    const bubble = document.createElement('div');
+    bubble.className = isMine
+      ? 'bg-blue-600 text-white rounded-lg px-3 py-2 max-w-xs'
+      : 'bg-gray-200 text-gray-800 rounded-lg px-3 py-2 max-w-xs';
+    if (msg.attachments && msg.attachments.length) {
+      bubble.appendChild(renderChatImages(msg.attachments));
+    }
+    if (msg.content) {
+      const text = document.createElement('div');
+      text.textContent = msg.content;
+      bubble.appendChild(text);
+    }
+    div.appendChild(bubble);
+    chatMessages.appendChild(div);
+    if (isMine) ownMessages.push({ msg, el: div });
+    // Scroll to bottom
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  /**
+   * Load an offer and render its card into a chat row, registering it so
+   * later offer events can refresh it.  A counter‑offer also refreshes the
+   * card of the offer it replaced, which is now marked as countered.
+   *
+   * @param {HTMLElement} holder  Chat row to render into
+   * @param {string} offerId      Offer to show
+   * @param {string} caption      Message text describing the offer
+   */
+  async function mountOfferCard(holder, offerId, caption) {
+    const refresh = () => mountOfferCard(holder, offerId, caption);
+    offerCards.set(offerId, refresh);
+    const { data: offer } = await db.offers.get(offerId);
+    holder.innerHTML = '';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'chat-offer';
+    const captionEl = document.createElement('div');
+    captionEl.className = 'text-sm text-gray-600 mb-1';
+    captionEl.textContent = caption;
+    wrapper.appendChild(captionEl);
+    if (offer) {
+      wrapper.appendChild(renderOfferCard(offer, refresh));
+      const parentRefresh = offer.parent_offer_id && offerCards.get(offer.parent_offer_id);
+      if (parentRefresh) parentRefresh();
+    }
+    holder.appendChild(wrapper);
+  }
+}
+
+/**
+ * Render the saved listings page.  Displays the current user's saved items
+ * using the same card layout as the home page.  Clicking a card navigates
+ * to the listing detail view.  Users can unsave listings directly from
+ * this page.
+ */
+async function renderSavedPage() {
+  const content = document.getElementById('content');
+  const template = document.getElementById('saved-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+  const grid = content.querySelector('#saved-listings');
+  renderSavedSearches(content.querySelector('#saved-searches'));
+  await loadSavedListingIds();
+  if (savedListingIds.size === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-center text-gray-500 mt-8';
+    empty.textContent = 'You have no saved listings.';
+    grid.appendChild(empty);
+    return;
+  }
+  // Fetch listing details for saved IDs
+  const idsArray = Array.from(savedListingIds);
+  const { data, error } = await db.listings.listByIds(idsArray);
+  if (error) {
+    showNotification('Unable to load saved listings.', 'error');
+    return;
+  }
+  // Render cards (reuse logic from home page), leaving out listings from
+  // blocked users
+  data.filter((listing) => !blockedUserIds.has(listing.owner_id)).forEach((listing) => {
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded shadow hover:shadow-lg transition cursor-pointer flex flex-col';
+    const img = document.createElement('img');
+    img.className = 'h-40 w-full object-cover rounded-t';
+    const firstImage = listingCoverImage(listing);
+    img.src = firstImage || 'https://placehold.co/400x300?text=No+Image';
+    card.appendChild(img);
+    const info = document.createElement('div');
+    info.className = 'p-4 flex-1 flex flex-col';
+    const badge = createStatusBadge(listing);
+    if (badge) info.appendChild(badge);
+    const title = document.createElement('h3');
+    title.className = 'text-lg font-semibold mb-1 truncate';
+    title.textContent = listing.title;
+    info.appendChild(title);
+    const price = document.createElement('p');
+    price.className = 'text-blue-600 font-bold mb-1';
+    price.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
+    info.appendChild(price);
+    const schoolLine = document.createElement('p');
+    schoolLine.className = 'text-sm text-gray-600';
+    schoolLine.textContent = listing.school;
+    info.appendChild(schoolLine);
+    const programLine = document.createElement('p');
+    programLine.className = 'text-sm text-gray-600 mb-2';
+    programLine.textContent = listing.program || '';
+    info.appendChild(programLine);
+    const courseChips = createCourseChips(listing);
+    if (courseChips) info.appendChild(courseChips);
+    // Unsave button
+    const unsaveBtn = document.createElement('button');
+    unsaveBtn.innerHTML = '❤️ Remove';
+    unsaveBtn.className = 'self-start text-2xl focus:outline-none';
+    unsaveBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await db.savedListings.remove(currentUser.id, listing.id);
+      savedListingIds.delete(listing.id);
+      renderSavedPage();
+    });
+    info.appendChild(unsaveBtn);
+    card.appendChild(info);
+    card.addEventListener('click', () => {
+      window.location.hash = `#/listing/${listing.id}`;
+    });
+    grid.appendChild(card);
+  });
+}
+
+/**
+ * Render the saved searches section of the saved page.  Each search can be
+ * opened in the marketplace, have its new‑listing alerts switched on or
+ * off, or be deleted.
+ *
+ * @param {HTMLElement} container Element to render into
+ */
+async function renderSavedSearches(container) {
+  container.innerHTML = '<p>Loading saved searches...</p>';
+  await loadSavedSearches();
+  container.innerHTML = '';
+  if (savedSearches.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-gray-500';
+    empty.textContent = 'You have no saved searches.  Use “Save search” on the marketplace to get alerts for new listings.';
+    container.appendChild(empty);
+    return;
+  }
+  savedSearches.forEach((search) => {
+    const row = document.createElement('div');
+    row.className = 'saved-search';
+    const info = document.createElement('div');
+    const nameLink = document.createElement('a');
+    nameLink.href = marketplaceHash(search.criteria);
+    nameLink.className = 'font-semibold';
+    nameLink.textContent = search.name;
+    const summary = document.createElement('p');
+    summary.className = 'text-sm text-gray-600';
+    summary.textContent = describeSearchCriteria(search.criteria);
+    info.appendChild(nameLink);
+    info.appendChild(summary);
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2';
+    const alertToggle = document.createElement('button');
+    alertToggle.className = 'btn btn-outline';
+    const setToggleLabel = () => {
+      alertToggle.innerHTML = search.alerts_enabled
+        ? '<i class="fas fa-bell"></i> Alerts on'
+        : '<i class="fas fa-bell-slash"></i> Alerts off';
+    };
+    setToggleLabel();
+    alertToggle.addEventListener('click', async () => {
+      const { error } = await db.savedSearches.update(search.id, { alerts_enabled: !search.alerts_enabled });
+      if (error) {
+        showNotification('Failed to update search.', 'error');
+        return;
+      }
+      search.alerts_enabled = !search.alerts_enabled;
+      setToggleLabel();
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-outline';
+    deleteBtn.innerHTML = '<i class="fas fa-trash"></i> Delete';
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete the saved search “${search.name}”?`)) return;
+      const { error } = await db.savedSearches.remove(search.id);
+      if (error) {
+        showNotification('Failed to delete search.', 'error');
+        return;
+      }
+      renderSavedSearches(container);
+    });
+    actions.appendChild(alertToggle);
+    actions.appendChild(deleteBtn);
+    row.appendChild(info);
+    row.appendChild(actions);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Render the user's profile page or another user's public profile.  The
+ * current user can edit their own profile details.  A list of the user's
+ * listings is shown below their basic information.  If viewing another
+ * user, a button to initiate a conversation is available.
+ *
+ * @param {string|null} id Optional ID of the profile to view
+ */
+async function renderProfilePage(id = null) {
+  const content = document.getElementById('content');
+  const template = document.getElementById('profile-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+  const container = content.querySelector('#profile-content');
+  container.innerHTML = '<p class="text-center">Loading...</p>';
+  const profileId = id || currentUser?.id;
+  if (!profileId) {
+    showNotification('User not found.', 'error');
+    container.innerHTML = '';
+    return;
+  }
+  // Fetch profile from users table
+  const { data: profileData, error } = await db.users.get(profileId);
+  if (error || !profileData) {
+    container.innerHTML = '<p class="text-red-600">Unable to load profile.</p>';
+    return;
+  }
+  const isOwnProfile = currentUser && profileId === currentUser.id;
+  container.innerHTML = '';
+  // Display basic info
+  const nameEl = document.createElement('h2');
+  nameEl.className = 'text-2xl font-semibold';
+  nameEl.textContent = profileData.full_name || profileData.email;
+  container.appendChild(nameEl);
+  const schoolEl = document.createElement('p');
+  schoolEl.className = 'text-gray-700';
+  schoolEl.textContent = profileData.school_name;
+  container.appendChild(schoolEl);
+  if (profileData.program_name) {
+    const programEl = document.createElement('p');
+    programEl.className = 'text-gray-700';
+    programEl.textContent = profileData.program_name;
+    container.appendChild(programEl);
+  }
+  // Rating summary
+  const ratingText = document.createElement('p');
+  ratingText.className = 'mt-2 text-gray-700';
+  const avg = profileData.rating_count > 0 ? (profileData.rating_sum / profileData.rating_count).toFixed(1) : null;
+  ratingText.textContent = avg
+    ? `Seller rating: ${avg} / 5 (${profileData.rating_count} reviews)`
+    : 'No ratings yet';
+  container.appendChild(ratingText);
+  // If viewing another user, show message button
+  if (!isOwnProfile && currentUser) {
+    const msgBtn = document.createElement('button');
+    msgBtn.textContent = 'Message';
+    msgBtn.className = 'mt-4 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700';
+    msgBtn.addEventListener('click', () => {
+      // A general conversation, not tied to any listing
+      openConversationWith(profileId, null);
+    });
+    container.appendChild(msgBtn);
+    const isBlocked = blockedUserIds.has(profileId);
+    const blockBtn = document.createElement('button');
+    blockBtn.textContent = isBlocked ? 'Unblock' : 'Block';
+    blockBtn.className = 'mt-4 ml-2 px-4 py-2 rounded border border-gray-300 hover:bg-gray-100';
+    blockBtn.addEventListener('click', async () => {
+      const name = profileData.full_name || profileData.email;
+      if (await setUserBlocked(profileId, name, !isBlocked)) renderProfilePage(profileId);
+    });
+    container.appendChild(blockBtn);
+  }
+  // Edit form for own profile
+  if (isOwnProfile) {
+    const editForm = document.createElement('form');
+    editForm.className = 'mt-4 space-y-3';
+    editForm.innerHTML = `
+      <h3 class="text-xl font-semibold">Edit Profile</h3>
+      <div>
+        <label class="block text-sm font-medium text-gray-700">Full Name</label>
+        <input type="text" id="edit-fullname" class="mt-1 block w-full rounded border-gray-300 p-2" value="${profileData.full_name || ''}" />
+      </div>
+      <div>
+        <label class="block text-sm font-medium text-gray-700">School</label>
+        <p id="edit-school" class="mt-1 p-2 text-gray-700"></p>
+        <p class="text-sm text-gray-500">Set by your student email address.</p>
+      </div>
+      <div>
+        <label class="block text-sm font-medium text-gray-700">Program (optional)</label>
+        <input type="text" id="edit-program" class="mt-1 block w-full rounded border-gray-300 p-2" value="${profileData.program_name || ''}" />
+      </div>
+      <button type="submit" class="px-4 py-2 bg-green-600 text-white rounded">Save Changes</button>
+    `;
+    // The school follows the email address, as the users policy requires
+    const school = findSchoolByEmail(schoolDirectory, currentUser.email);
+    editForm.querySelector('#edit-school').textContent = school?.name || profileData.school_name || 'Not in the school directory';
+    editForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const fullName = editForm.querySelector('#edit-fullname').value.trim();
+      const program = editForm.querySelector('#edit-program').value.trim();
+      if (!school) {
+        showNotification("Your email address isn't at a school in the directory, so your profile can't be saved.", 'error');
+        return;
+      }
+      const { error: updateError } = await db.users.update(currentUser.id, {
+        full_name: fullName,
+        school_name: school.name,
+        program_name: program || null,
+      });
+      if (updateError) {
+        showNotification('Failed to update profile.', 'error');
+      } else {
+        showNotification('Profile updated successfully!', 'success');
+        // Refresh local state and re-render page
+        const { data: updated } = await db.users.get(currentUser.id);
+        userProfile = updated;
+        renderProfilePage();
+      }
+    });
+    container.appendChild(editForm);
+    const settingsLink = document.createElement('a');
+    settingsLink.href = '#/settings';
+    settingsLink.className = 'inline-block mt-4 text-blue-600 hover:underline';
+    settingsLink.textContent = 'Settings and blocked users';
+    container.appendChild(settingsLink);
+    // Unpublished listing drafts
+    const drafts = await listListingDrafts();
+    if (drafts.length > 0) {
+      const draftsHeader = document.createElement('h3');
+      draftsHeader.className = 'mt-6 text-xl font-semibold';
+      draftsHeader.textContent = 'My drafts';
+      container.appendChild(draftsHeader);
+      container.appendChild(renderDraftList(drafts));
+    }
+  }
+  // List of user's listings.  Sold items move to a "Past listings"
+  // section; expired ones are only shown to their owner, who can renew them.
+  const { data: userListings } = await db.listings.listByOwner(profileId);
+  const currentListings = [];
+  const pastListings = [];
+  (userListings || []).forEach((listing) => {
+    const status = listingStatus(listing);
+    if (status === 'sold') {
+      pastListings.push(listing);
+    } else if (status !== 'expired' || isOwnProfile) {
+      currentListings.push(listing);
+    }
+  });
+  if (currentListings.length > 0) {
+    const listHeader = document.createElement('h3');
+    listHeader.className = 'mt-6 text-xl font-semibold';
+    listHeader.textContent = isOwnProfile ? 'My Listings' : 'Listings';
+    container.appendChild(listHeader);
+    container.appendChild(renderProfileListingGrid(currentListings));
+  } else {
+    const noList = document.createElement('p');
+    noList.className = 'mt-6 text-gray-500';
+    noList.textContent = isOwnProfile ? 'You have no active listings.' : 'No listings.';
+    container.appendChild(noList);
+  }
+  if (pastListings.length > 0) {
+    const pastHeader = document.createElement('h3');
+    pastHeader.className = 'mt-6 text-xl font-semibold';
+    pastHeader.textContent = 'Past listings';
+    container.appendChild(pastHeader);
+    container.appendChild(renderProfileListingGrid(pastListings));
+  }
+  // Export in the format the listing form's bulk import reads
+  if (isOwnProfile && userListings && userListings.length > 0) {
+    const exportEl = document.createElement('p');
+    exportEl.className = 'profile-export';
+    exportEl.textContent = 'Export my listings:';
+    [['csv', 'CSV', 'text/csv'], ['json', 'JSON', 'application/json']].forEach(([format, label, type]) => {
+      const exportBtn = document.createElement('button');
+      exportBtn.textContent = label;
+      exportBtn.addEventListener('click', () => {
+        downloadFile(`my-listings.${format}`, formatListingFile(userListings, format), type);
+      });
+      exportEl.appendChild(exportBtn);
+    });
+    container.appendChild(exportEl);
+  }
+  if (isOwnProfile) container.appendChild(renderPrivacySection(profileData));
+}
+
+/**
+ * Build the Privacy section of the owner's profile page: a download of
+ * everything stored about them, and account deletion.  Deletion is only
+ * scheduled: the account is deleted after config.accountDeletionGraceDays
+ * (by the purge job in the README), and signing in before then lets the
+ * student cancel.
+ *
+ * @param {object} profile The user's row from the users table
+ * @returns {HTMLElement} The section element
  */
-async function renderListingDetailsPage(id) {
+function renderPrivacySection(profile) {
+  const section = document.createElement('section');
+  section.className = 'privacy-section';
+  const header = document.createElement('h3');
+  header.className = 'text-xl font-semibold';
+  header.textContent = 'Privacy';
+  section.appendChild(header);
+  const intro = document.createElement('p');
+  intro.className = 'text-gray-700';
+  intro.textContent = 'Download a copy of everything CampusTrade stores about you: your profile, listings, saved '
+    + 'listings and searches, messages, offers, reviews and the reports you filed.';
+  section.appendChild(intro);
+  const downloadBtn = document.createElement('button');
+  downloadBtn.className = 'btn btn-outline';
+  downloadBtn.textContent = 'Download my data';
+  downloadBtn.addEventListener('click', async () => {
+    downloadBtn.disabled = true;
+    await downloadPersonalData();
+    downloadBtn.disabled = false;
+  });
+  section.appendChild(downloadBtn);
+
+  const deletion = document.createElement('p');
+  deletion.className = 'privacy-deletion';
+  const deletionBtn = document.createElement('button');
+  if (profile.deletion_scheduled_for) {
+    deletion.classList.add('scheduled');
+    deletion.textContent = `Your account will be deleted on ${new Date(profile.deletion_scheduled_for).toLocaleDateString()}.`;
+    deletionBtn.className = 'btn btn-primary';
+    deletionBtn.textContent = 'Cancel deletion';
+    deletionBtn.addEventListener('click', cancelAccountDeletion);
+  } else {
+    deletion.textContent = 'Deleting your account removes your profile, listings and their photos. Messages you sent '
+      + "stay with the people you sent them to, but no longer show who they're from.";
+    deletionBtn.className = 'btn btn-danger';
+    deletionBtn.textContent = 'Delete my account';
+    deletionBtn.addEventListener('click', requestAccountDeletion);
+  }
+  section.appendChild(deletion);
+  section.appendChild(deletionBtn);
+  return section;
+}
+
+/**
+ * Offer everything stored about the current user as a JSON download.
+ */
+async function downloadPersonalData() {
+  const { data, error } = await db.account.exportData(currentUser.id);
+  if (error) {
+    showNotification(error.message || 'Failed to export your data.', 'error');
+    return;
+  }
+  const exportedAt = new Date();
+  const contents = JSON.stringify({ exported_at: exportedAt.toISOString(), ...data }, null, 2);
+  downloadFile(`campustrade-data-${exportedAt.toISOString().slice(0, 10)}.json`, `${contents}\n`, 'application/json');
+}
+
+/**
+ * Schedule the current user's account for deletion and sign them out.
+ */
+async function requestAccountDeletion() {
+  const days = config.accountDeletionGraceDays || 14;
+  if (!confirm(`Delete your account? It will be deleted in ${days} days. Until then you can log in and cancel from your profile.`)) {
+    return;
+  }
+  // The database sets the actual date, `days` from now
+  const deleteAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  const { data: updated, error } = await db.users.update(currentUser.id, { deletion_scheduled_for: deleteAt.toISOString() });
+  if (error) {
+    showNotification('Failed to schedule your account for deletion.', 'error');
+    return;
+  }
+  await db.auth.signOut();
+  window.location.hash = '#/home';
+  const deleteOn = new Date(updated?.deletion_scheduled_for || deleteAt).toLocaleDateString();
+  showNotification(`Your account will be deleted on ${deleteOn}. Log in before then to cancel.`, 'success');
+}
+
+/**
+ * Keep the current user's account after all.
+ */
+async function cancelAccountDeletion() {
+  const { data: updated, error } = await db.users.update(currentUser.id, { deletion_scheduled_for: null });
+  if (error) {
+    showNotification('Failed to cancel the deletion.', 'error');
+    return;
+  }
+  userProfile = updated;
+  showNotification('Your account will not be deleted.', 'success');
+  renderProfilePage();
+}
+
+/**
+ * Build the list of listing drafts shown on the owner's profile page.
+ * Each draft can be continued in the listing form or deleted.
+ *
+ * @param {Array} drafts Drafts from listListingDrafts()
+ * @returns {HTMLElement} The list element
+ */
+function renderDraftList(drafts) {
+  const list = document.createElement('div');
+  list.className = 'draft-list';
+  drafts.forEach((draft) => {
+    const item = document.createElement('div');
+    item.className = 'draft-item';
+    const img = document.createElement('img');
+    img.alt = '';
+    const [cover] = draft.photos || [];
+    if (cover && (cover.thumbnail || cover.image)) {
+      // Photos not yet published are held as blobs on this device
+      const url = URL.createObjectURL(cover.thumbnail || cover.image);
+      img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+      img.src = url;
+    } else {
+      img.src = (cover && (cover.thumbnail_url || cover.url)) || 'https://placehold.co/80x80?text=No+Image';
+    }
+    item.appendChild(img);
+    const info = document.createElement('div');
+    info.className = 'draft-info';
+    const title = document.createElement('p');
+    title.className = 'font-semibold truncate';
+    title.textContent = draft.fields?.title?.trim() || 'Untitled draft';
+    info.appendChild(title);
+    const meta = document.createElement('p');
+    meta.className = 'text-sm text-gray-500';
+    meta.textContent = `${draft.listing_id ? 'Changes to a published listing' : 'New listing'} · saved ${new Date(draft.updated_at).toLocaleString()}`;
+    info.appendChild(meta);
+    item.appendChild(info);
+    const continueLink = document.createElement('a');
+    continueLink.href = buildHash('new-listing', draft.listing_id, { draft: draft.id });
+    continueLink.className = 'text-blue-600 hover:underline';
+    continueLink.textContent = 'Continue';
+    item.appendChild(continueLink);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'text-red-600 hover:underline';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm('Delete this draft?')) return;
+      await deleteListingDraft(draft.id);
+      item.remove();
+      showNotification('Draft deleted.', 'success');
+    });
+    item.appendChild(deleteBtn);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Build the grid of listing cards shown on a profile page.  Cards carry a
+ * status badge and open the listing when clicked.
+ *
+ * @param {Array} listings Listings to show
+ * @returns {HTMLElement} The grid element
+ */
+function renderProfileListingGrid(listings) {
+  const grid = document.createElement('div');
+  grid.className = 'grid gap-4 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3';
+  listings.forEach((listing) => {
+    const card = document.createElement('div');
+    card.className = 'bg-white rounded shadow hover:shadow-lg transition cursor-pointer flex flex-col';
+    const img = document.createElement('img');
+    img.className = 'h-40 w-full object-cover rounded-t';
+    const firstImage = listingCoverImage(listing);
+    img.src = firstImage || 'https://placehold.co/400x300?text=No+Image';
+    card.appendChild(img);
+    const info = document.createElement('div');
+    info.className = 'p-4 flex-1 flex flex-col';
+    const badge = createStatusBadge(listing);
+    if (badge) info.appendChild(badge);
+    const title = document.createElement('h3');
+    title.className = 'text-lg font-semibold mb-1 truncate';
+    title.textContent = listing.title;
+    info.appendChild(title);
+    const price = document.createElement('p');
+    price.className = 'text-blue-600 font-bold mb-1';
+    price.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
+    info.appendChild(price);
+    info.appendChild(document.createElement('div'));
+    card.appendChild(info);
+    card.addEventListener('click', () => {
+      window.location.hash = `#/listing/${listing.id}`;
+    });
+    grid.appendChild(card);
+  });
+  return grid;
+}
+
+/**
+ * Render the settings page for the current user.  It lists the users they
+ * have blocked, each with an Unblock button.
+ */
+async function renderSettingsPage() {
   const content = document.getElementById('content');
-  const template = document.getElementById('listing-details-template');
+  const template = document.getElementById('settings-template');
   if (!content || !template) return;
   // Ensure the SPA container is visible and the landing content hidden
   showDynamicContent();
   content.innerHTML = '';
-  const wrapper = template.content.cloneNode(true);
-  content.appendChild(wrapper);
-  const container = content.querySelector('#listing-details-content');
-  container.innerHTML = '<p class="text-center">Loading...</p>';
-  // Fetch listing
-  const { data, error } = await supabase
-    .from('listings')
-    .select('*')
-    .eq('id', id)
-    .single();
-  if (error || !data || data.is_deleted) {
-    container.innerHTML = '<p class="text-red-600">Listing not found or has been removed.</p>';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+  const blockedList = content.querySelector('#blocked-users');
+  blockedList.innerHTML = '<p>Loading...</p>';
+  await loadBlockedUsers();
+  blockedList.innerHTML = '';
+  if (blockedUserIds.size === 0) {
+    blockedList.innerHTML = "<p class=\"text-gray-500\">You haven't blocked anyone.</p>";
     return;
   }
-  const listing = data;
-  // Increment view count
-  await supabase
-    .from('listings')
-    .update({ view_count: listing.view_count + 1 })
-    .eq('id', id);
-  // Preload saved IDs
-  if (currentUser) {
-    await loadSavedListingIds();
+  for (const blockedId of blockedUserIds) {
+    const { data: blockedUser } = await db.users.get(blockedId);
+    const name = blockedUser?.full_name || blockedUser?.email || 'Unknown user';
+    const row = document.createElement('div');
+    row.className = 'blocked-user';
+    const nameEl = document.createElement('span');
+    nameEl.textContent = name;
+    row.appendChild(nameEl);
+    const unblockBtn = document.createElement('button');
+    unblockBtn.className = 'btn btn-outline';
+    unblockBtn.textContent = 'Unblock';
+    unblockBtn.addEventListener('click', async () => {
+      if (await setUserBlocked(blockedId, name, false)) renderSettingsPage();
+    });
+    row.appendChild(unblockBtn);
+    blockedList.appendChild(row);
   }
-  // Clear container and build UI
-  container.innerHTML = '';
-  // Image gallery
-  const gallery = document.createElement('div');
-  gallery.className = 'w-full flex flex-col md:flex-row gap-4';
-  const mainImg = document.createElement('img');
-  mainImg.className = 'w-full md:w-2/3 h-64 object-cover rounded';
-  const images = Array.isArray(listing.images) && listing.images.length > 0 ? listing.images : ['https://placehold.co/600x400?text=No+Image'];
-  mainImg.src = images[0];
-  gallery.appendChild(mainImg);
-  if (images.length > 1) {
-    const thumbs = document.createElement('div');
-    thumbs.className = 'flex md:flex-col md:w-1/3 gap-2 overflow-x-auto';
-    images.forEach((url) => {
-      const thumb = document.createElement('img');
-      thumb.src = url;
-      thumb.className = 'h-20 w-20 object-cover rounded cursor-pointer';
-      thumb.addEventListener('click', () => {
-        mainImg.src = url;
+}
+
+/**
+ * Render the admin panel.  This page is only accessible to users with the
+ * is_admin flag set.  It holds the moderation queue of reported listings,
+ * the review queue of listings held by screening rules and the rules
+ * themselves, user management with suspensions, bans and appeals, the
+ * accounts close to a rate limit, the school directory and the audit log
+ * of admin actions.
+ */
+function renderAdminPage() {
+  const content = document.getElementById('content');
+  const template = document.getElementById('admin-template');
+  if (!content || !template) return;
+  // Ensure the SPA container is visible and the landing content hidden
+  showDynamicContent();
+  content.innerHTML = '';
+  const node = template.content.cloneNode(true);
+  content.appendChild(node);
+  // Tabs show one section at a time
+  const tabs = content.querySelectorAll('.admin-tab');
+  tabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      tabs.forEach((t) => t.classList.toggle('active', t === tab));
+      content.querySelectorAll('.admin-section').forEach((section) => {
+        section.classList.toggle('active', section.id === `${tab.dataset.tab}-section`);
       });
-      thumbs.appendChild(thumb);
     });
-    gallery.appendChild(thumbs);
+  });
+  renderAdminReviewQueue(content.querySelector('#review-section'));
+  renderAdminScreeningRules(content.querySelector('#rules-section'));
+  renderAdminSchools(content.querySelector('#schools-section'));
+  renderAdminAuditLog(content.querySelector('#audit-section'));
+  renderAdminReports(content.querySelector('#reported-section'));
+  renderAdminUsers(content.querySelector('#users-section'));
+  renderAdminRateLimits(content.querySelector('#limits-section'));
+}
+
+/**
+ * Set up the Rate Limits tab of the admin page: the accounts that have
+ * used all, or at least half, of a rate limit (see rate-limits.js) in its
+ * current window.  Accounts that keep hitting a limit can be suspended
+ * from User Management.
+ *
+ * @param {HTMLElement} section The #limits-section element
+ */
+function renderAdminRateLimits(section) {
+  const shareFilter = section.querySelector('#limit-share-filter');
+  const summary = section.querySelector('#limit-summary');
+  const list = section.querySelector('#limit-usage');
+
+  summary.textContent = `Limits: ${Object.entries(RATE_LIMITED_ACTIONS)
+    .filter(([action]) => config.rateLimits?.[action])
+    .map(([action, label]) => `${label.toLowerCase()} ${describeRateLimit(config.rateLimits[action])}`)
+    .join(', ')}.`;
+  shareFilter.addEventListener('change', load);
+  section.querySelector('#limit-refresh-btn').addEventListener('click', load);
+  load();
+
+  async function load() {
+    list.innerHTML = '<tr><td colspan="4">Loading...</td></tr>';
+    const { data: usage, error } = await db.rateLimits.usage({ minShare: Number(shareFilter.value) });
+    list.innerHTML = '';
+    if (error) {
+      list.innerHTML = '<tr><td colspan="4">Failed to load rate limit usage.</td></tr>';
+      return;
+    }
+    (usage || []).forEach((entry) => list.appendChild(renderUsage(entry)));
+    if (!usage || usage.length === 0) list.innerHTML = '<tr><td colspan="4">No accounts are close to a limit.</td></tr>';
   }
-  container.appendChild(gallery);
-  // Title & price
-  const titleEl = document.createElement('h2');
-  titleEl.className = 'text-3xl font-semibold mt-4';
-  titleEl.textContent = listing.title;
-  container.appendChild(titleEl);
-  const priceEl = document.createElement('p');
-  priceEl.className = 'text-2xl text-blue-600 font-bold mt-2';
-  priceEl.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
-  container.appendChild(priceEl);
-  // Category, school, program
-  const metaEl = document.createElement('p');
-  metaEl.className = 'text-gray-600 mt-1';
-  metaEl.textContent = `${listing.category} • ${listing.school}${listing.program ? ' • ' + listing.program : ''}`;
-  container.appendChild(metaEl);
-  // Seller info
-  const sellerEl = document.createElement('p');
-  sellerEl.className = 'mt-1';
-  sellerEl.innerHTML = `<span class="font-semibold">Seller:</span> ${listing.owner_name}`;
-  container.appendChild(sellerEl);
-  // Description
-  const descEl = document.createElement('p');
-  descEl.className = 'mt-4 whitespace-pre-line';
-  descEl.textContent = listing.description;
-  container.appendChild(descEl);
-  // Controls (save, contact, edit/delete, report)
-  const controls = document.createElement('div');
-  controls.className = 'mt-6 flex flex-wrap gap-4 items-center';
-  // Save button
-  if (currentUser) {
-    const saveBtn = document.createElement('button');
-    const isSaved = savedListingIds.has(listing.id);
-    saveBtn.innerHTML = isSaved ? '❤️ Saved' : '🤍 Save';
-    saveBtn.className = 'px-4 py-2 rounded border border-gray-300 hover:bg-gray-100';
-    saveBtn.addEventListener('click', async () => {
-      if (savedListingIds.has(listing.id)) {
-        await supabase
-          .from('saved_listings')
-          .delete()
-          .match({ user_id: currentUser.id, listing_id: listing.id });
-        savedListingIds.delete(listing.id);
-        saveBtn.innerHTML = '🤍 Save';
-      } else {
-        await supabase
-          .from('saved_listings')
-          .insert({ user_id: currentUser.id, listing_id: listing.id });
-        savedListingIds.add(listing.id);
-        saveBtn.innerHTML = '❤️ Saved';
-      }
+
+  function renderUsage(entry) {
+    const row = document.createElement('tr');
+    const accountCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `#/profile/${entry.user_id}`;
+    link.textContent = entry.full_name || entry.email || 'Deleted account';
+    accountCell.appendChild(link);
+    row.appendChild(accountCell);
+    const actionCell = document.createElement('td');
+    actionCell.textContent = RATE_LIMITED_ACTIONS[entry.action] || entry.action;
+    row.appendChild(actionCell);
+    const usedCell = document.createElement('td');
+    usedCell.textContent = `${entry.used} of ${describeRateLimit({ max: entry.max_count, windowMinutes: entry.window_minutes })} `;
+    if (entry.used >= entry.max_count) {
+      const badge = document.createElement('span');
+      badge.className = 'user-status at-limit';
+      badge.textContent = 'At limit';
+      usedCell.appendChild(badge);
+    }
+    row.appendChild(usedCell);
+    const lastCell = document.createElement('td');
+    lastCell.textContent = new Date(entry.last_at).toLocaleString();
+    row.appendChild(lastCell);
+    return row;
+  }
+}
+
+/**
+ * Set up the User Management tab of the admin page: search for users by
+ * name or email, suspend them for a number of days or ban them with a
+ * reason, lift either, and answer appeals.  Every change is audited.
+ *
+ * @param {HTMLElement} section The #users-section element
+ */
+function renderAdminUsers(section) {
+  const searchForm = section.querySelector('#user-search-form');
+  const searchInput = section.querySelector('#user-search');
+  const results = section.querySelector('#user-results');
+  const restrictedList = section.querySelector('#restricted-users');
+  const appealFilter = section.querySelector('#appeal-status-filter');
+  const appealList = section.querySelector('#appeal-list');
+
+  searchForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    search();
+  });
+  appealFilter.addEventListener('change', loadAppeals);
+  loadRestricted();
+  loadAppeals();
+
+  async function search() {
+    const text = searchInput.value.trim();
+    if (!text) return;
+    results.innerHTML = '<tr><td colspan="5">Searching...</td></tr>';
+    const { data: users, error } = await db.users.search(text);
+    results.innerHTML = '';
+    if (error) {
+      results.innerHTML = '<tr><td colspan="5">Search failed.</td></tr>';
+      return;
+    }
+    (users || []).forEach((user) => results.appendChild(renderUserRow(user)));
+    if (!users || users.length === 0) results.innerHTML = '<tr><td colspan="5">No users match.</td></tr>';
+  }
+
+  async function loadRestricted() {
+    const { data: users, error } = await db.users.listRestricted();
+    restrictedList.innerHTML = '';
+    if (error) {
+      restrictedList.innerHTML = '<tr><td colspan="5">Failed to load restricted users.</td></tr>';
+      return;
+    }
+    (users || []).forEach((user) => restrictedList.appendChild(renderUserRow(user)));
+    if (!users || users.length === 0) restrictedList.innerHTML = '<tr><td colspan="5">Nobody is suspended or banned.</td></tr>';
+  }
+
+  /**
+   * Refresh both user tables after a change.
+   */
+  function reload() {
+    loadRestricted();
+    if (searchInput.value.trim()) search();
+  }
+
+  /**
+   * Build the table row for one user: name, email, school, whether they
+   * are restricted and the actions that apply.
+   *
+   * @param {object} user Row from the users table
+   * @returns {HTMLElement} The row
+   */
+  function renderUserRow(user) {
+    const restriction = accountRestriction(user);
+    const row = document.createElement('tr');
+    const nameCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = `#/profile/${user.id}`;
+    link.textContent = user.full_name || 'No name';
+    nameCell.appendChild(link);
+    row.appendChild(nameCell);
+    [user.email, user.school_name || ''].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
     });
-    controls.appendChild(saveBtn);
-    // Contact seller button (if not owner)
-    if (listing.owner_id !== currentUser.id) {
-      const contactBtn = document.createElement('button');
-      contactBtn.textContent = 'Contact Seller';
-      contactBtn.className = 'px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700';
-      contactBtn.addEventListener('click', () => {
-        // Navigate to messages page with other user id
-        const conversationId = getConversationId(currentUser.id, listing.owner_id);
-        window.location.hash = `#/messages/${conversationId}`;
-      });
-      controls.appendChild(contactBtn);
+    const statusCell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `user-status ${restriction ? restriction.kind : 'active'}`;
+    if (!restriction) badge.textContent = user.is_admin ? 'Admin' : 'Active';
+    else if (restriction.kind === 'banned') badge.textContent = 'Banned';
+    else badge.textContent = `Suspended until ${new Date(restriction.until).toLocaleString()}`;
+    statusCell.appendChild(badge);
+    if (restriction?.reason) {
+      const reason = document.createElement('div');
+      reason.className = 'text-sm text-gray-600';
+      reason.textContent = restriction.reason;
+      statusCell.appendChild(reason);
     }
-    // Rate listing button (if not owner) – opens a rating modal
-    if (listing.owner_id !== currentUser.id) {
-      const rateBtn = document.createElement('button');
-      rateBtn.textContent = 'Leave a Rating';
-      rateBtn.className = 'px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600';
-      rateBtn.addEventListener('click', () => {
-        showRatingModal(listing);
-      });
-      controls.appendChild(rateBtn);
+    row.appendChild(statusCell);
+    const actions = document.createElement('td');
+    actions.className = 'user-actions';
+    const addAction = (text, className, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `btn ${className}`;
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+    // Admins can't restrict each other, or themselves
+    if (!user.is_admin) {
+      if (restriction) {
+        addAction('Lift', 'btn-outline', async () => {
+          if (!confirm(`Lift the ${restriction.kind === 'banned' ? 'ban' : 'suspension'} on ${userLabel(user)}?`)) return;
+          if (await liftRestriction(user)) {
+            showNotification('Restriction lifted.', 'success');
+            reload();
+          }
+        });
+      }
+      if (restriction?.kind !== 'banned') {
+        addAction('Suspend', 'btn-outline', () => showRestrictionModal(user, 'suspended', reload));
+        addAction('Ban', 'btn-danger', () => showRestrictionModal(user, 'banned', reload));
+      }
     }
-    // Edit & delete buttons if owner
-    if (listing.owner_id === currentUser.id) {
-      const editBtn = document.createElement('button');
-      editBtn.textContent = 'Edit';
-      editBtn.className = 'px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600';
-      editBtn.addEventListener('click', () => {
-        window.location.hash = `#/new-listing/${listing.id}`;
-      });
-      const deleteBtn = document.createElement('button');
-      deleteBtn.textContent = 'Delete';
-      deleteBtn.className = 'px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600';
-      deleteBtn.addEventListener('click', async () => {
-        if (!confirm('Are you sure you want to delete this listing?')) return;
-        await supabase
-          .from('listings')
-          .update({ is_deleted: true })
-          .eq('id', listing.id);
-        showNotification('Listing deleted.', 'success');
-        window.location.hash = '#/home';
-      });
-      controls.appendChild(editBtn);
-      controls.appendChild(deleteBtn);
+    row.appendChild(actions);
+    return row;
+  }
+
+  async function loadAppeals() {
+    appealList.innerHTML = '<p>Loading appeals...</p>';
+    const { data: appeals, error } = await db.appeals.list({ status: appealFilter.value });
+    if (error) {
+      appealList.innerHTML = '<p>Failed to load appeals.</p>';
+      return;
+    }
+    appealList.innerHTML = '';
+    for (const appeal of appeals || []) {
+      const { data: user } = await db.users.get(appeal.user_id);
+      appealList.appendChild(renderAppeal(appeal, user));
+    }
+    if (!appeals || appeals.length === 0) appealList.innerHTML = '<p>No appeals here.</p>';
+  }
+
+  /**
+   * Build the card for one appeal, with a response field and Uphold and
+   * Lift buttons while it is open.
+   *
+   * @param {object} appeal     Row from the appeals table
+   * @param {object|null} user  The user who appealed
+   * @returns {HTMLElement} The card
+   */
+  function renderAppeal(appeal, user) {
+    const card = document.createElement('div');
+    card.className = 'report-group';
+    const header = document.createElement('div');
+    header.className = 'report-group-header';
+    const title = document.createElement('h4');
+    title.textContent = user ? userLabel(user) : 'Deleted account';
+    header.appendChild(title);
+    const badge = document.createElement('span');
+    badge.className = 'report-status';
+    badge.textContent = APPEAL_STATUSES[appeal.status] || appeal.status;
+    header.appendChild(badge);
+    card.appendChild(header);
+    const restriction = accountRestriction(user);
+    const details = document.createElement('p');
+    details.className = 'text-sm text-gray-600';
+    details.textContent = `Sent ${new Date(appeal.created_at).toLocaleString()} · ${
+      restriction ? describeRestriction(restriction).replace(/^Your account/, 'Account') : 'No longer restricted'}`;
+    card.appendChild(details);
+    const message = document.createElement('p');
+    message.className = 'appeal-message';
+    message.textContent = appeal.message;
+    card.appendChild(message);
+    if (appeal.admin_response) {
+      const response = document.createElement('p');
+      response.className = 'text-gray-600';
+      response.textContent = `Response: ${appeal.admin_response}`;
+      card.appendChild(response);
+    }
+    if (appeal.status === 'open' && user) {
+      const actions = document.createElement('div');
+      actions.className = 'report-actions';
+      const responseInput = document.createElement('input');
+      responseInput.type = 'text';
+      responseInput.placeholder = 'Response to the user (optional)';
+      actions.appendChild(responseInput);
+      const upholdBtn = document.createElement('button');
+      upholdBtn.className = 'btn btn-outline';
+      upholdBtn.textContent = 'Uphold';
+      upholdBtn.addEventListener('click', () => decide(appeal, user, 'upheld', responseInput.value.trim()));
+      actions.appendChild(upholdBtn);
+      const liftBtn = document.createElement('button');
+      liftBtn.className = 'btn btn-primary';
+      liftBtn.textContent = 'Lift restriction';
+      liftBtn.addEventListener('click', () => decide(appeal, user, 'overturned', responseInput.value.trim()));
+      actions.appendChild(liftBtn);
+      card.appendChild(actions);
     }
+    return card;
   }
-  // Report button (for all viewers)
-  const reportBtn = document.createElement('button');
-  reportBtn.textContent = 'Report Listing';
-  reportBtn.className = 'px-4 py-2 bg-red-100 text-red-600 rounded hover:bg-red-200';
-  reportBtn.addEventListener('click', async () => {
-    const reason = prompt('Describe why you are reporting this listing:');
-    if (!reason) return;
-    await supabase.from('reports').insert({
-      listing_id: listing.id,
-      user_id: currentUser ? currentUser.id : null,
-      reason,
-    });
-    showNotification('Thank you for reporting. Our team will review it.', 'success');
-  });
-  controls.appendChild(reportBtn);
-  container.appendChild(controls);
-  // Rating summary
-  const ratingSummary = document.createElement('p');
-  ratingSummary.className = 'mt-4 text-gray-700';
-  const averageRating = listing.rating_count > 0 ? (listing.rating_sum / listing.rating_count).toFixed(1) : null;
-  ratingSummary.textContent = averageRating
-    ? `Rating: ${averageRating} / 5 from ${listing.rating_count} ratings`
-    : 'No ratings yet';
-  container.appendChild(ratingSummary);
-  // Ratings comments list
-  const { data: ratingsData } = await supabase
-    .from('ratings')
-    .select('*')
-    .eq('listing_id', listing.id)
-    .order('created_at', { ascending: false });
-  if (ratingsData && ratingsData.length) {
-    const ratingList = document.createElement('div');
-    ratingList.className = 'mt-4 space-y-4';
-    ratingsData.forEach((r) => {
-      const item = document.createElement('div');
-      item.className = 'border border-gray-200 rounded p-2';
-      const stars = '★★★★★☆☆☆☆☆'.slice(5 - r.rating, 10 - r.rating);
-      const starsEl = document.createElement('div');
-      starsEl.textContent = '★'.repeat(r.rating) + '☆'.repeat(5 - r.rating);
-      starsEl.className = 'text-yellow-500';
-      const commentEl = document.createElement('p');
-      commentEl.className = 'mt-1';
-      commentEl.textContent = r.comment || '';
-      item.appendChild(starsEl);
-      item.appendChild(commentEl);
-      ratingList.appendChild(item);
+
+  /**
+   * Close an appeal, lifting the restriction when it is overturned.
+   *
+   * @param {object} appeal   The open appeal
+   * @param {object} user     The user who appealed
+   * @param {string} status   'upheld' or 'overturned'
+   * @param {string} response Answer shown to the user, may be empty
+   */
+  async function decide(appeal, user, status, response) {
+    if (status === 'overturned' && !(await liftRestriction(user))) return;
+    const { error } = await db.appeals.update(appeal.id, {
+      status,
+      admin_response: response || null,
+      resolved_by: currentUser.id,
+      resolved_at: new Date().toISOString(),
     });
-    container.appendChild(ratingList);
+    if (error) {
+      showNotification('Failed to update the appeal.', 'error');
+      return;
+    }
+    showNotification(status === 'upheld' ? 'Appeal answered.' : 'Restriction lifted.', 'success');
+    loadAppeals();
+    reload();
   }
 }
 
 /**
- * Show a modal dialog for leaving a rating.  This function creates a simple
- * overlay with star inputs and an optional comment field.  Once the rating
- * is submitted it is stored in the `ratings` table and the listing’s
- * summary statistics are updated.
+ * Utility: Name a user for admin lists and the audit log.
  *
- * @param {object} listing The listing being rated
+ * @param {object} user Row from the users table
+ * @returns {string} Their name, or email when they have none
  */
-function showRatingModal(listing) {
-  if (!currentUser) {
-    showNotification('Please log in to leave a rating.', 'error');
-    return;
-  }
-  // Create overlay
+function userLabel(user) {
+  return user.full_name || user.email;
+}
+
+/**
+ * Utility: Clear a user's suspension or ban.
+ *
+ * @param {object} user Row from the users table
+ * @returns {Promise<boolean>} Whether the update worked
+ */
+async function liftRestriction(user) {
+  const { error } = await db.users.update(user.id, { blocked: false, suspended_until: null, suspension_reason: null });
+  if (error) showNotification(`Failed to lift the restriction on ${userLabel(user)}.`, 'error');
+  return !error;
+}
+
+/**
+ * Show a modal for suspending or banning a user.  A suspension lasts a
+ * number of days; a ban lasts until an admin lifts it.  Either needs a
+ * reason, which the user sees in their banner.
+ *
+ * @param {object} user       Row from the users table
+ * @param {string} kind       'suspended' or 'banned'
+ * @param {function} onDone   Called once the user has been restricted
+ */
+function showRestrictionModal(user, kind, onDone) {
+  const suspending = kind === 'suspended';
   const overlay = document.createElement('div');
-  overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
-  const modal = document.createElement('div');
-  modal.className = 'bg-white rounded p-6 w-96';
+  overlay.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 modal-overlay';
+  const modal = document.createElement('form');
+  modal.className = 'bg-white rounded p-6 w-96 modal';
   modal.innerHTML = `
-    <h3 class="text-xl font-semibold mb-4">Rate this listing</h3>
-    <div id="star-container" class="flex space-x-1 mb-4">
-      ${[1, 2, 3, 4, 5]
-        .map((i) => `<span data-star="${i}" class="cursor-pointer text-2xl text-gray-300">★</span>`) .join('')}
+    <h3 class="text-xl font-semibold mb-4"></h3>
+    <div id="restriction-days-group" class="mb-4">
+      <label class="block text-sm font-medium text-gray-700" for="restriction-days">Days</label>
+      <input type="number" id="restriction-days" min="1" max="365" step="1" value="7" class="w-full border border-gray-300 rounded p-2">
     </div>
-    <textarea id="rating-comment" rows="3" placeholder="Optional comment..." class="w-full border border-gray-300 rounded p-2 mb-4"></textarea>
+    <label class="block text-sm font-medium text-gray-700" for="restriction-reason">Reason (shown to the user)</label>
+    <textarea id="restriction-reason" rows="3" maxlength="500" required class="w-full border border-gray-300 rounded p-2 mb-4"></textarea>
     <div class="flex justify-end space-x-2">
-      <button id="cancel-rating" class="px-3 py-1 rounded border">Cancel</button>
-      <button id="submit-rating" class="px-3 py-1 bg-yellow-500 text-white rounded">Submit</button>
+      <button type="button" id="cancel-restriction" class="px-3 py-1 rounded border">Cancel</button>
+      <button type="submit" id="submit-restriction" class="px-3 py-1 bg-red-600 text-white rounded"></button>
     </div>
   `;
+  modal.querySelector('h3').textContent = `${suspending ? 'Suspend' : 'Ban'} ${userLabel(user)}`;
+  const submitBtn = modal.querySelector('#submit-restriction');
+  submitBtn.textContent = suspending ? 'Suspend' : 'Ban';
+  const daysInput = modal.querySelector('#restriction-days');
+  if (!suspending) {
+    modal.querySelector('#restriction-days-group').remove();
+  }
   overlay.appendChild(modal);
   document.body.appendChild(overlay);
-  // Star selection logic
-  let selectedRating = 0;
-  const starSpans = modal.querySelectorAll('[data-star]');
-  starSpans.forEach((star) => {
-    star.addEventListener('click', () => {
-      selectedRating = parseInt(star.getAttribute('data-star'));
-      starSpans.forEach((s, idx) => {
-        s.classList.toggle('text-yellow-500', idx < selectedRating);
-        s.classList.toggle('text-gray-300', idx >= selectedRating);
-      });
-    });
-  });
-  // Cancel
-  modal.querySelector('#cancel-rating').addEventListener('click', () => {
+  modal.querySelector('#cancel-restriction').addEventListener('click', () => {
     document.body.removeChild(overlay);
   });
-  // Submit
-  modal.querySelector('#submit-rating').addEventListener('click', async () => {
-    if (selectedRating < 1) {
-      alert('Please select a rating.');
+  modal.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const reason = modal.querySelector('#restriction-reason').value.trim();
+    const days = suspending ? parseInt(daysInput.value, 10) : null;
+    if (!reason || (suspending && !(days >= 1))) return;
+    const until = suspending ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+    submitBtn.disabled = true;
+    const { error } = await db.users.update(user.id, {
+      blocked: !suspending,
+      suspended_until: until,
+      suspension_reason: reason,
+    });
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification(`Failed to ${suspending ? 'suspend' : 'ban'} ${userLabel(user)}.`, 'error');
       return;
     }
-    const comment = modal.querySelector('#rating-comment').value.trim();
-    // Insert rating
-    await supabase.from('ratings').insert({
-      listing_id: listing.id,
-      user_id: currentUser.id,
-      rating: selectedRating,
-      comment: comment || null,
-    });
-    // Update aggregate on listing
-    const newSum = listing.rating_sum + selectedRating;
-    const newCount = listing.rating_count + 1;
-    await supabase
-      .from('listings')
-      .update({ rating_sum: newSum, rating_count: newCount })
-      .eq('id', listing.id);
-    showNotification('Thank you for your rating!', 'success');
     document.body.removeChild(overlay);
-    // reload page to show updated rating summary
-    renderListingDetailsPage(listing.id);
+    showNotification(suspending ? `${userLabel(user)} is suspended for ${days} day(s).` : `${userLabel(user)} is banned.`, 'success');
+    onDone();
   });
 }
 
 /**
- * Compute a deterministic conversation ID given two user IDs.  The smaller
- * UUID is placed first to ensure both participants derive the same value.
+ * Set up the Schools tab of the admin page: the school directory, with a
+ * form to add a school or edit one's aliases and email domains.  Changes
+ * take effect for sign‑up and the school pickers straight away.
  *
- * @param {string} idA First user ID
- * @param {string} idB Second user ID
- * @returns {string} Deterministic conversation ID
+ * @param {HTMLElement} section The #schools-section element
  */
-function getConversationId(idA, idB) {
-  return [idA, idB].sort().join('-');
+function renderAdminSchools(section) {
+  const form = section.querySelector('#school-form');
+  const formTitle = section.querySelector('#school-form-title');
+  const nameInput = section.querySelector('#school-name');
+  const aliasesInput = section.querySelector('#school-aliases');
+  const domainsInput = section.querySelector('#school-domains');
+  const errorsEl = section.querySelector('#school-form-errors');
+  const submitBtn = section.querySelector('#school-submit-btn');
+  const cancelBtn = section.querySelector('#school-cancel-btn');
+  const list = section.querySelector('#school-list');
+  // The school being edited, or null when adding one
+  let editing = null;
+
+  renderList();
+
+  /**
+   * Show the directory, one row per school.
+   */
+  function renderList() {
+    list.innerHTML = '';
+    schoolDirectory.forEach((school) => {
+      const row = document.createElement('tr');
+      [school.name, (school.aliases || []).join(', '), (school.email_domains || []).join(', ')].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      const actions = document.createElement('td');
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'btn btn-outline';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => startEditing(school));
+      actions.appendChild(editBtn);
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Fill the form with a school's details to edit them.
+   *
+   * @param {object} school Row from the schools table
+   */
+  function startEditing(school) {
+    editing = school;
+    formTitle.textContent = `Edit ${school.name}`;
+    nameInput.value = school.name;
+    aliasesInput.value = (school.aliases || []).join(', ');
+    domainsInput.value = (school.email_domains || []).join(', ');
+    submitBtn.textContent = 'Save School';
+    cancelBtn.classList.remove('hidden');
+    errorsEl.textContent = '';
+    nameInput.focus();
+  }
+
+  /**
+   * Empty the form and go back to adding a school.
+   */
+  function resetForm() {
+    editing = null;
+    form.reset();
+    formTitle.textContent = 'Add a school';
+    submitBtn.textContent = 'Add School';
+    cancelBtn.classList.add('hidden');
+    errorsEl.textContent = '';
+  }
+
+  cancelBtn.addEventListener('click', resetForm);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { fields, errors } = validateSchool({
+      name: nameInput.value,
+      aliases: aliasesInput.value,
+      email_domains: domainsInput.value,
+    }, schoolDirectory, editing ? editing.id : null);
+    if (!fields) {
+      errorsEl.textContent = errors.join(' ');
+      return;
+    }
+    // A renamed school keeps answering to its old name in old links
+    if (editing && editing.name !== fields.name && !fields.aliases.includes(editing.name)) {
+      fields.aliases.push(editing.name);
+    }
+    submitBtn.disabled = true;
+    const { error } = editing
+      ? await db.schools.update(editing.id, fields)
+      : await db.schools.create(fields);
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification('Failed to save school.', 'error');
+      return;
+    }
+    showNotification(editing ? 'School updated.' : `${fields.name} added.`, 'success');
+    await loadSchools();
+    resetForm();
+    renderList();
+  });
 }
 
 /**
- * Render the messages page.  This page displays a list of conversations on
- * the left and a chat window on the right.  If a conversation ID is
- * provided in the hash then it is opened automatically.
+ * Set up the Reported Listings tab of the admin page: the moderation
+ * queue.  Reports are grouped by listing.  Closing a group removes the
+ * listing (its reports become actioned) or dismisses them, with an
+ * optional note kept on the reports; several listings can be closed at
+ * once.  Reports are kept for history and every action is audited.
  *
- * @param {string|null} conversationId Optional conversation to open
+ * @param {HTMLElement} section The #reported-section element
  */
-async function renderMessagesPage(conversationId = null) {
-  const content = document.getElementById('content');
-  const template = document.getElementById('messages-template');
-  if (!content || !template) return;
-  // Ensure the SPA container is visible and the landing content hidden
-  showDynamicContent();
-  content.innerHTML = '';
-  const node = template.content.cloneNode(true);
-  content.appendChild(node);
-  // Elements
-  const convList = content.querySelector('#conversation-list');
-  const chatMessages = content.querySelector('#chat-messages');
-  const chatTitle = content.querySelector('#chat-title');
-  const messageForm = content.querySelector('#message-form');
-  const messageInput = content.querySelector('#message-input');
-  const blockUserBtn = content.querySelector('#block-user-btn');
+async function renderAdminReports(section) {
+  const statusFilter = section.querySelector('#report-status-filter');
+  const list = section.querySelector('#flagged-listings');
+  const selectAll = section.querySelector('#report-select-all');
+  const bulkNote = section.querySelector('#report-bulk-note');
+  const bulkRemoveBtn = section.querySelector('#bulk-remove-btn');
+  const bulkDismissBtn = section.querySelector('#bulk-dismiss-btn');
+  // Listings with reports in the current view: { listingId, listing, reports }
+  let groups = [];
+  // Groups ticked for a bulk action
+  const selected = new Set();
 
-  // Load conversations
-  await loadConversations();
-  // If a conversation is specified, open it
-  if (conversationId) {
-    openConversation(conversationId);
-  }
+  statusFilter.addEventListener('change', load);
+  selectAll.addEventListener('change', () => {
+    list.querySelectorAll('.report-select').forEach((checkbox) => {
+      checkbox.checked = selectAll.checked;
+      checkbox.dispatchEvent(new Event('change'));
+    });
+  });
+  bulkRemoveBtn.addEventListener('click', async () => {
+    const chosen = groups.filter((group) => selected.has(group));
+    if (!confirm(`Remove ${chosen.length} listing(s) and close their reports?`)) return;
+    await runBulk(chosen, (group) => removeListing(group, bulkNote.value.trim()));
+  });
+  bulkDismissBtn.addEventListener('click', async () => {
+    const chosen = groups.filter((group) => selected.has(group));
+    await runBulk(chosen, (group) => dismissReports(group, bulkNote.value.trim()));
+  });
+  await load();
 
   /**
-   * Fetch all conversations for the current user and build the list.  Each
-   * conversation list item displays the other participant and a snippet of
-   * the last message.  Clicking opens the chat.
+   * Fetch the reports with the chosen status and show them by listing,
+   * most recently reported first.
    */
-  async function loadConversations() {
-    convList.innerHTML = '';
-    // Get all messages where current user is sender or receiver
-    const { data, error } = await supabase
-      .from('messages')
-      .select('*')
-      .or(
-        `sender_id.eq.${currentUser.id},receiver_id.eq.${currentUser.id}`
-      )
-      .order('created_at', { ascending: false });
+  async function load() {
+    list.innerHTML = '<p>Loading reports...</p>';
+    selected.clear();
+    selectAll.checked = false;
+    updateBulkButtons();
+    const { data: reports, error } = await db.reports.list({ status: statusFilter.value });
     if (error) {
-      showNotification('Unable to load messages.', 'error');
+      list.innerHTML = '<p>Failed to load reports.</p>';
       return;
     }
-    // Group messages by conversation
-    const convoMap = new Map();
-    (data || []).forEach((msg) => {
-      const cId = msg.conversation_id;
-      if (!convoMap.has(cId)) {
-        convoMap.set(cId, []);
-      }
-      convoMap.get(cId).push(msg);
+    const byListing = new Map();
+    (reports || []).forEach((report) => {
+      if (!byListing.has(report.listing_id)) byListing.set(report.listing_id, []);
+      byListing.get(report.listing_id).push(report);
     });
-    // Build list items
-    for (const [cId, msgs] of convoMap.entries()) {
-      const lastMsg = msgs[0];
-      const otherId = lastMsg.sender_id === currentUser.id ? lastMsg.receiver_id : lastMsg.sender_id;
-      // Fetch other user info from users table
-      const { data: other } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', otherId)
-        .single();
-      const li = document.createElement('li');
-      li.className = 'p-2 rounded hover:bg-gray-100 cursor-pointer';
-      li.innerHTML = `<div class="font-medium">${other?.full_name || other?.email || 'Unknown'}</div>
-        <div class="text-sm text-gray-600 truncate">${lastMsg.content}</div>`;
-      li.addEventListener('click', () => {
-        openConversation(cId);
-      });
-      convList.appendChild(li);
+    groups = [];
+    for (const [listingId, listingReports] of byListing.entries()) {
+      const { data: listing } = await db.listings.get(listingId);
+      groups.push({ listingId, listing, reports: listingReports });
+    }
+    list.innerHTML = '';
+    if (groups.length === 0) {
+      list.innerHTML = '<p>No reports here.</p>';
+      return;
     }
+    groups.forEach((group) => list.appendChild(renderGroup(group)));
   }
 
   /**
-   * Open a specific conversation, load its messages and subscribe for
-   * real‑time updates.  Updates the chat header to show the other user and
-   * provides an input for sending new messages.
+   * Build the card for one reported listing.
    *
-   * @param {string} cId The conversation ID to open
+   * @param {object} group { listingId, listing, reports }
+   * @returns {HTMLElement} The card
    */
-  async function openConversation(cId) {
-    // Clear any existing subscription
-    if (currentChatSubscription) {
-      await currentChatSubscription.unsubscribe();
-      currentChatSubscription = null;
+  function renderGroup(group) {
+    const { listing, reports } = group;
+    const openReports = reports.filter((r) => (r.status || 'open') === 'open');
+    const card = document.createElement('div');
+    card.className = 'report-group';
+    const header = document.createElement('div');
+    header.className = 'report-group-header';
+    if (openReports.length) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'report-select';
+      checkbox.setAttribute('aria-label', 'Select for bulk action');
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(group);
+        else selected.delete(group);
+        updateBulkButtons();
+      });
+      header.appendChild(checkbox);
     }
-    // Determine the other user
-    const ids = cId.split('-');
-    const otherId = ids[0] === currentUser.id ? ids[1] : ids[0];
-    // Fetch other user profile
-    const { data: other } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', otherId)
-      .single();
-    chatTitle.textContent = other?.full_name || other?.email || 'Conversation';
-    blockUserBtn.classList.add('hidden');
-    if (other && other.blocked) {
-      chatTitle.textContent += ' (Blocked)';
+    const title = document.createElement('h4');
+    if (listing) {
+      const link = document.createElement('a');
+      link.href = `#/listing/${listing.id}`;
+      link.textContent = listing.title;
+      title.appendChild(link);
+      if (listing.status === 'deleted') title.appendChild(document.createTextNode(' (removed)'));
+    } else {
+      title.textContent = 'Listing no longer exists';
     }
-    // Load messages
-    chatMessages.innerHTML = '<p class="text-center text-gray-500 mt-4">Loading...</p>';
-    const { data: msgs } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('conversation_id', cId)
-      .order('created_at', { ascending: true });
-    chatMessages.innerHTML = '';
-    (msgs || []).forEach((msg) => addMessageToChat(msg, otherId));
-    // Subscribe to new messages for this conversation using Postgres changes
-    currentChatSubscription = supabase
-      .channel('chat-' + cId)
-      .on(
-        'postgres_changes',
-        {
-          event: 'INSERT',
-          schema: 'public',
-          table: 'messages',
-          filter: `conversation_id=eq.${cId}`,
-        },
-        (payload) => {
-          const msg = payload.new;
-          addMessageToChat(msg, otherId);
+    header.appendChild(title);
+    const count = document.createElement('span');
+    count.className = 'text-sm text-gray-600';
+    count.textContent = `${reports.length} report(s), ${openReports.length} open`;
+    header.appendChild(count);
+    card.appendChild(header);
+
+    const reportList = document.createElement('ul');
+    reportList.className = 'report-list';
+    reports.forEach((report) => {
+      const status = report.status || 'open';
+      const item = document.createElement('li');
+      const badge = document.createElement('span');
+      badge.className = `report-status ${status}`;
+      badge.textContent = REPORT_STATUSES[status] || status;
+      item.appendChild(badge);
+      const category = document.createElement('strong');
+      category.textContent = ` ${reportCategoryLabel(report.category)}`;
+      item.appendChild(category);
+      const when = new Date(report.created_at).toLocaleString();
+      item.appendChild(document.createTextNode(` · ${when}${report.reason ? ` · “${report.reason}”` : ''}`));
+      if (report.admin_note || report.resolved_at) {
+        const resolution = document.createElement('div');
+        resolution.className = 'text-gray-600';
+        const parts = [];
+        if (report.resolved_at) parts.push(`Closed ${new Date(report.resolved_at).toLocaleString()}`);
+        if (report.admin_note) parts.push(`Note: ${report.admin_note}`);
+        resolution.textContent = parts.join(' · ');
+        item.appendChild(resolution);
+      }
+      reportList.appendChild(item);
+    });
+    card.appendChild(reportList);
+
+    const actions = document.createElement('div');
+    actions.className = 'report-actions';
+    if (openReports.length) {
+      const noteInput = document.createElement('input');
+      noteInput.type = 'text';
+      noteInput.placeholder = 'Note (optional)';
+      actions.appendChild(noteInput);
+      if (listing && listing.status !== 'deleted') {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger';
+        removeBtn.textContent = 'Remove listing';
+        removeBtn.addEventListener('click', async () => {
+          if (!confirm('Remove this listing and close its reports?')) return;
+          removeBtn.disabled = true;
+          if (await removeListing(group, noteInput.value.trim())) {
+            showNotification('Listing removed.', 'success');
+            load();
+          }
+          removeBtn.disabled = false;
+        });
+        actions.appendChild(removeBtn);
+      }
+      const dismissBtn = document.createElement('button');
+      dismissBtn.className = 'btn btn-outline';
+      dismissBtn.textContent = 'Dismiss';
+      dismissBtn.addEventListener('click', async () => {
+        dismissBtn.disabled = true;
+        if (await dismissReports(group, noteInput.value.trim())) {
+          showNotification('Reports dismissed.', 'success');
+          load();
         }
-      )
-      .subscribe();
-    // Handle sending new message
-    messageForm.onsubmit = async (e) => {
-      e.preventDefault();
-      const contentVal = messageInput.value.trim();
-      if (!contentVal) return;
-      await supabase.from('messages').insert({
-        conversation_id: cId,
-        sender_id: currentUser.id,
-        receiver_id: otherId,
-        content: contentVal,
+        dismissBtn.disabled = false;
       });
-      messageInput.value = '';
-    };
+      actions.appendChild(dismissBtn);
+    } else if (reports.some((r) => r.status === 'dismissed')) {
+      const reopenBtn = document.createElement('button');
+      reopenBtn.className = 'btn btn-outline';
+      reopenBtn.textContent = 'Reopen';
+      reopenBtn.addEventListener('click', async () => {
+        reopenBtn.disabled = true;
+        if (await reopenReports(group)) {
+          showNotification('Reports reopened.', 'success');
+          load();
+        }
+        reopenBtn.disabled = false;
+      });
+      actions.appendChild(reopenBtn);
+    }
+    card.appendChild(actions);
+    return card;
+  }
+
+  function updateBulkButtons() {
+    bulkRemoveBtn.disabled = selected.size === 0;
+    bulkDismissBtn.disabled = selected.size === 0;
   }
 
   /**
-   * Append a message to the chat area.  Messages sent by the current user
-   * align to the right and those from the other user align to the left.
+   * Apply an action to several listings, then report how many worked.
    *
-   * @param {object} msg      The message record
-   * @param {string} otherId  The ID of the other user
+   * @param {object[]} chosen Groups to act on
+   * @param {function(object): Promise<boolean>} action Per‑group action
    */
-  function addMessageToChat(msg, otherId) {
-    const div = document.createElement('div');
-    div.className = 'flex mb-2';
-    const isMine = msg.sender_id === currentUser.id;
-    div.classList.add(isMine ? 'justify-end' : 'justify-start');
-    const bubble = document.createElement('div');
-    bubble.className = isMine
-      ? 'bg-blue-600 text-white rounded-lg px-3 py-2 max-w-xs'
-      : 'bg-gray-200 text-gray-800 rounded-lg px-3 py-2 max-w-xs';
-    bubble.textContent = msg.content;
-    div.appendChild(bubble);
-    chatMessages.appendChild(div);
-    // Scroll to bottom
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+  async function runBulk(chosen, action) {
+    bulkRemoveBtn.disabled = true;
+    bulkDismissBtn.disabled = true;
+    let done = 0;
+    for (const group of chosen) {
+      if (await action(group)) done++;
+    }
+    showNotification(`${done} of ${chosen.length} listing(s) handled.`, done === chosen.length ? 'success' : 'error');
+    load();
+  }
+
+  /**
+   * Close a group's open reports.
+   *
+   * @param {object} group  { listingId, listing, reports }
+   * @param {string} status 'actioned' or 'dismissed'
+   * @param {string} note   Admin note, may be empty
+   * @returns {Promise<number[]|null>} IDs of the closed reports, or null
+   *   when the update failed
+   */
+  async function closeReports(group, status, note) {
+    const ids = group.reports.filter((r) => (r.status || 'open') === 'open').map((r) => r.id);
+    const { error } = await db.reports.update(ids, {
+      status,
+      admin_note: note || null,
+      resolved_by: currentUser.id,
+      resolved_at: new Date().toISOString(),
+    });
+    if (error) {
+      showNotification('Failed to update the reports.', 'error');
+      return null;
+    }
+    return ids;
+  }
+
+  async function removeListing(group, note) {
+    const { listing } = group;
+    if (listing && listing.status !== 'deleted') {
+      const { error } = await db.listings.update(listing.id, {
+        status: 'deleted',
+        status_changed_at: new Date().toISOString(),
+        images: [],
+        thumbnails: [],
+      });
+      if (error) {
+        showNotification(`Failed to remove “${listing.title}”.`, 'error');
+        return false;
+      }
+      await removeListingPhotos([...(listing.images || []), ...(listing.thumbnails || [])]);
+    }
+    const ids = await closeReports(group, 'actioned', note);
+    return Boolean(ids);
+  }
+
+  async function dismissReports(group, note) {
+    const ids = await closeReports(group, 'dismissed', note);
+    return Boolean(ids);
+  }
+
+  async function reopenReports(group) {
+    const ids = group.reports.filter((r) => r.status === 'dismissed').map((r) => r.id);
+    const { error } = await db.reports.update(ids, { status: 'open', resolved_by: null, resolved_at: null });
+    if (error) {
+      showNotification('Failed to reopen the reports.', 'error');
+      return false;
+    }
+    return true;
   }
 }
 
 /**
- * Render the saved listings page.  Displays the current user's saved items
- * using the same card layout as the home page.  Clicking a card navigates
- * to the listing detail view.  Users can unsave listings directly from
- * this page.
+ * Set up the Review Queue tab of the admin page: listings held back by a
+ * screening rule, oldest first, with the rules they matched.  Approving
+ * one puts it in the marketplace for a full listing lifetime; rejecting it
+ * keeps it hidden and shows the owner the note.  Both are audited.
+ *
+ * @param {HTMLElement} section The #review-section element
  */
-async function renderSavedPage() {
-  const content = document.getElementById('content');
-  const template = document.getElementById('saved-template');
-  if (!content || !template) return;
-  // Ensure the SPA container is visible and the landing content hidden
-  showDynamicContent();
-  content.innerHTML = '';
-  const node = template.content.cloneNode(true);
-  content.appendChild(node);
-  const grid = content.querySelector('#saved-listings');
-  await loadSavedListingIds();
-  if (savedListingIds.size === 0) {
-    const empty = document.createElement('p');
-    empty.className = 'text-center text-gray-500 mt-8';
-    empty.textContent = 'You have no saved listings.';
-    grid.appendChild(empty);
-    return;
-  }
-  // Fetch listing details for saved IDs
-  const idsArray = Array.from(savedListingIds);
-  const { data, error } = await supabase
-    .from('listings')
-    .select('*')
-    .in('id', idsArray)
-    .eq('is_deleted', false);
-  if (error) {
-    showNotification('Unable to load saved listings.', 'error');
-    return;
+async function renderAdminReviewQueue(section) {
+  const list = section.querySelector('#review-queue');
+  await load();
+
+  async function load() {
+    list.innerHTML = '<p>Loading listings...</p>';
+    const { data: pending, error } = await db.listings.listForReview();
+    if (error) {
+      list.innerHTML = '<p>Failed to load the review queue.</p>';
+      return;
+    }
+    list.innerHTML = '';
+    (pending || []).forEach((listing) => list.appendChild(renderListing(listing)));
+    if (!pending || pending.length === 0) list.innerHTML = '<p>No listings are waiting for review.</p>';
   }
-  // Render cards (reuse logic from home page)
-  data.forEach((listing) => {
+
+  /**
+   * Build the card for one held listing.
+   *
+   * @param {object} listing The pending listing
+   * @returns {HTMLElement} The card
+   */
+  function renderListing(listing) {
     const card = document.createElement('div');
-    card.className = 'bg-white rounded shadow hover:shadow-lg transition cursor-pointer flex flex-col';
-    const img = document.createElement('img');
-    img.className = 'h-40 w-full object-cover rounded-t';
-    const firstImage = Array.isArray(listing.images) && listing.images.length > 0 ? listing.images[0] : null;
-    img.src = firstImage || 'https://placehold.co/400x300?text=No+Image';
-    card.appendChild(img);
-    const info = document.createElement('div');
-    info.className = 'p-4 flex-1 flex flex-col';
-    const title = document.createElement('h3');
-    title.className = 'text-lg font-semibold mb-1 truncate';
-    title.textContent = listing.title;
-    info.appendChild(title);
-    const price = document.createElement('p');
-    price.className = 'text-blue-600 font-bold mb-1';
-    price.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
-    info.appendChild(price);
-    const schoolLine = document.createElement('p');
-    schoolLine.className = 'text-sm text-gray-600';
-    schoolLine.textContent = listing.school;
-    info.appendChild(schoolLine);
-    const programLine = document.createElement('p');
-    programLine.className = 'text-sm text-gray-600 mb-2';
-    programLine.textContent = listing.program || '';
-    info.appendChild(programLine);
-    // Unsave button
-    const unsaveBtn = document.createElement('button');
-    unsaveBtn.innerHTML = '❤️ Remove';
-    unsaveBtn.className = 'self-start text-2xl focus:outline-none';
-    unsaveBtn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      await supabase
-        .from('saved_listings')
-        .delete()
-        .match({ user_id: currentUser.id, listing_id: listing.id });
-      savedListingIds.delete(listing.id);
-      renderSavedPage();
-    });
-    info.appendChild(unsaveBtn);
-    card.appendChild(info);
-    card.addEventListener('click', () => {
-      window.location.hash = `#/listing/${listing.id}`;
+    card.className = 'report-group';
+    const header = document.createElement('div');
+    header.className = 'report-group-header';
+    const title = document.createElement('h4');
+    const link = document.createElement('a');
+    link.href = `#/listing/${listing.id}`;
+    link.textContent = listing.title;
+    title.appendChild(link);
+    header.appendChild(title);
+    const price = document.createElement('span');
+    price.className = 'text-sm text-gray-600';
+    price.textContent = `CAD $${Number(listing.price).toFixed(2)} · ${LISTING_CATEGORIES[listing.category] || listing.category}`;
+    header.appendChild(price);
+    card.appendChild(header);
+    const details = document.createElement('p');
+    details.className = 'text-sm text-gray-600';
+    const since = listing.status_changed_at || listing.created_at;
+    details.textContent = `By ${listing.owner_name || listing.owner_email} · waiting since ${new Date(since).toLocaleString()}`;
+    card.appendChild(details);
+    const description = document.createElement('p');
+    description.className = 'appeal-message';
+    description.textContent = listing.description;
+    card.appendChild(description);
+    const matches = listing.screening_matches || [];
+    const matchList = document.createElement('ul');
+    matchList.className = 'report-list';
+    matches.forEach((match) => {
+      const item = document.createElement('li');
+      item.textContent = `Matched ${match.description}`;
+      matchList.appendChild(item);
     });
-    grid.appendChild(card);
-  });
+    if (matches.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'Edited by its owner after being rejected';
+      matchList.appendChild(item);
+    }
+    card.appendChild(matchList);
+
+    const actions = document.createElement('div');
+    actions.className = 'report-actions';
+    const noteInput = document.createElement('input');
+    noteInput.type = 'text';
+    noteInput.placeholder = 'Note to the owner (optional)';
+    actions.appendChild(noteInput);
+    const approveBtn = document.createElement('button');
+    approveBtn.className = 'btn btn-primary';
+    approveBtn.textContent = 'Approve';
+    approveBtn.addEventListener('click', () => decide(listing, 'active', noteInput.value.trim()));
+    actions.appendChild(approveBtn);
+    const rejectBtn = document.createElement('button');
+    rejectBtn.className = 'btn btn-danger';
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.addEventListener('click', () => decide(listing, 'rejected', noteInput.value.trim()));
+    actions.appendChild(rejectBtn);
+    card.appendChild(actions);
+    return card;
+  }
+
+  /**
+   * Approve or reject a held listing.
+   *
+   * @param {object} listing The pending listing
+   * @param {string} status  'active' or 'rejected'
+   * @param {string} note    Note to the owner, may be empty
+   */
+  async function decide(listing, status, note) {
+    const now = new Date().toISOString();
+    const patch = {
+      status,
+      status_changed_at: now,
+      review_note: note || null,
+      reviewed_by: currentUser.id,
+      reviewed_at: now,
+    };
+    // The listing's lifetime starts when it goes live
+    if (status === 'active') patch.expires_at = listingExpiryDate(config.listingLifetimeDays || 60);
+    const { error } = await db.listings.update(listing.id, patch);
+    if (error) {
+      showNotification(`Failed to update “${listing.title}”.`, 'error');
+      return;
+    }
+    showNotification(status === 'active' ? 'Listing approved.' : 'Listing rejected.', 'success');
+    load();
+  }
 }
 
 /**
- * Render the user's profile page or another user's public profile.  The
- * current user can edit their own profile details.  A list of the user's
- * listings is shown below their basic information.  If viewing another
- * user, a button to initiate a conversation is available.
+ * Set up the Screening Rules tab of the admin page: the rules that hold
+ * new and edited listings for review (see screening.js), with a form to
+ * add or edit one and buttons to switch a rule off or delete it.  Rules
+ * apply to listings saved from then on; every change is audited.
  *
- * @param {string|null} id Optional ID of the profile to view
+ * @param {HTMLElement} section The #rules-section element
  */
-async function renderProfilePage(id = null) {
-  const content = document.getElementById('content');
-  const template = document.getElementById('profile-template');
-  if (!content || !template) return;
-  // Ensure the SPA container is visible and the landing content hidden
-  showDynamicContent();
-  content.innerHTML = '';
-  const node = template.content.cloneNode(true);
-  content.appendChild(node);
-  const container = content.querySelector('#profile-content');
-  container.innerHTML = '<p class="text-center">Loading...</p>';
-  const profileId = id || currentUser?.id;
-  if (!profileId) {
-    showNotification('User not found.', 'error');
-    container.innerHTML = '';
-    return;
-  }
-  // Fetch profile from users table
-  const { data: profileData, error } = await supabase
-    .from('users')
-    .select('*')
-    .eq('id', profileId)
-    .single();
-  if (error || !profileData) {
-    container.innerHTML = '<p class="text-red-600">Unable to load profile.</p>';
-    return;
+async function renderAdminScreeningRules(section) {
+  const form = section.querySelector('#rule-form');
+  const formTitle = section.querySelector('#rule-form-title');
+  const typeSelect = section.querySelector('#rule-type');
+  const patternGroup = section.querySelector('#rule-pattern-group');
+  const patternInput = section.querySelector('#rule-pattern');
+  const amountGroup = section.querySelector('#rule-amount-group');
+  const amountInput = section.querySelector('#rule-amount');
+  const categorySelect = section.querySelector('#rule-category');
+  const noteInput = section.querySelector('#rule-note');
+  const errorsEl = section.querySelector('#rule-form-errors');
+  const submitBtn = section.querySelector('#rule-submit-btn');
+  const cancelBtn = section.querySelector('#rule-cancel-btn');
+  const list = section.querySelector('#rule-list');
+  // The rule being edited, or null when adding one
+  let editing = null;
+
+  Object.entries(SCREENING_RULE_TYPES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    typeSelect.appendChild(option);
+  });
+  Object.entries(LISTING_CATEGORIES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    categorySelect.appendChild(option);
+  });
+  typeSelect.addEventListener('change', showFieldsForType);
+  showFieldsForType();
+  await load();
+
+  /**
+   * Ask for a pattern or a price, whichever the chosen kind of rule needs.
+   */
+  function showFieldsForType() {
+    const isPrice = typeSelect.value === 'price_below' || typeSelect.value === 'price_above';
+    patternGroup.classList.toggle('hidden', isPrice);
+    amountGroup.classList.toggle('hidden', !isPrice);
   }
-  const isOwnProfile = currentUser && profileId === currentUser.id;
-  container.innerHTML = '';
-  // Display basic info
-  const nameEl = document.createElement('h2');
-  nameEl.className = 'text-2xl font-semibold';
-  nameEl.textContent = profileData.full_name || profileData.email;
-  container.appendChild(nameEl);
-  const schoolEl = document.createElement('p');
-  schoolEl.className = 'text-gray-700';
-  schoolEl.textContent = profileData.school_name;
-  container.appendChild(schoolEl);
-  if (profileData.program_name) {
-    const programEl = document.createElement('p');
-    programEl.className = 'text-gray-700';
-    programEl.textContent = profileData.program_name;
-    container.appendChild(programEl);
+
+  async function load() {
+    const { data: rules, error } = await db.screeningRules.list();
+    list.innerHTML = '';
+    if (error) {
+      list.innerHTML = '<tr><td colspan="4">Failed to load the screening rules.</td></tr>';
+      return;
+    }
+    (rules || []).forEach((rule) => list.appendChild(renderRule(rule)));
+    if (!rules || rules.length === 0) list.innerHTML = '<tr><td colspan="4">No rules yet. Every listing goes live straight away.</td></tr>';
   }
-  // Rating summary
-  const ratingText = document.createElement('p');
-  ratingText.className = 'mt-2 text-gray-700';
-  const avg = profileData.rating_count > 0 ? (profileData.rating_sum / profileData.rating_count).toFixed(1) : null;
-  ratingText.textContent = avg
-    ? `Seller rating: ${avg} / 5 (${profileData.rating_count} reviews)`
-    : 'No ratings yet';
-  container.appendChild(ratingText);
-  // If viewing another user, show message button
-  if (!isOwnProfile && currentUser) {
-    const msgBtn = document.createElement('button');
-    msgBtn.textContent = 'Message';
-    msgBtn.className = 'mt-4 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700';
-    msgBtn.addEventListener('click', () => {
-      const convoId = getConversationId(currentUser.id, profileId);
-      window.location.hash = `#/messages/${convoId}`;
+
+  /**
+   * Build the table row for one rule.
+   *
+   * @param {object} rule Row from the screening_rules table
+   * @returns {HTMLElement} The row
+   */
+  function renderRule(rule) {
+    const row = document.createElement('tr');
+    row.classList.toggle('rule-disabled', !rule.enabled);
+    [describeRule(rule), rule.note || '', rule.enabled ? 'On' : 'Off'].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
     });
-    container.appendChild(msgBtn);
-  }
-  // Edit form for own profile
-  if (isOwnProfile) {
-    const editForm = document.createElement('form');
-    editForm.className = 'mt-4 space-y-3';
-    editForm.innerHTML = `
-      <h3 class="text-xl font-semibold">Edit Profile</h3>
-      <div>
-        <label class="block text-sm font-medium text-gray-700">Full Name</label>
-        <input type="text" id="edit-fullname" class="mt-1 block w-full rounded border-gray-300 p-2" value="${profileData.full_name || ''}" />
-      </div>
-      <div>
-        <label class="block text-sm font-medium text-gray-700">School</label>
-        <input type="text" id="edit-school" class="mt-1 block w-full rounded border-gray-300 p-2" value="${profileData.school_name || ''}" />
-      </div>
-      <div>
-        <label class="block text-sm font-medium text-gray-700">Program (optional)</label>
-        <input type="text" id="edit-program" class="mt-1 block w-full rounded border-gray-300 p-2" value="${profileData.program_name || ''}" />
-      </div>
-      <button type="submit" class="px-4 py-2 bg-green-600 text-white rounded">Save Changes</button>
-    `;
-    editForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const fullName = editForm.querySelector('#edit-fullname').value.trim();
-      const school = editForm.querySelector('#edit-school').value.trim();
-      const program = editForm.querySelector('#edit-program').value.trim();
-      const { error: updateError } = await supabase
-        .from('users')
-        .update({
-          full_name: fullName,
-          school_name: school,
-          program_name: program || null,
-        })
-        .eq('id', currentUser.id);
-      if (updateError) {
-        showNotification('Failed to update profile.', 'error');
-      } else {
-        showNotification('Profile updated successfully!', 'success');
-        // Refresh local state and re-render page
-        const { data: updated } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', currentUser.id)
-          .single();
-        userProfile = updated;
-        renderProfilePage();
+    const actions = document.createElement('td');
+    actions.className = 'user-actions';
+    const addAction = (text, className, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `btn ${className}`;
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+    addAction('Edit', 'btn-outline', () => startEditing(rule));
+    addAction(rule.enabled ? 'Turn off' : 'Turn on', 'btn-outline', async () => {
+      const { error } = await db.screeningRules.update(rule.id, { enabled: !rule.enabled });
+      if (error) {
+        showNotification('Failed to update the rule.', 'error');
+        return;
       }
+      load();
     });
-    container.appendChild(editForm);
-  }
-  // List of user's listings
-  const { data: userListings } = await supabase
-    .from('listings')
-    .select('*')
-    .eq('owner_id', profileId)
-    .eq('is_deleted', false)
-    .order('created_at', { ascending: false });
-  if (userListings && userListings.length > 0) {
-    const listHeader = document.createElement('h3');
-    listHeader.className = 'mt-6 text-xl font-semibold';
-    listHeader.textContent = isOwnProfile ? 'My Listings' : 'Listings';
-    container.appendChild(listHeader);
-    const grid = document.createElement('div');
-    grid.className = 'grid gap-4 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3';
-    userListings.forEach((listing) => {
-      const card = document.createElement('div');
-      card.className = 'bg-white rounded shadow hover:shadow-lg transition cursor-pointer flex flex-col';
-      const img = document.createElement('img');
-      img.className = 'h-40 w-full object-cover rounded-t';
-      const firstImage = Array.isArray(listing.images) && listing.images.length > 0 ? listing.images[0] : null;
-      img.src = firstImage || 'https://placehold.co/400x300?text=No+Image';
-      card.appendChild(img);
-      const info = document.createElement('div');
-      info.className = 'p-4 flex-1 flex flex-col';
-      const title = document.createElement('h3');
-      title.className = 'text-lg font-semibold mb-1 truncate';
-      title.textContent = listing.title;
-      info.appendChild(title);
-      const price = document.createElement('p');
-      price.className = 'text-blue-600 font-bold mb-1';
-      price.textContent = listing.price ? `CAD $${Number(listing.price).toFixed(2)}` : 'Free';
-      info.appendChild(price);
-      info.appendChild(document.createElement('div'));
-      card.appendChild(info);
-      card.addEventListener('click', () => {
-        window.location.hash = `#/listing/${listing.id}`;
-      });
-      grid.appendChild(card);
+    addAction('Delete', 'btn-danger', async () => {
+      if (!confirm(`Delete the rule ${describeRule(rule)}?`)) return;
+      const { error } = await db.screeningRules.remove(rule.id);
+      if (error) {
+        showNotification('Failed to delete the rule.', 'error');
+        return;
+      }
+      if (editing?.id === rule.id) resetForm();
+      load();
     });
-    container.appendChild(grid);
-  } else {
-    const noList = document.createElement('p');
-    noList.className = 'mt-6 text-gray-500';
-    noList.textContent = isOwnProfile ? 'You have no active listings.' : 'No listings.';
-    container.appendChild(noList);
+    row.appendChild(actions);
+    return row;
+  }
+
+  /**
+   * Fill the form with a rule to edit it.
+   *
+   * @param {object} rule Row from the screening_rules table
+   */
+  function startEditing(rule) {
+    editing = rule;
+    formTitle.textContent = 'Edit rule';
+    typeSelect.value = rule.type;
+    patternInput.value = rule.pattern || '';
+    amountInput.value = rule.amount ?? '';
+    categorySelect.value = rule.category || '';
+    noteInput.value = rule.note || '';
+    showFieldsForType();
+    submitBtn.textContent = 'Save Rule';
+    cancelBtn.classList.remove('hidden');
+    errorsEl.textContent = '';
+    typeSelect.focus();
+  }
+
+  /**
+   * Empty the form and go back to adding a rule.
+   */
+  function resetForm() {
+    editing = null;
+    form.reset();
+    showFieldsForType();
+    formTitle.textContent = 'Add a rule';
+    submitBtn.textContent = 'Add Rule';
+    cancelBtn.classList.add('hidden');
+    errorsEl.textContent = '';
   }
+
+  cancelBtn.addEventListener('click', resetForm);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { fields, errors } = validateScreeningRule({
+      type: typeSelect.value,
+      pattern: patternInput.value,
+      amount: amountInput.value,
+      category: categorySelect.value,
+      note: noteInput.value,
+      enabled: editing ? editing.enabled : true,
+    });
+    if (!fields) {
+      errorsEl.textContent = errors.join(' ');
+      return;
+    }
+    submitBtn.disabled = true;
+    const { error } = editing
+      ? await db.screeningRules.update(editing.id, fields)
+      : await db.screeningRules.create(fields);
+    submitBtn.disabled = false;
+    if (error) {
+      showNotification('Failed to save the rule.', 'error');
+      return;
+    }
+    showNotification(editing ? 'Rule updated.' : 'Rule added.', 'success');
+    resetForm();
+    load();
+  });
 }
 
 /**
- * Render the admin panel.  This page is only accessible to users with the
- * is_admin flag set.  It displays flagged listings reported by users and
- * blocked users.  Admins can delete listings or unblock users directly
- * from this interface.
+ * Set up the Audit Log tab of the admin page: every admin action, newest
+ * first, filtered by action, admin, date range and text.
+ *
+ * @param {HTMLElement} section The #audit-section element
  */
-async function renderAdminPage() {
-  const content = document.getElementById('content');
-  const template = document.getElementById('admin-template');
-  if (!content || !template) return;
-  // Ensure the SPA container is visible and the landing content hidden
-  showDynamicContent();
-  content.innerHTML = '';
-  const node = template.content.cloneNode(true);
-  content.appendChild(node);
-  const flaggedContainer = content.querySelector('#flagged-listings');
-  const blockedContainer = content.querySelector('#blocked-users');
-  flaggedContainer.innerHTML = '<p>Loading flagged listings...</p>';
-  blockedContainer.innerHTML = '<p>Loading blocked users...</p>';
-  // Fetch flagged listings grouped by listing_id
-  const { data: reports } = await supabase
-    .from('reports')
-    .select('*')
-    .order('created_at', { ascending: false });
-  flaggedContainer.innerHTML = '';
-  if (reports && reports.length) {
-    // Group by listing
-    const grouped = {};
-    reports.forEach((r) => {
-      if (!grouped[r.listing_id]) grouped[r.listing_id] = [];
-      grouped[r.listing_id].push(r);
+function renderAdminAuditLog(section) {
+  const actionFilter = section.querySelector('#audit-action-filter');
+  const adminFilter = section.querySelector('#audit-admin-filter');
+  const fromInput = section.querySelector('#audit-from');
+  const toInput = section.querySelector('#audit-to');
+  const searchInput = section.querySelector('#audit-search');
+  const list = section.querySelector('#audit-log');
+  // Admins seen in the log, by ID, for the admin filter
+  const admins = new Map();
+  let searchTimer = null;
+
+  Object.entries(AUDIT_ACTIONS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    actionFilter.appendChild(option);
+  });
+  [actionFilter, adminFilter, fromInput, toInput].forEach((input) => input.addEventListener('change', load));
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(load, 300);
+  });
+  section.querySelector('#audit-filters').addEventListener('submit', (e) => e.preventDefault());
+  load();
+
+  async function load() {
+    const { data: entries, error } = await db.auditLog.list({
+      action: actionFilter.value,
+      adminId: adminFilter.value,
+      from: fromInput.value,
+      to: toInput.value,
+      text: searchInput.value,
     });
-    for (const listingId of Object.keys(grouped)) {
-      // Fetch listing details
-      const { data: listing } = await supabase
-        .from('listings')
-        .select('*')
-        .eq('id', listingId)
-        .single();
-      if (!listing) continue;
-      const reportsForListing = grouped[listingId];
-      const div = document.createElement('div');
-      div.className = 'border border-gray-200 rounded p-4';
-      div.innerHTML = `
-        <h4 class="font-semibold text-lg mb-2">${listing.title}</h4>
-        <p class="text-gray-700 mb-2">${listing.description.slice(0, 100)}...</p>
-        <p class="text-sm text-gray-600 mb-2">${reportsForListing.length} report(s)</p>
-      `;
-      const actions = document.createElement('div');
-      actions.className = 'flex gap-2';
-      const removeBtn = document.createElement('button');
-      removeBtn.textContent = 'Delete Listing';
-      removeBtn.className = 'px-3 py-1 bg-red-500 text-white rounded';
-      removeBtn.addEventListener('click', async () => {
-        if (!confirm('Delete this listing?')) return;
-        await supabase
-          .from('listings')
-          .update({ is_deleted: true })
-          .eq('id', listingId);
-        showNotification('Listing removed.', 'success');
-        renderAdminPage();
-      });
-      const ignoreBtn = document.createElement('button');
-      ignoreBtn.textContent = 'Ignore';
-      ignoreBtn.className = 'px-3 py-1 bg-gray-200 rounded';
-      ignoreBtn.addEventListener('click', async () => {
-        // Delete reports for this listing
-        await supabase
-          .from('reports')
-          .delete()
-          .eq('listing_id', listingId);
-        showNotification('Reports cleared.', 'success');
-        renderAdminPage();
-      });
-      actions.appendChild(removeBtn);
-      actions.appendChild(ignoreBtn);
-      div.appendChild(actions);
-      flaggedContainer.appendChild(div);
+    list.innerHTML = '';
+    if (error) {
+      list.innerHTML = '<tr><td colspan="5">Failed to load the audit log.</td></tr>';
+      return;
     }
-  } else {
-    flaggedContainer.innerHTML = '<p>No flagged listings.</p>';
-  }
-  // Load blocked users
-  const { data: blockedUsers } = await supabase
-    .from('users')
-    .select('*')
-    .eq('blocked', true);
-  blockedContainer.innerHTML = '';
-  if (blockedUsers && blockedUsers.length) {
-    blockedUsers.forEach((usr) => {
-      const row = document.createElement('div');
-      row.className = 'flex justify-between items-center border-b py-2';
-      row.innerHTML = `<span>${usr.full_name || usr.email}</span>`;
-      const unblockBtn = document.createElement('button');
-      unblockBtn.textContent = 'Unblock';
-      unblockBtn.className = 'px-3 py-1 bg-green-500 text-white rounded';
-      unblockBtn.addEventListener('click', async () => {
-        await supabase
-          .from('users')
-          .update({ blocked: false })
-          .eq('id', usr.id);
-        showNotification('User unblocked.', 'success');
-        renderAdminPage();
-      });
-      row.appendChild(unblockBtn);
-      blockedContainer.appendChild(row);
+    (entries || []).forEach((entry) => {
+      if (entry.admin_id && !admins.has(entry.admin_id)) {
+        admins.set(entry.admin_id, entry.admin_name);
+        const option = document.createElement('option');
+        option.value = entry.admin_id;
+        option.textContent = entry.admin_name || entry.admin_id;
+        adminFilter.appendChild(option);
+      }
+      list.appendChild(renderEntry(entry));
     });
-  } else {
-    blockedContainer.innerHTML = '<p>No blocked users.</p>';
+    if (!entries || entries.length === 0) {
+      list.innerHTML = '<tr><td colspan="5">No matching actions.</td></tr>';
+    }
+  }
+
+  function renderEntry(entry) {
+    const row = document.createElement('tr');
+    const cells = [
+      new Date(entry.created_at).toLocaleString(),
+      entry.admin_name || 'Deleted account',
+      AUDIT_ACTIONS[entry.action] || entry.action,
+      null,
+      describeAuditDetails(entry.details),
+    ];
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      if (index === 3) {
+        const label = entry.target_label || entry.target_id;
+        if (entry.target_type === 'listing') {
+          const link = document.createElement('a');
+          link.href = `#/listing/${entry.target_id}`;
+          link.textContent = label;
+          cell.appendChild(link);
+        } else {
+          cell.textContent = label;
+        }
+      } else {
+        cell.textContent = text;
+      }
+      row.appendChild(cell);
+    });
+    return row;
   }
 }
 
+/**
+ * Utility: Summarise an audit log entry's details for the log table, e.g.
+ * "2 reports · Note: duplicate of another listing".
+ *
+ * @param {object|null} details The entry's details
+ * @returns {string} Summary
+ */
+function describeAuditDetails(details) {
+  return Object.entries(details || {})
+    .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => {
+      if (key === 'reports') return `${value.length} report(s)`;
+      if (key === 'note') return `Note: ${value}`;
+      if (key === 'reason') return `Reason: ${value}`;
+      if (key === 'response') return `Response: ${value}`;
+      if (key === 'until') return `Until ${new Date(value).toLocaleString()}`;
+      return `${key.replace(/_/g, ' ')}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    })
+    .join(' · ');
+}
+
 /**
  * Initialise the application.  Sets the year in the footer, fetches the
  * current session and user profile, sets up the navigation and routing and
@@ -1636,38 +6070,59 @@ async function init() {
   if (yearEl) {
     yearEl.textContent = new Date().getFullYear();
   }
+  await loadSchools();
   // Retrieve the current session and user profile
-  const { data: { session } } = await supabase.auth.getSession();
+  const { data: { session } } = await db.auth.getSession();
   currentUser = session?.user || null;
   if (currentUser) {
     // Load profile from users table
-    const { data: profile } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', currentUser.id)
-      .single();
-    userProfile = profile;
+    userProfile = await loadUserProfile(currentUser);
+    await loadSavedSearches();
+    await loadBlockedUsers();
+    startSearchAlerts();
+    startUnreadTracking();
   }
   // Render nav and route
   renderNav();
   handleRoute();
   // Listen for hash changes
   window.addEventListener('hashchange', handleRoute);
+  // Warn before closing the tab or reloading with unsaved work
+  window.addEventListener('beforeunload', (e) => {
+    if (pageLeaveGuard && pageLeaveGuard.hasUnsavedChanges()) {
+      pageLeaveGuard.save();
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
   // Listen for auth changes
-  supabase.auth.onAuthStateChange(async (_event, session) => {
+  db.auth.onAuthStateChange(async (event, session) => {
     currentUser = session?.user || null;
     if (currentUser) {
-      const { data: profile } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', currentUser.id)
-        .single();
-      userProfile = profile;
+      // Creates the users row the first time a confirmed user signs in
+      userProfile = await loadUserProfile(currentUser);
+      if (event === 'SIGNED_IN' && userProfile?.deletion_scheduled_for) {
+        const deleteOn = new Date(userProfile.deletion_scheduled_for).toLocaleDateString();
+        showNotification(`Your account will be deleted on ${deleteOn}. Cancel from your profile to keep it.`, 'info');
+      }
+      await loadSavedSearches();
+      await loadBlockedUsers();
+      startSearchAlerts();
+      startUnreadTracking();
     } else {
       userProfile = null;
+      savedSearches = [];
+      blockedUserIds.clear();
+      stopSearchAlerts();
+      stopUnreadTracking();
     }
     renderNav();
-    handleRoute();
+    // A password reset link signs the user in to choose a new password
+    if (event === 'PASSWORD_RECOVERY' && window.location.hash !== '#/reset-password') {
+      window.location.hash = '#/reset-password';
+    } else {
+      handleRoute();
+    }
   });
 }
 
@@ -5,6 +5,98 @@
 // Supabase dashboard.
 
 export const config = {
+  /**
+   * Which data store the app reads and writes through.  Use 'supabase' for
+   * the real backend configured below, or 'memory' to keep everything in
+   * the browser with seeded demo data (no network required).  See
+   * data/index.js.
+   */
+  dataBackend: 'supabase',
+
+  /**
+   * Options for the in‑memory store, used only when dataBackend is
+   * 'memory'.  `persist` saves changes to localStorage between reloads and
+   * `seed` fills an empty store with demo users and listings.
+   */
+  memory: {
+    persist: true,
+    seed: true,
+  },
+
+  /**
+   * How long a price offer (or counter‑offer) stays open before it expires,
+   * in hours.
+   */
+  offerExpiryHours: 48,
+
+  /**
+   * How many days a listing stays up before it expires.  Owners can renew
+   * an expired listing for another period with one click.
+   */
+  listingLifetimeDays: 60,
+
+  /**
+   * How many days after a student asks to delete their account it is
+   * actually deleted.  Logging in before then lets them cancel.  With
+   * Supabase the database sets the date, so change
+   * account_deletion_grace_interval() in the README's SQL to match.
+   */
+  accountDeletionGraceDays: 14,
+
+  /**
+   * Limits for photos attached to chat messages.  Keep these in step with
+   * the `chat-attachments` storage bucket settings described in the README.
+   */
+  chatAttachments: {
+    maxFileSizeMB: 5,
+    maxFilesPerMessage: 4,
+    allowedTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  },
+
+  /**
+   * Listing photos are resized and recompressed in the browser before
+   * upload.  `maxDimension` and `thumbnailDimension` are the longest side in
+   * pixels of the stored photo and of the thumbnail used on listing cards;
+   * `quality` is the JPEG quality between 0 and 1.
+   */
+  listingPhotos: {
+    maxPhotos: 4,
+    maxDimension: 1600,
+    thumbnailDimension: 400,
+    quality: 0.82,
+  },
+
+  /**
+   * The listing form autosaves a draft on this device once it has been
+   * left alone for `autosaveSeconds`.  Set `saveToBackend` to also keep a
+   * copy in the `listing_drafts` table (see the README) so drafts follow
+   * the user to other devices; photos that haven't been published yet stay
+   * on the device they were added on.
+   */
+  listingDrafts: {
+    autosaveSeconds: 2,
+    saveToBackend: false,
+  },
+
+  /**
+   * How many listings, messages and reports one account may create in a
+   * rolling window of `windowMinutes`.  The database enforces these, so
+   * keep them in step with the `rate_limits` table described in the
+   * README; the app uses them to explain a refusal.
+   */
+  rateLimits: {
+    listings: { max: 10, windowMinutes: 60 },
+    messages: { max: 60, windowMinutes: 60 },
+    reports: { max: 10, windowMinutes: 1440 },
+  },
+
+  /**
+   * Listings whose wording is at least this similar (0 to 1) to one of the
+   * seller's own active listings are flagged as likely duplicates before
+   * they are posted.
+   */
+  duplicateListingThreshold: 0.7,
+
   /**
    * The URL of your Supabase project.  This project was created via the
    * Supabase dashboard and is publicly accessible.
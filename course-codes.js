@@ -0,0 +1,65 @@
+/*
+ * Course code helpers.
+ *
+ * Students look for things by course ("MATH 1010", "BIOL 201") rather than
+ * by category, so a listing can be tagged with the courses it is for.
+ * Codes are written many ways ("MAT137", "mat 137", "ARV-1000") and only
+ * mean something within one school, so they are always read together with
+ * the listing's school and stored in a single form: the upper‑case subject
+ * letters, one space, then the course number and any suffix ("MAT 137Y1").
+ * Shared by the listing form, the bulk import, both data stores and the
+ * course pages.
+ */
+
+// Most course codes one listing may carry
+export const MAX_COURSE_CODES = 5;
+
+// Subject letters, an optional separator, then a number that may carry a
+// section or term suffix (UofT's "Y1", Laval's "-1000")
+const COURSE_CODE_PATTERN = /^([A-Z]{2,6})[\s._-]*(\d{2,4}[A-Z0-9]{0,4})$/;
+
+/**
+ * Put a course code into its stored form.
+ *
+ * @param {string|null} input Course code as typed, e.g. "math1010"
+ * @returns {string|null} e.g. "MATH 1010", or null when the text doesn't
+ *   look like a course code
+ */
+export function normalizeCourseCode(input) {
+  const text = (input || '').trim().toUpperCase();
+  const match = COURSE_CODE_PATTERN.exec(text);
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Read a list of course codes, given as an array or as text separated by
+ * commas, semicolons, `|` or line breaks.  Duplicates are dropped.
+ *
+ * @param {string|string[]|null} input Course codes
+ * @returns {{codes: string[], invalid: string[]}} The normalised codes and
+ *   the entries that aren't course codes, as typed
+ */
+export function parseCourseCodes(input) {
+  const entries = Array.isArray(input) ? input : (input || '').split(/[,;|\r\n]/);
+  const codes = [];
+  const invalid = [];
+  entries.forEach((entry) => {
+    const text = String(entry ?? '').trim();
+    if (!text) return;
+    const code = normalizeCourseCode(text);
+    if (!code) invalid.push(text);
+    else if (!codes.includes(code)) codes.push(code);
+  });
+  return { codes, invalid };
+}
+
+/**
+ * Write a course code for use in a URL path, e.g. "MATH-1010".
+ * normalizeCourseCode() reads it back.
+ *
+ * @param {string} code Normalised course code
+ * @returns {string} URL‑friendly code
+ */
+export function courseCodeSlug(code) {
+  return code.replace(' ', '-');
+}
@@ -0,0 +1,76 @@
+/*
+ * Data access layer.
+ *
+ * All reads and writes performed by the pages in app.js go through a "data
+ * store": an object grouping one repository per concern.  Two
+ * implementations exist:
+ *
+ *   - supabase-store.js talks to the Supabase project configured in
+ *     config.js (the production backend).
+ *   - memory-store.js keeps everything in the browser (localStorage) and
+ *     ships with seed data, for demos and testing on machines with no
+ *     network.
+ *
+ * Both expose the same shape:
+ *
+ *   auth          getSession, signIn, signUp, signOut, sendPasswordReset,
+ *                 sendMagicLink, updateUser, onAuthStateChange
+ *   schools       list, create, update
+ *   screeningRules list, create, update, remove
+ *   users         get, create, update, search, listRestricted
+ *   listings      get, search, listByOwner, listByIds, listCourseCodes, create,
+ *                 createMany, update, listForReview, recordView
+ *   savedListings listIds, add, remove
+ *   savedSearches list, create, update, remove
+ *   drafts        list, save, remove
+ *   conversations get, listForUser, findOrCreate
+ *   messages      listForUser, listConversation, send, countUnread, markRead
+ *   blocks        list, add, remove
+ *   offers        get, listForListing, create, respond
+ *   ratings       listForListing, save, reply
+ *   reports       list, create, update
+ *   appeals       list, listForUser, create, update
+ *   rateLimits    remaining, usage
+ *   auditLog      list
+ *   account       exportData
+ *   storage       upload, getPublicUrl, getPathFromUrl, createSignedUrl, remove
+ *   realtime      subscribe
+ *
+ * Asynchronous methods resolve to `{ data, error }` in the style of the
+ * Supabase client; `error` is null on success or an object with a
+ * `message` describing the failure.  `listings.search(filters, page)` is
+ * paged: it accepts `{ cursor, pageSize, signal }` and resolves to
+ * `{ items, nextCursor, total }` (see pagination.js); its
+ * `excludeOwnerIds` filter hides listings from blocked users.  Passing an
+ * AbortSignal lets a newer search cancel an older one, in which case the
+ * error's `name` is 'AbortError'.
+ */
+
+import { createMemoryStore } from './memory-store.js';
+
+/**
+ * Create the data store selected by `config.dataBackend`.  The Supabase
+ * store is imported on demand so that the memory backend never needs to
+ * reach the CDN.
+ *
+ * @param {object} config Application configuration from config.js
+ * @returns {Promise<object>} The data store
+ */
+export async function createDataStore(config) {
+  const backend = config.dataBackend || 'supabase';
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore({
+        ...config.memory,
+        rateLimits: config.rateLimits,
+        offerExpiryHours: config.offerExpiryHours,
+        accountDeletionGraceDays: config.accountDeletionGraceDays,
+      });
+    case 'supabase': {
+      const { createSupabaseStore } = await import('./supabase-store.js');
+      return createSupabaseStore(config);
+    }
+    default:
+      throw new Error(`Unknown data backend "${backend}".  Use "supabase" or "memory".`);
+  }
+}
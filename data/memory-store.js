@@ -0,0 +1,1515 @@
+/*
+ * In‑memory data store.
+ *
+ * Implements the same repository interface as supabase-store.js entirely in
+ * the browser so the marketplace can be demonstrated and tested without a
+ * network connection or a Supabase project.  Tables are plain arrays of row
+ * objects persisted to localStorage; auth sessions are kept per tab in
+ * sessionStorage so two tabs can be signed in as different demo users and
+ * chat with each other.  Changes are broadcast to other tabs through a
+ * BroadcastChannel, which is how the realtime subscriptions are emulated.
+ *
+ * Every method resolves to `{ data, error }` just like the Supabase client
+ * so callers handle both backends identically.
+ */
+
+import { createSeedData, createSeedSchools } from './seed.js';
+import { parseSearchQuery, rankListing } from '../search.js';
+import { LISTING_SORTS, resolveSort, decodeCursor, cursorAfter } from './pagination.js';
+import { listingStatus, visibleStatuses, REVIEW_STATUSES } from '../listing-status.js';
+import { isbnFromQuery } from '../isbn.js';
+import { normalizeCourseCode } from '../course-codes.js';
+import { auditEntryMatches, accountRestriction } from '../moderation.js';
+import { screenListing, describeRule } from '../screening.js';
+import { rateLimitMessage, rateLimitUsage } from '../rate-limits.js';
+import { findSchoolByEmail } from '../schools.js';
+
+const DEFAULT_STORAGE_KEY = 'studentswap:memory-db';
+
+// Audit action for an admin's decision on a held listing, by new status
+const REVIEW_OUTCOMES = { active: 'listing.approve', rejected: 'listing.reject' };
+
+// Audit action for an admin's change of a report's status, by new status
+const REPORT_OUTCOMES = { actioned: 'report.action', dismissed: 'report.dismiss', open: 'report.reopen' };
+
+// Column holding the author of a row, for each rate limited table
+const RATE_LIMIT_AUTHORS = { listings: 'owner_id', messages: 'sender_id', reports: 'user_id' };
+
+/**
+ * Deep copy a JSON‑compatible value.  Rows handed to callers are copies so
+ * that mutating a listing object in the UI never silently changes the
+ * store, mirroring the behaviour of data fetched over the network.
+ *
+ * @param {*} value Value to copy
+ * @returns {*} A structurally identical copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function ok(data) {
+  return { data: clone(data), error: null };
+}
+
+function fail(message) {
+  return { data: null, error: { message } };
+}
+
+function aborted() {
+  return { data: null, error: { name: 'AbortError', message: 'The request was aborted.' } };
+}
+
+/**
+ * Case‑insensitive substring match used to emulate Postgres `ilike '%x%'`.
+ *
+ * @param {string|null} haystack Column value
+ * @param {string} needle        Search text
+ * @returns {boolean} Whether the needle occurs in the haystack
+ */
+function containsText(haystack, needle) {
+  return (haystack || '').toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * Compare two rows on a column for use with Array.prototype.sort.  Null
+ * values are ordered last regardless of direction, matching Postgres'
+ * default `NULLS LAST` for ascending and the app's expectations for
+ * descending sorts.
+ *
+ * @param {string} column    Column name
+ * @param {boolean} ascending Sort direction
+ * @returns {function(object, object): number} Comparator
+ */
+function byColumn(column, ascending) {
+  return (a, b) => {
+    const av = a[column];
+    const bv = b[column];
+    if (av === bv) return 0;
+    if (av === null || av === undefined) return 1;
+    if (bv === null || bv === undefined) return -1;
+    const result = av < bv ? -1 : 1;
+    return ascending ? result : -result;
+  };
+}
+
+/**
+ * Read a File or Blob into a data: URL so it can be persisted alongside
+ * the rest of the store and used directly as an <img> source.
+ *
+ * @param {Blob} file File to read
+ * @returns {Promise<string>} The data URL
+ */
+function readAsDataUrl(file, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    if (onProgress) {
+      reader.onprogress = (event) => {
+        if (event.lengthComputable) onProgress(event.loaded / event.total);
+      };
+    }
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Upgrade messages saved before conversations were kept per listing.
+ * Older messages carry a conversation ID made of the two user IDs; each
+ * such thread becomes a general conversation between the pair, except
+ * that offer messages move to the conversation for the offer's listing.
+ * Mirrors the SQL migration in the README.
+ *
+ * @param {object} tables Tables loaded from localStorage (updated in place)
+ */
+function migratePairConversations(tables) {
+  const conversations = tables.conversations || [];
+  const known = new Set(conversations.map((c) => c.id));
+  const offers = new Map((tables.offers || []).map((o) => [o.id, o]));
+  const created = new Map();
+  (tables.messages || []).forEach((msg) => {
+    if (known.has(msg.conversation_id)) return;
+    const [a, b] = [msg.sender_id, msg.receiver_id].sort();
+    const offer = msg.offer_id ? offers.get(msg.offer_id) : null;
+    const listingId = offer ? offer.listing_id : null;
+    const key = `${listingId}:${a}:${b}`;
+    if (!created.has(key)) {
+      created.set(key, {
+        id: crypto.randomUUID(),
+        listing_id: listingId,
+        participant_a: a,
+        participant_b: b,
+        created_at: msg.created_at,
+      });
+    }
+    msg.conversation_id = created.get(key).id;
+  });
+  tables.conversations = conversations.concat(Array.from(created.values()));
+}
+
+/**
+ * Create an in‑memory data store.
+ *
+ * @param {object} [options]
+ * @param {string} [options.storageKey] localStorage key holding the tables
+ * @param {boolean} [options.persist]   Save changes to localStorage (default true)
+ * @param {boolean} [options.seed]      Populate an empty store with demo data (default true)
+ * @param {object} [options.rateLimits] Per‑account limits (see config.js); none when omitted
+ * @param {number} [options.offerExpiryHours] How long an offer stays open
+ *   (default 48)
+ * @param {number} [options.accountDeletionGraceDays] Days before a requested
+ *   account deletion happens (default 14)
+ * @returns {object} Repository object (see data/index.js)
+ */
+export function createMemoryStore(options = {}) {
+  const storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+  const sessionKey = `${storageKey}:session`;
+  const persist = options.persist !== false && typeof localStorage !== 'undefined';
+  const seed = options.seed !== false;
+  const rateLimits = options.rateLimits || {};
+  const deletionGraceDays = options.accountDeletionGraceDays || 14;
+  const offerExpiryHours = options.offerExpiryHours || 48;
+
+  let tables = loadTables();
+  if (tables) {
+    migratePairConversations(tables);
+    // Stores saved before the school directory existed get the demo one
+    if (seed && !Array.isArray(tables.schools)) tables.schools = createSeedSchools();
+  } else {
+    tables = seed ? createSeedData() : {};
+  }
+  saveTables();
+
+  let session = loadSession();
+  const authListeners = new Set();
+  const changeListeners = new Set();
+  const channel = persist && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(storageKey) : null;
+  if (channel) {
+    // Another tab changed the store: reload the tables it saved and replay
+    // the change to local realtime subscribers.
+    channel.onmessage = (event) => {
+      tables = loadTables() || tables;
+      notifyChange(event.data);
+    };
+  }
+  // Stands in for the daily purge job described in the README
+  purgeDeletedAccounts();
+
+  function loadTables() {
+    if (!persist) return null;
+    try {
+      const raw = localStorage.getItem(storageKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveTables() {
+    if (!persist) return;
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(tables));
+    } catch (err) {
+      // Quota exceeded (usually large images).  Keep working from memory.
+      console.warn('Memory store could not be saved to localStorage.', err);
+    }
+  }
+
+  function loadSession() {
+    if (typeof sessionStorage === 'undefined') return null;
+    try {
+      const raw = sessionStorage.getItem(sessionKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveSession() {
+    if (typeof sessionStorage === 'undefined') return;
+    if (session) {
+      sessionStorage.setItem(sessionKey, JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem(sessionKey);
+    }
+  }
+
+  /**
+   * Return the live array backing a table, creating it when a store saved
+   * by an older version of the app lacks the table.
+   *
+   * @param {string} name Table name
+   * @returns {Array<object>} Rows of the table
+   */
+  function rows(name) {
+    if (!Array.isArray(tables[name])) tables[name] = [];
+    return tables[name];
+  }
+
+  function nextSerial(name) {
+    return rows(name).reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+  }
+
+  function notifyChange(change) {
+    changeListeners.forEach((listener) => listener(change));
+  }
+
+  /**
+   * Persist the tables and publish a change event to realtime subscribers
+   * in this tab and any other open tabs.
+   *
+   * @param {string} table          Table that changed
+   * @param {string} eventType      'INSERT', 'UPDATE' or 'DELETE'
+   * @param {object|null} newRow    Row after the change
+   * @param {object|null} [oldRow]  Row before the change
+   */
+  function commit(table, eventType, newRow, oldRow = null) {
+    saveTables();
+    const change = { table, eventType, new: clone(newRow) || {}, old: clone(oldRow) || {} };
+    notifyChange(change);
+    if (channel) channel.postMessage(change);
+  }
+
+  function insertRow(table, row) {
+    rows(table).push(row);
+    commit(table, 'INSERT', row);
+    return row;
+  }
+
+  function updateRows(table, predicate, patch) {
+    const updated = [];
+    rows(table).forEach((row) => {
+      if (!predicate(row)) return;
+      const old = { ...row };
+      Object.assign(row, patch);
+      updated.push(row);
+      commit(table, 'UPDATE', row, old);
+    });
+    return updated;
+  }
+
+  function deleteRows(table, predicate) {
+    const kept = [];
+    const removed = [];
+    rows(table).forEach((row) => (predicate(row) ? removed : kept).push(row));
+    tables[table] = kept;
+    removed.forEach((row) => commit(table, 'DELETE', null, row));
+    return removed;
+  }
+
+  function setSession(next, event) {
+    session = next;
+    saveSession();
+    authListeners.forEach((listener) => listener(event, clone(session)));
+  }
+
+  /**
+   * Delete the accounts whose deletion date has passed, as the
+   * purge_deleted_accounts() job in the README does.  The account's
+   * listings, their photos and everything else it owns are deleted.  Its
+   * messages stay in the other participants' conversations without saying
+   * who sent them, and the photos it sent are deleted.  Reviews it wrote
+   * are deleted and the ratings they counted towards adjusted; reports it
+   * filed are kept without the reporter.
+   */
+  function purgeDeletedAccounts() {
+    const now = new Date();
+    rows('users')
+      .filter((u) => u.deletion_scheduled_for && new Date(u.deletion_scheduled_for) <= now)
+      .forEach((user) => deleteAccount(user.id));
+  }
+
+  function deleteAccount(userId) {
+    const listingIds = rows('listings').filter((l) => l.owner_id === userId).map((l) => l.id);
+    const ownListing = (listingId) => listingIds.includes(listingId);
+    const sentPaths = rows('messages')
+      .filter((m) => m.sender_id === userId)
+      .flatMap((m) => (m.attachments || []).map((a) => a.path));
+    deleteRows('storage_objects', (o) => ownListing(o.path.split('/')[0]) || sentPaths.includes(o.path));
+    updateRows('messages', (m) => m.sender_id === userId, { sender_id: null, attachments: [] });
+    updateRows('messages', (m) => m.receiver_id === userId, { receiver_id: null });
+    updateRows('conversations', (c) => c.participant_a === userId, { participant_a: null });
+    updateRows('conversations', (c) => c.participant_b === userId, { participant_b: null });
+    updateRows('conversations', (c) => ownListing(c.listing_id), { listing_id: null });
+    rows('ratings')
+      .filter((r) => r.user_id === userId && !ownListing(r.listing_id))
+      .forEach((review) => {
+        const listing = rows('listings').find((l) => l.id === review.listing_id);
+        if (!listing) return;
+        updateRows('listings', (l) => l.id === listing.id, {
+          rating_sum: (listing.rating_sum || 0) - review.rating,
+          rating_count: (listing.rating_count || 0) - 1,
+        });
+        const seller = rows('users').find((u) => u.id === listing.owner_id);
+        if (!seller) return;
+        updateRows('users', (u) => u.id === seller.id, {
+          rating_sum: (seller.rating_sum || 0) - review.rating,
+          rating_count: (seller.rating_count || 0) - 1,
+        });
+      });
+    deleteRows('ratings', (r) => r.user_id === userId || ownListing(r.listing_id));
+    const offerIds = deleteRows(
+      'offers',
+      (o) => ownListing(o.listing_id) || [o.buyer_id, o.seller_id, o.proposed_by].includes(userId)
+    ).map((o) => o.id);
+    updateRows('messages', (m) => offerIds.includes(m.offer_id), { offer_id: null });
+    deleteRows('saved_listings', (s) => s.user_id === userId || ownListing(s.listing_id));
+    deleteRows('saved_searches', (s) => s.user_id === userId);
+    deleteRows('listing_drafts', (d) => d.user_id === userId || ownListing(d.listing_id));
+    deleteRows('user_blocks', (b) => b.blocker_id === userId || b.blocked_id === userId);
+    deleteRows('appeals', (a) => a.user_id === userId);
+    updateRows('appeals', (a) => a.resolved_by === userId, { resolved_by: null });
+    deleteRows('reports', (r) => ownListing(r.listing_id));
+    updateRows('reports', (r) => r.user_id === userId, { user_id: null });
+    updateRows('reports', (r) => r.resolved_by === userId, { resolved_by: null });
+    updateRows('listings', (l) => l.reviewed_by === userId, { reviewed_by: null });
+    updateRows('admin_audit_log', (e) => e.admin_id === userId, { admin_id: null });
+    deleteRows('listings', (l) => ownListing(l.id));
+    deleteRows('users', (u) => u.id === userId);
+    deleteRows('auth_users', (u) => u.id === userId);
+    if (session?.user.id === userId) setSession(null, 'SIGNED_OUT');
+  }
+
+  /**
+   * Write a change the signed‑in admin made to the audit log, as the audit
+   * triggers in the README do.  Changes by anyone else aren't logged.
+   *
+   * @param {string} action Key of AUDIT_ACTIONS
+   * @param {object} target { type, id, label }: what was changed
+   * @param {object} [details] As the matching trigger records them
+   */
+  function auditAdminChange(action, target, details = {}) {
+    const admin = session && rows('users').find((u) => u.id === session.user.id);
+    if (!admin?.is_admin) return;
+    insertRow('admin_audit_log', {
+      id: nextSerial('admin_audit_log'),
+      admin_id: admin.id,
+      admin_name: admin.full_name || admin.email,
+      action,
+      target_type: target.type,
+      target_id: String(target.id),
+      target_label: target.label || null,
+      details,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Whether a profile names the school its email address belongs to, as
+   * the users policies in the README require of students.
+   *
+   * @param {object} profile Row from the users table
+   * @returns {boolean} Whether the school matches the address
+   */
+  function schoolMatchesEmail(profile) {
+    const school = findSchoolByEmail(rows('schools'), profile.email);
+    return Boolean(school) && profile.school_name === school.name;
+  }
+
+  /**
+   * Drop the rating totals from a client's change to a listing or user, as
+   * the guard_rating_totals trigger in the README does; only reviews move
+   * them.
+   *
+   * @param {object} patch Columns to change
+   * @returns {object} The change without rating_sum and rating_count
+   */
+  function withoutRatingTotals(patch) {
+    const { rating_sum: ratingSum, rating_count: ratingCount, ...rest } = patch;
+    return rest;
+  }
+
+  /**
+   * Refuse a write by a suspended or banned user, as the row level
+   * policies in the README do.
+   *
+   * @param {string} table  Table being written
+   * @param {string} userId User doing the write
+   * @returns {object|null} The failed result, or null when allowed
+   */
+  function restrictedWrite(table, userId) {
+    const user = rows('users').find((u) => u.id === userId);
+    if (!accountRestriction(user)) return null;
+    return fail(`new row violates row-level security policy for table "${table}"`);
+  }
+
+  /**
+   * How many more rows the signed‑in user may add to a table before its
+   * rate limit is reached, counted as the enforce_rate_limit trigger in the
+   * README counts them.
+   *
+   * @param {string} table 'listings', 'messages' or 'reports'
+   * @returns {number|null} Rows left, or null when nothing is limited
+   */
+  function rateLimitRemaining(table) {
+    const limit = rateLimits[table];
+    if (!limit || !session) return null;
+    const since = Date.now() - limit.windowMinutes * 60 * 1000;
+    const used = rows(table).filter(
+      (r) => r[RATE_LIMIT_AUTHORS[table]] === session.user.id && new Date(r.created_at).getTime() > since
+    ).length;
+    return Math.max(limit.max - used, 0);
+  }
+
+  /**
+   * Refuse rows beyond the signed‑in user's rate limit for a table, as the
+   * enforce_rate_limit trigger in the README does.
+   *
+   * @param {string} table    'listings', 'messages' or 'reports'
+   * @param {number} [adding] Rows about to be added
+   * @returns {object|null} The failed result, or null when allowed
+   */
+  function rateLimited(table, adding = 1) {
+    const remaining = rateLimitRemaining(table);
+    return remaining !== null && adding > remaining ? fail(rateLimitMessage(table, rateLimits[table])) : null;
+  }
+
+  /**
+   * Hold a listing for review when it matches a screening rule, as the
+   * screen_listing trigger in the README does.  Edits by admins, or with
+   * nobody signed in, aren't screened, and an owner can't take their
+   * listing out of review: editing a rejected listing sends it back for
+   * review instead.
+   *
+   * @param {object} next          Listing as it is about to be saved
+   * @param {object|null} previous Stored row, when the listing is edited
+   * @returns {object} The listing to save
+   */
+  function screenedListing(next, previous = null) {
+    const actor = rows('users').find((u) => u.id === session?.user.id);
+    if (previous && (!session || actor?.is_admin)) return next;
+    const listing = { ...next };
+    ['screening_matches', 'review_note', 'reviewed_by', 'reviewed_at'].forEach((column) => {
+      listing[column] = previous ? previous[column] ?? null : null;
+    });
+    if (previous) {
+      if (REVIEW_STATUSES.includes(previous.status) && ![previous.status, 'deleted'].includes(listing.status)) {
+        listing.status = previous.status;
+      }
+      const edited = ['title', 'description', 'category'].some((column) => listing[column] !== previous[column])
+        || Number(listing.price) !== Number(previous.price);
+      if (!edited || listing.status === 'deleted') return listing;
+      if (listing.status === 'rejected') listing.status = 'pending';
+    }
+    const matches = screenListing(listing, rows('screening_rules'));
+    if (matches.length) listing.status = 'pending';
+    if (listing.status === 'pending') {
+      listing.screening_matches = matches;
+      if (previous?.status !== 'pending') listing.status_changed_at = new Date().toISOString();
+    }
+    return listing;
+  }
+
+  function toAuthUser(account) {
+    return {
+      id: account.id,
+      email: account.email,
+      user_metadata: account.user_metadata || {},
+      created_at: account.created_at,
+    };
+  }
+
+  const auth = {
+    async getSession() {
+      return { data: { session: clone(session) }, error: null };
+    },
+
+    async signIn({ email, password }) {
+      const account = rows('auth_users').find(
+        (u) => u.email.toLowerCase() === (email || '').toLowerCase()
+      );
+      if (!account || account.password !== password) {
+        return fail('Invalid login credentials');
+      }
+      setSession({ user: toAuthUser(account) }, 'SIGNED_IN');
+      return ok({ user: session.user, session });
+    },
+
+    async signUp({ email, password, metadata = {} }) {
+      const exists = rows('auth_users').some(
+        (u) => u.email.toLowerCase() === email.toLowerCase()
+      );
+      if (exists) return fail('User already registered');
+      const account = {
+        id: crypto.randomUUID(),
+        email,
+        password,
+        user_metadata: metadata,
+        created_at: new Date().toISOString(),
+      };
+      rows('auth_users').push(account);
+      saveTables();
+      // There is no email to confirm offline, so sign the new user in
+      // immediately, as Supabase does when confirmations are disabled.
+      setSession({ user: toAuthUser(account) }, 'SIGNED_IN');
+      return ok({ user: session.user, session });
+    },
+
+    async signOut() {
+      setSession(null, 'SIGNED_OUT');
+      return { error: null };
+    },
+
+    /**
+     * There is no email to send offline, so the reset link is followed
+     * straight away: the account is signed in and PASSWORD_RECOVERY fires,
+     * as when Supabase opens the app from the link.  Unknown addresses
+     * succeed without doing anything, so the form can't be used to find
+     * out who has an account.
+     */
+    async sendPasswordReset(email) {
+      const account = rows('auth_users').find(
+        (u) => u.email.toLowerCase() === (email || '').toLowerCase()
+      );
+      if (account) setSession({ user: toAuthUser(account) }, 'PASSWORD_RECOVERY');
+      return ok({});
+    },
+
+    /**
+     * Like sendPasswordReset(), the sign‑in link is followed at once.
+     * Only existing accounts can sign in this way.
+     */
+    async sendMagicLink(email) {
+      const account = rows('auth_users').find(
+        (u) => u.email.toLowerCase() === (email || '').toLowerCase()
+      );
+      if (!account) return fail('Signups not allowed for otp');
+      setSession({ user: toAuthUser(account) }, 'SIGNED_IN');
+      return ok({ user: session.user, session });
+    },
+
+    /**
+     * Change the signed‑in user's email and/or password.  Offline there is
+     * no confirmation email, so a new address applies immediately.
+     */
+    async updateUser({ email, password }) {
+      if (!session) return fail('Auth session missing!');
+      const account = rows('auth_users').find((u) => u.id === session.user.id);
+      if (!account) return fail('User not found');
+      if (email && rows('auth_users').some((u) => u.id !== account.id && u.email.toLowerCase() === email.toLowerCase())) {
+        return fail('A user with this email address has already been registered');
+      }
+      if (password && password.length < 6) return fail('Password should be at least 6 characters.');
+      if (email) account.email = email;
+      if (password) account.password = password;
+      saveTables();
+      setSession({ user: toAuthUser(account) }, 'USER_UPDATED');
+      return ok({ user: session.user });
+    },
+
+    onAuthStateChange(callback) {
+      authListeners.add(callback);
+      return { unsubscribe: () => authListeners.delete(callback) };
+    },
+  };
+
+  const schools = {
+    async list() {
+      return ok([...rows('schools')].sort((a, b) => a.name.localeCompare(b.name)));
+    },
+
+    async create(school) {
+      if (rows('schools').some((s) => s.name === school.name)) {
+        return fail('duplicate key value violates unique constraint "schools_name_key"');
+      }
+      const created = insertRow('schools', {
+        id: crypto.randomUUID(),
+        aliases: [],
+        email_domains: [],
+        created_at: new Date().toISOString(),
+        ...school,
+      });
+      auditSchool('school.create', created);
+      return ok(created);
+    },
+
+    async update(id, patch) {
+      if (patch.name && rows('schools').some((s) => s.name === patch.name && s.id !== id)) {
+        return fail('duplicate key value violates unique constraint "schools_name_key"');
+      }
+      const previous = rows('schools').find((s) => s.id === id);
+      const previousName = previous ? previous.name : null;
+      const [school] = updateRows('schools', (s) => s.id === id, patch);
+      if (!school) return fail('School not found');
+      // Renaming carries over to listings and profiles, like the trigger
+      // described in the README
+      if (school.name !== previousName) {
+        updateRows('listings', (l) => l.school === previousName, { school: school.name });
+        updateRows('users', (u) => u.school_name === previousName, { school_name: school.name });
+      }
+      auditSchool('school.update', school);
+      return ok(school);
+    },
+  };
+
+  function auditSchool(action, school) {
+    auditAdminChange(action, { type: 'school', id: school.id, label: school.name }, {
+      name: school.name,
+      aliases: school.aliases,
+      email_domains: school.email_domains,
+    });
+  }
+
+  const screeningRules = {
+    async list() {
+      return ok([...rows('screening_rules')].sort(byColumn('created_at', true)));
+    },
+
+    async create(rule) {
+      const created = insertRow('screening_rules', {
+        id: crypto.randomUUID(),
+        enabled: true,
+        created_at: new Date().toISOString(),
+        ...rule,
+      });
+      auditRule('rule.create', created);
+      return ok(created);
+    },
+
+    async update(id, patch) {
+      const [rule] = updateRows('screening_rules', (r) => r.id === id, patch);
+      if (!rule) return fail('Screening rule not found');
+      auditRule('rule.update', rule);
+      return ok(rule);
+    },
+
+    async remove(id) {
+      deleteRows('screening_rules', (r) => r.id === id).forEach((rule) => auditRule('rule.delete', rule));
+      return { data: null, error: null };
+    },
+  };
+
+  function auditRule(action, rule) {
+    const details = action === 'rule.delete' ? {} : { note: rule.note, enabled: rule.enabled };
+    auditAdminChange(action, { type: 'screening_rule', id: rule.id, label: describeRule(rule) }, details);
+  }
+
+  const users = {
+    async get(id) {
+      const user = rows('users').find((u) => u.id === id);
+      return user ? ok(user) : fail('User not found');
+    },
+
+    async create(row) {
+      if (rows('users').some((u) => u.id === row.id)) {
+        return fail('duplicate key value violates unique constraint "users_pkey"');
+      }
+      if (session && !schoolMatchesEmail(row)) return fail('new row violates row-level security policy for table "users"');
+      // New profiles start without reviews, as guard_rating_totals ensures
+      return ok(insertRow('users', { ...row, rating_sum: 0, rating_count: 0 }));
+    },
+
+    async update(id, patch) {
+      const changes = withoutRatingTotals(patch);
+      const current = rows('users').find((u) => u.id === id);
+      if (!current) return fail('User not found');
+      // updateRows() changes the row in place
+      const previous = { ...current };
+      // Students keep the school and address they signed up with; admins
+      // edit other users through their own policy
+      const editor = session && rows('users').find((u) => u.id === session.user.id);
+      if (session?.user.id === id && !editor?.is_admin) {
+        const next = { ...previous, ...changes };
+        if (!schoolMatchesEmail(next) || next.email !== session.user.email) {
+          return fail('new row violates row-level security policy for table "users"');
+        }
+      }
+      // The grace period is set here, not by the client, as the
+      // schedule_account_deletion trigger in the README does
+      if (session && changes.deletion_scheduled_for) {
+        changes.deletion_scheduled_for = new Date(Date.now() + deletionGraceDays * 24 * 60 * 60 * 1000).toISOString();
+      }
+      const [user] = updateRows('users', (u) => u.id === id, changes);
+      const target = { type: 'user', id: user.id, label: user.full_name || user.email };
+      const before = accountRestriction(previous);
+      const after = accountRestriction(user);
+      if (user.blocked && !previous.blocked) {
+        auditAdminChange('user.ban', target, { reason: user.suspension_reason });
+      } else if (after?.kind === 'suspended' && user.suspended_until !== previous.suspended_until) {
+        auditAdminChange('user.suspend', target, { until: user.suspended_until, reason: user.suspension_reason });
+      } else if (before && !after) {
+        auditAdminChange('user.unblock', target);
+      }
+      return ok(user);
+    },
+
+    /**
+     * Users whose name or email contains `text`, for the admin page.
+     */
+    async search(text, { limit = 50 } = {}) {
+      const results = rows('users')
+        .filter((u) => containsText(u.full_name, text) || containsText(u.email, text))
+        .sort(byColumn('full_name', true))
+        .slice(0, limit);
+      return ok(results);
+    },
+
+    /**
+     * Users who are banned or whose suspension hasn't ended yet.
+     */
+    async listRestricted() {
+      return ok(rows('users').filter((u) => accountRestriction(u)));
+    },
+  };
+
+  const listings = {
+    async get(id) {
+      const listing = rows('listings').find((l) => l.id === id);
+      return listing ? ok(listing) : fail('Listing not found');
+    },
+
+    /**
+     * Search listings one page at a time.  See data/pagination.js for the
+     * sort modes and cursor format.
+     */
+    async search(filters = {}, { cursor = null, pageSize = 24, signal = null } = {}) {
+      if (signal?.aborted) return aborted();
+      const { searchTerm, category, school, program, courseCode, minPrice, maxPrice, sort, status, excludeOwnerIds } = filters;
+      const statuses = visibleStatuses(status);
+      let results = rows('listings').filter((l) => statuses.includes(listingStatus(l)));
+      if (excludeOwnerIds?.length) results = results.filter((l) => !excludeOwnerIds.includes(l.owner_id));
+      if (category) results = results.filter((l) => l.category === category);
+      if (school) results = results.filter((l) => l.school === school);
+      if (program) results = results.filter((l) => containsText(l.program, program));
+      if (courseCode) {
+        const code = normalizeCourseCode(courseCode) || courseCode;
+        results = results.filter((l) => (l.course_codes || []).includes(code));
+      }
+      // A search that is an ISBN finds that book rather than keywords
+      const isbn = isbnFromQuery(searchTerm);
+      if (isbn) results = results.filter((l) => l.isbn === isbn);
+      const tokens = isbn ? [] : parseSearchQuery(searchTerm);
+      const scores = new Map();
+      if (tokens.length) {
+        results.forEach((l) => scores.set(l.id, rankListing(l, tokens)));
+        results = results.filter((l) => scores.get(l.id) > 0);
+      }
+      if (minPrice !== undefined && !isNaN(minPrice)) {
+        results = results.filter((l) => Number(l.price) >= minPrice);
+      }
+      if (maxPrice !== undefined && !isNaN(maxPrice)) {
+        results = results.filter((l) => Number(l.price) <= maxPrice);
+      }
+      const mode = resolveSort(sort, tokens.length > 0);
+      const { column, ascending } = LISTING_SORTS[mode];
+      const compare = column
+        ? (a, b) => byColumn(column, ascending)(a, b) || byColumn('id', ascending)(a, b)
+        : (a, b) => scores.get(b.id) - scores.get(a.id) || byColumn('created_at', false)(a, b);
+      results.sort(compare);
+      const total = results.length;
+      const position = decodeCursor(cursor);
+      let offset = 0;
+      if (position && column) {
+        const after = { [column]: position.value, id: position.id };
+        results = results.filter((l) => compare(l, after) > 0);
+      } else if (position) {
+        offset = position.offset || 0;
+        results = results.slice(offset);
+      }
+      const items = results.slice(0, pageSize);
+      const nextCursor = results.length > pageSize ? cursorAfter(mode, items, offset) : null;
+      // Yield once so that, as with a network request, a newer search can
+      // abort this one before its results are used.
+      await Promise.resolve();
+      if (signal?.aborted) return aborted();
+      return ok({ items, nextCursor, total: position ? null : total });
+    },
+
+    async listByOwner(ownerId) {
+      const results = rows('listings')
+        .filter((l) => l.owner_id === ownerId && l.status !== 'deleted')
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    async listByIds(ids) {
+      return ok(rows('listings').filter((l) => ids.includes(l.id) && l.status !== 'deleted'));
+    },
+
+    /**
+     * The distinct course codes on listings at `school` (or at every
+     * school when it is empty), in order, for autocomplete.
+     */
+    async listCourseCodes(school = '') {
+      const codes = new Set();
+      rows('listings')
+        .filter((l) => l.status !== 'deleted' && (!school || l.school === school))
+        .forEach((l) => (l.course_codes || []).forEach((code) => codes.add(code)));
+      return ok([...codes].sort());
+    },
+
+    async create(record) {
+      const refused = restrictedWrite('listings', record.owner_id) || rateLimited('listings');
+      if (refused) return refused;
+      // Stamped and zeroed here, like the triggers: backdating can't dodge
+      // the rate limit and reviews alone move the totals
+      return ok(insertRow('listings', screenedListing({
+        ...record,
+        created_at: new Date().toISOString(),
+        rating_sum: 0,
+        rating_count: 0,
+      })));
+    },
+
+    /**
+     * Create several listings at once.  Like a single Postgres insert, it
+     * adds either all of them or (when an ID is already taken) none.
+     */
+    async createMany(records) {
+      const refused = records.map((r) => restrictedWrite('listings', r.owner_id)).find(Boolean)
+        || rateLimited('listings', records.length);
+      if (refused) return refused;
+      const taken = new Set(rows('listings').map((l) => l.id));
+      if (records.some((r) => taken.has(r.id))) return fail('duplicate key value violates unique constraint "listings_pkey"');
+      const createdAt = new Date().toISOString();
+      return ok(records.map((record) => insertRow('listings', screenedListing({
+        ...record,
+        created_at: createdAt,
+        rating_sum: 0,
+        rating_count: 0,
+      }))));
+    },
+
+    async update(id, patch) {
+      const current = rows('listings').find((l) => l.id === id);
+      if (!current) return fail('Listing not found');
+      // updateRows() changes the row in place
+      const previous = { ...current };
+      const [listing] = updateRows('listings', (l) => l.id === id, screenedListing(
+        // created_at stays put, as the rate limit trigger keeps it
+        { ...previous, ...withoutRatingTotals(patch), created_at: previous.created_at },
+        previous
+      ));
+      const target = { type: 'listing', id: listing.id, label: listing.title };
+      if (listing.status !== previous.status && listing.status === 'deleted') {
+        auditAdminChange('listing.remove', target);
+      } else if (previous.status === 'pending' && REVIEW_OUTCOMES[listing.status]) {
+        auditAdminChange(REVIEW_OUTCOMES[listing.status], target, {
+          rules: (previous.screening_matches || []).map((match) => match.description),
+          note: listing.review_note,
+        });
+      }
+      return ok(listing);
+    },
+
+    /**
+     * Listings held for review, oldest first, for the admin review queue.
+     */
+    async listForReview() {
+      return ok(rows('listings').filter((l) => l.status === 'pending').sort(byColumn('status_changed_at', true)));
+    },
+
+    async recordView(id) {
+      const listing = rows('listings').find((l) => l.id === id);
+      if (!listing) return fail('Listing not found');
+      updateRows('listings', (l) => l.id === id, { view_count: (listing.view_count || 0) + 1 });
+      return { data: null, error: null };
+    },
+  };
+
+  const savedListings = {
+    async listIds(userId) {
+      return ok(rows('saved_listings').filter((s) => s.user_id === userId).map((s) => s.listing_id));
+    },
+
+    async add(userId, listingId) {
+      const exists = rows('saved_listings').some(
+        (s) => s.user_id === userId && s.listing_id === listingId
+      );
+      if (!exists) {
+        insertRow('saved_listings', {
+          user_id: userId,
+          listing_id: listingId,
+          created_at: new Date().toISOString(),
+        });
+      }
+      return { data: null, error: null };
+    },
+
+    async remove(userId, listingId) {
+      deleteRows('saved_listings', (s) => s.user_id === userId && s.listing_id === listingId);
+      return { data: null, error: null };
+    },
+  };
+
+  const savedSearches = {
+    async list(userId) {
+      return ok(rows('saved_searches').filter((s) => s.user_id === userId).sort(byColumn('created_at', false)));
+    },
+
+    async create(search) {
+      return ok(insertRow('saved_searches', {
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        alerts_enabled: true,
+        ...search,
+      }));
+    },
+
+    async update(id, patch) {
+      const [search] = updateRows('saved_searches', (s) => s.id === id, patch);
+      return search ? ok(search) : fail('Saved search not found');
+    },
+
+    async remove(id) {
+      deleteRows('saved_searches', (s) => s.id === id);
+      return { data: null, error: null };
+    },
+  };
+
+  const drafts = {
+    async list(userId) {
+      return ok(rows('listing_drafts').filter((d) => d.user_id === userId).sort(byColumn('updated_at', false)));
+    },
+
+    /**
+     * Insert a draft or replace the saved copy with the same ID.
+     */
+    async save(draft) {
+      const [updated] = updateRows('listing_drafts', (d) => d.id === draft.id, draft);
+      return ok(updated || insertRow('listing_drafts', draft));
+    },
+
+    async remove(id) {
+      deleteRows('listing_drafts', (d) => d.id === id);
+      return { data: null, error: null };
+    },
+  };
+
+  const conversations = {
+    async get(id) {
+      const conversation = rows('conversations').find((c) => c.id === id);
+      return conversation ? ok(conversation) : fail('Conversation not found');
+    },
+
+    async listForUser(userId) {
+      const results = rows('conversations')
+        .filter((c) => c.participant_a === userId || c.participant_b === userId)
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    /**
+     * Return the conversation between two users about a listing (or their
+     * general conversation when `listingId` is null), creating it if it
+     * doesn't exist yet.  Participants are stored in sorted order so both
+     * users find the same row.
+     */
+    async findOrCreate({ listingId = null, participants }) {
+      const [a, b] = [...participants].sort();
+      const existing = rows('conversations').find(
+        (c) => c.listing_id === listingId && c.participant_a === a && c.participant_b === b
+      );
+      if (existing) return ok(existing);
+      return ok(insertRow('conversations', {
+        id: crypto.randomUUID(),
+        listing_id: listingId,
+        participant_a: a,
+        participant_b: b,
+        created_at: new Date().toISOString(),
+      }));
+    },
+  };
+
+  const messages = {
+    async listForUser(userId) {
+      const results = rows('messages')
+        .filter((m) => m.sender_id === userId || m.receiver_id === userId)
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    async listConversation(conversationId) {
+      const results = rows('messages')
+        .filter((m) => m.conversation_id === conversationId)
+        .sort(byColumn('created_at', true));
+      return ok(results);
+    },
+
+    /**
+     * Send a message.  Fails when the receiver isn't the conversation's
+     * other participant or either has blocked the other, as the insert
+     * policy does in Postgres.
+     */
+    async send(message) {
+      const refused = restrictedWrite('messages', message.sender_id) || rateLimited('messages');
+      if (refused) return refused;
+      const conversation = rows('conversations').find((c) => c.id === message.conversation_id);
+      const participants = conversation ? [conversation.participant_a, conversation.participant_b] : [];
+      const otherIndex = participants.indexOf(message.sender_id);
+      if (otherIndex === -1 || participants[1 - otherIndex] !== message.receiver_id) {
+        return fail('new row violates row-level security policy for table "messages"');
+      }
+      const blocked = rows('user_blocks').some(
+        (b) =>
+          (b.blocker_id === message.receiver_id && b.blocked_id === message.sender_id) ||
+          (b.blocker_id === message.sender_id && b.blocked_id === message.receiver_id)
+      );
+      if (blocked) return fail("You can't message this user.");
+      return ok(insertRow('messages', {
+        id: crypto.randomUUID(),
+        read_at: null,
+        attachments: [],
+        ...message,
+        created_at: new Date().toISOString(),
+      }));
+    },
+
+    async countUnread(userId) {
+      return ok(rows('messages').filter((m) => m.receiver_id === userId && !m.read_at).length);
+    },
+
+    async markRead(conversationId, userId) {
+      const readAt = new Date().toISOString();
+      const updated = updateRows(
+        'messages',
+        (m) => m.conversation_id === conversationId && m.receiver_id === userId && !m.read_at,
+        { read_at: readAt }
+      );
+      return ok(updated);
+    },
+  };
+
+  const blocks = {
+    async list(blockerId) {
+      return ok(rows('user_blocks').filter((b) => b.blocker_id === blockerId).sort(byColumn('created_at', false)));
+    },
+
+    async add(blockerId, blockedId) {
+      if (rows('user_blocks').some((b) => b.blocker_id === blockerId && b.blocked_id === blockedId)) {
+        return { data: null, error: null };
+      }
+      insertRow('user_blocks', { blocker_id: blockerId, blocked_id: blockedId, created_at: new Date().toISOString() });
+      return { data: null, error: null };
+    },
+
+    async remove(blockerId, blockedId) {
+      deleteRows('user_blocks', (b) => b.blocker_id === blockerId && b.blocked_id === blockedId);
+      return { data: null, error: null };
+    },
+  };
+
+  const offers = {
+    async get(id) {
+      const offer = rows('offers').find((o) => o.id === id);
+      return offer ? ok(offer) : fail('Offer not found');
+    },
+
+    async listForListing(listingId) {
+      const results = rows('offers')
+        .filter((o) => o.listing_id === listingId)
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    /**
+     * Open an offer, or counter a pending one.  The offer must be to the
+     * listing's owner, and a counter must answer a pending offer between
+     * the same two people made to the one countering, as the insert policy
+     * does; the expiry is set here, as the guard_offer trigger does.
+     */
+    async create(offer) {
+      const refused = restrictedWrite('offers', offer.proposed_by);
+      if (refused) return refused;
+      const listing = rows('listings').find((l) => l.id === offer.listing_id);
+      const parent = offer.parent_offer_id ? rows('offers').find((o) => o.id === offer.parent_offer_id) : null;
+      const allowed =
+        listing && offer.seller_id === listing.owner_id && offer.buyer_id !== offer.seller_id
+        && [offer.buyer_id, offer.seller_id].includes(offer.proposed_by)
+        && (offer.parent_offer_id
+          ? parent && parent.listing_id === offer.listing_id && parent.buyer_id === offer.buyer_id
+            && parent.seller_id === offer.seller_id && parent.proposed_by !== offer.proposed_by
+            && parent.status === 'pending' && new Date(parent.expires_at) > new Date()
+          : offer.proposed_by === offer.buyer_id);
+      if (!allowed) return fail('new row violates row-level security policy for table "offers"');
+      const now = new Date();
+      return ok(insertRow('offers', {
+        id: crypto.randomUUID(),
+        parent_offer_id: null,
+        ...offer,
+        status: 'pending',
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + offerExpiryHours * 60 * 60 * 1000).toISOString(),
+        responded_at: null,
+      }));
+    },
+
+    /**
+     * Move a pending offer to a final status.  Fails if the offer was
+     * already answered or has expired, as the database policy does.
+     */
+    async respond(id, status) {
+      const offer = rows('offers').find((o) => o.id === id);
+      if (!offer) return fail('Offer not found');
+      if (offer.status !== 'pending' || new Date(offer.expires_at) <= new Date()) {
+        return fail('This offer is no longer open.');
+      }
+      const [updated] = updateRows('offers', (o) => o.id === id, {
+        status,
+        responded_at: new Date().toISOString(),
+      });
+      return ok(updated);
+    },
+  };
+
+  const ratings = {
+    async listForListing(listingId) {
+      const results = rows('ratings')
+        .filter((r) => r.listing_id === listingId)
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    /**
+     * Create or update the reviewer's review of a listing; each reviewer
+     * has at most one review per listing.  The listing's and seller's
+     * rating aggregates are adjusted by the difference in the same step,
+     * as the trigger described in the README does in Postgres.
+     */
+    async save(review) {
+      const refused = restrictedWrite('ratings', review.user_id);
+      if (refused) return refused;
+      const listing = rows('listings').find((l) => l.id === review.listing_id);
+      if (!listing) return fail('Listing not found');
+      if (listing.owner_id === review.user_id) return fail('You cannot review your own listing.');
+      const existing = rows('ratings').find(
+        (r) => r.listing_id === review.listing_id && r.user_id === review.user_id
+      );
+      const reviewer = rows('users').find((u) => u.id === review.user_id);
+      const now = new Date().toISOString();
+      const delta = review.rating - (existing ? existing.rating : 0);
+      const added = existing ? 0 : 1;
+      let saved;
+      if (existing) {
+        [saved] = updateRows('ratings', (r) => r.id === existing.id, {
+          rating: review.rating,
+          comment: review.comment,
+          updated_at: now,
+        });
+      } else {
+        saved = insertRow('ratings', {
+          id: nextSerial('ratings'),
+          reviewer_name: reviewer?.full_name || reviewer?.email || null,
+          seller_reply: null,
+          seller_reply_at: null,
+          created_at: now,
+          updated_at: null,
+          ...review,
+        });
+      }
+      updateRows('listings', (l) => l.id === listing.id, {
+        rating_sum: (listing.rating_sum || 0) + delta,
+        rating_count: (listing.rating_count || 0) + added,
+      });
+      const seller = rows('users').find((u) => u.id === listing.owner_id);
+      if (seller) {
+        updateRows('users', (u) => u.id === seller.id, {
+          rating_sum: (seller.rating_sum || 0) + delta,
+          rating_count: (seller.rating_count || 0) + added,
+        });
+      }
+      return ok(saved);
+    },
+
+    async reply(id, reply) {
+      const [review] = updateRows('ratings', (r) => r.id === id, {
+        seller_reply: reply || null,
+        seller_reply_at: reply ? new Date().toISOString() : null,
+      });
+      return review ? ok(review) : fail('Review not found');
+    },
+  };
+
+  const reports = {
+    /**
+     * Reports, newest first, optionally only those with `status`.  Reports
+     * filed before the moderation queue existed count as open.
+     */
+    async list({ status = '' } = {}) {
+      const results = rows('reports')
+        .filter((r) => !status || (r.status || 'open') === status)
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    async create(report) {
+      const refused = restrictedWrite('reports', report.user_id) || rateLimited('reports');
+      if (refused) return refused;
+      return ok(insertRow('reports', {
+        id: nextSerial('reports'),
+        category: null,
+        reason: null,
+        status: 'open',
+        admin_note: null,
+        resolved_by: null,
+        resolved_at: null,
+        ...report,
+        created_at: new Date().toISOString(),
+      }));
+    },
+
+    /**
+     * Apply the same change to several reports, e.g. closing every report
+     * on a listing.
+     */
+    async update(ids, patch) {
+      const before = new Map(rows('reports').filter((r) => ids.includes(r.id)).map((r) => [r.id, r.status]));
+      const updated = updateRows('reports', (r) => ids.includes(r.id), patch);
+      // One entry per listing and new status, like the statement trigger
+      const changes = new Map();
+      updated
+        .filter((r) => r.status !== before.get(r.id))
+        .forEach((r) => {
+          const key = `${r.listing_id}:${r.status}`;
+          const change = changes.get(key) || { report: r, ids: [] };
+          change.ids.push(r.id);
+          changes.set(key, change);
+        });
+      changes.forEach(({ report, ids: changedIds }) => {
+        const listing = rows('listings').find((l) => l.id === report.listing_id);
+        const details = report.status === 'open'
+          ? { reports: changedIds }
+          : { reports: changedIds, note: report.admin_note };
+        auditAdminChange(
+          REPORT_OUTCOMES[report.status],
+          { type: 'listing', id: report.listing_id, label: listing?.title },
+          details
+        );
+      });
+      return ok(updated);
+    },
+  };
+
+  const appeals = {
+    async list({ status = '' } = {}) {
+      const results = rows('appeals')
+        .filter((a) => !status || a.status === status)
+        .sort(byColumn('created_at', false));
+      return ok(results);
+    },
+
+    async listForUser(userId) {
+      return ok(rows('appeals').filter((a) => a.user_id === userId).sort(byColumn('created_at', false)));
+    },
+
+    /**
+     * File an appeal.  Only a restricted user may, and only one open
+     * appeal at a time, as the policy and index in the README require.
+     */
+    async create(appeal) {
+      const user = rows('users').find((u) => u.id === appeal.user_id);
+      if (!accountRestriction(user)) return fail('Only suspended or banned users can appeal.');
+      if (rows('appeals').some((a) => a.user_id === appeal.user_id && a.status === 'open')) {
+        return fail('duplicate key value violates unique constraint "appeals_one_open_idx"');
+      }
+      return ok(insertRow('appeals', {
+        id: crypto.randomUUID(),
+        status: 'open',
+        admin_response: null,
+        resolved_by: null,
+        resolved_at: null,
+        created_at: new Date().toISOString(),
+        ...appeal,
+      }));
+    },
+
+    async update(id, patch) {
+      const previousStatus = rows('appeals').find((a) => a.id === id)?.status;
+      const [appeal] = updateRows('appeals', (a) => a.id === id, patch);
+      if (!appeal) return fail('Appeal not found');
+      if (appeal.status !== previousStatus && appeal.status !== 'open') {
+        const user = rows('users').find((u) => u.id === appeal.user_id);
+        auditAdminChange(
+          appeal.status === 'upheld' ? 'appeal.uphold' : 'appeal.overturn',
+          { type: 'user', id: appeal.user_id, label: user ? user.full_name || user.email : null },
+          { response: appeal.admin_response }
+        );
+      }
+      return ok(appeal);
+    },
+  };
+
+  const rateLimitReport = {
+    /**
+     * How many more rows of `action` the signed‑in user may create now;
+     * null when it isn't limited.
+     */
+    async remaining(action) {
+      return ok(rateLimitRemaining(action));
+    },
+
+    /**
+     * Accounts that have used at least `minShare` of a rate limit in its
+     * current window, for the admin page (see rate-limits.js).
+     */
+    async usage({ minShare = 0.5 } = {}) {
+      const activity = Object.entries(RATE_LIMIT_AUTHORS).flatMap(([table, column]) =>
+        rows(table).map((r) => ({ action: table, user_id: r[column], created_at: r.created_at })));
+      return ok(rateLimitUsage(activity, rateLimits, { minShare }).map((entry) => {
+        const user = rows('users').find((u) => u.id === entry.user_id);
+        return { ...entry, full_name: user?.full_name || null, email: user?.email || null };
+      }));
+    },
+  };
+
+  const auditLog = {
+    /**
+     * The most recent `limit` audit log entries matching `filters` (see
+     * auditEntryMatches()), newest first.
+     */
+    async list(filters = {}, { limit = 200 } = {}) {
+      const results = rows('admin_audit_log')
+        .filter((entry) => auditEntryMatches(entry, filters))
+        .sort(byColumn('created_at', false))
+        .slice(0, limit);
+      return ok(results);
+    },
+  };
+
+  const account = {
+    /**
+     * Everything stored about a user, for the privacy export: their
+     * profile, listings, saved listings and searches, conversations and
+     * messages, offers, the reviews they wrote and received, the reports
+     * they filed and the users they blocked.
+     */
+    async exportData(userId) {
+      const user = rows('users').find((u) => u.id === userId);
+      if (!user) return fail('User not found');
+      const login = rows('auth_users').find((u) => u.id === userId);
+      const listingIds = rows('listings').filter((l) => l.owner_id === userId).map((l) => l.id);
+      const conversationIds = rows('conversations')
+        .filter((c) => c.participant_a === userId || c.participant_b === userId)
+        .map((c) => c.id);
+      return ok({
+        profile: user,
+        account: login ? { email: login.email, created_at: login.created_at } : null,
+        listings: rows('listings').filter((l) => l.owner_id === userId),
+        saved_listings: rows('saved_listings').filter((s) => s.user_id === userId),
+        saved_searches: rows('saved_searches').filter((s) => s.user_id === userId),
+        listing_drafts: rows('listing_drafts').filter((d) => d.user_id === userId),
+        conversations: rows('conversations').filter((c) => conversationIds.includes(c.id)),
+        messages: rows('messages').filter((m) => conversationIds.includes(m.conversation_id)),
+        offers: rows('offers').filter((o) => o.buyer_id === userId || o.seller_id === userId),
+        reviews_written: rows('ratings').filter((r) => r.user_id === userId),
+        reviews_received: rows('ratings').filter((r) => listingIds.includes(r.listing_id)),
+        reports_filed: rows('reports').filter((r) => r.user_id === userId),
+        blocked_users: rows('user_blocks').filter((b) => b.blocker_id === userId),
+        appeals: rows('appeals').filter((a) => a.user_id === userId),
+      });
+    },
+  };
+
+  const storage = {
+    /**
+     * Store a file as a data URL.  `options.onProgress`, if given, is
+     * called with the fraction read so far.
+     */
+    async upload(bucket, path, file, options = {}) {
+      if (rows('storage_objects').some((o) => o.bucket === bucket && o.path === path)) {
+        return fail('The resource already exists');
+      }
+      let url;
+      try {
+        url = await readAsDataUrl(file, options.onProgress);
+      } catch (err) {
+        return fail(err?.message || 'Unable to read file');
+      }
+      if (options.onProgress) options.onProgress(1);
+      insertRow('storage_objects', {
+        bucket,
+        path,
+        url,
+        content_type: file.type || null,
+        size: file.size || 0,
+        created_at: new Date().toISOString(),
+      });
+      return ok({ path });
+    },
+
+    getPublicUrl(bucket, path) {
+      const object = rows('storage_objects').find((o) => o.bucket === bucket && o.path === path);
+      return object ? object.url : null;
+    },
+
+    /**
+     * Find the path of the object a public URL points to, or null when the
+     * URL isn't one of this bucket's objects.
+     */
+    getPathFromUrl(bucket, url) {
+      const object = rows('storage_objects').find((o) => o.bucket === bucket && o.url === url);
+      return object ? object.path : null;
+    },
+
+    /**
+     * Return a URL for an object in a private bucket.  Objects are held as
+     * data URLs here, so the URL never expires.
+     */
+    async createSignedUrl(bucket, path) {
+      const object = rows('storage_objects').find((o) => o.bucket === bucket && o.path === path);
+      return object ? ok(object.url) : fail('Object not found');
+    },
+
+    async remove(bucket, paths) {
+      deleteRows('storage_objects', (o) => o.bucket === bucket && paths.includes(o.path));
+      return { data: null, error: null };
+    },
+  };
+
+  const realtime = {
+    /**
+     * Subscribe to row changes.  `filter` is an object of column/value
+     * pairs that must all match the changed row, the equivalent of a
+     * Supabase `column=eq.value` filter.
+     */
+    subscribe({ table, event = '*', filter = {} }, callback) {
+      const listener = (change) => {
+        if (change.table !== table) return;
+        if (event !== '*' && change.eventType !== event) return;
+        const row = change.eventType === 'DELETE' ? change.old : change.new;
+        const matches = Object.entries(filter).every(([column, value]) => String(row[column]) === String(value));
+        if (matches) callback(clone(change));
+      };
+      changeListeners.add(listener);
+      return {
+        async unsubscribe() {
+          changeListeners.delete(listener);
+        },
+      };
+    },
+  };
+
+  return {
+    backend: 'memory',
+    auth,
+    schools,
+    screeningRules,
+    users,
+    listings,
+    savedListings,
+    savedSearches,
+    drafts,
+    conversations,
+    messages,
+    blocks,
+    offers,
+    ratings,
+    reports,
+    appeals,
+    rateLimits: rateLimitReport,
+    auditLog,
+    account,
+    storage,
+    realtime,
+
+    /**
+     * Discard all saved state and start again from the seed data.  Handy
+     * when a demo has been left in a confusing state.
+     */
+    reset() {
+      tables = seed ? createSeedData() : {};
+      saveTables();
+      setSession(null, 'SIGNED_OUT');
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/*
+ * Marketplace sort orders and pagination cursors.
+ *
+ * Listing searches are paged with opaque cursors rather than page numbers
+ * so that new listings arriving while a student scrolls never shift later
+ * pages.  For the column sorts the cursor records the sort value and ID of
+ * the last row returned (keyset pagination: the next page starts strictly
+ * after that pair).  Relevance order is only known to the search function
+ * itself, so for it the cursor simply records an offset.  Both data stores
+ * share these definitions so the sort keys mean the same thing everywhere.
+ */
+
+/**
+ * Sort modes offered on the marketplace page.  `column` is the primary
+ * sort key; ties are broken by `id` in the same direction so every row has
+ * a unique position.  Relevance has no column and pages by offset.
+ */
+export const LISTING_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  'price-low': { column: 'price', ascending: true },
+  'price-high': { column: 'price', ascending: false },
+  popular: { column: 'view_count', ascending: false },
+  relevance: { column: null, ascending: false },
+};
+
+/**
+ * Resolve the sort mode actually used for a query.  Relevance only makes
+ * sense with keywords, and unknown values fall back to newest first.
+ *
+ * @param {string} sort        Requested sort mode
+ * @param {boolean} hasKeywords Whether the query includes search keywords
+ * @returns {string} A key of LISTING_SORTS
+ */
+export function resolveSort(sort, hasKeywords) {
+  if (sort === 'relevance' && !hasKeywords) return 'newest';
+  return LISTING_SORTS[sort] ? sort : 'newest';
+}
+
+/**
+ * Encode a cursor position as an opaque string.
+ *
+ * @param {object} position `{ value, id }` for keyset sorts or `{ offset }`
+ * @returns {string} Cursor token
+ */
+export function encodeCursor(position) {
+  return btoa(JSON.stringify(position));
+}
+
+/**
+ * Decode a cursor produced by encodeCursor().  Malformed cursors are
+ * treated as "start from the beginning" rather than failing the query.
+ *
+ * @param {string|null} cursor Cursor token
+ * @returns {object|null} The decoded position, or null
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(atob(cursor));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Build the cursor pointing after the last row of a page.
+ *
+ * @param {string} mode      Resolved sort mode
+ * @param {Array} items      Rows of the current page
+ * @param {number} offset    Offset of the current page (relevance only)
+ * @returns {string} Cursor token for the following page
+ */
+export function cursorAfter(mode, items, offset) {
+  const { column } = LISTING_SORTS[mode];
+  if (!column) return encodeCursor({ offset: offset + items.length });
+  const last = items[items.length - 1];
+  return encodeCursor({ value: last[column], id: last.id });
+}
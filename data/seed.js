@@ -0,0 +1,459 @@
+/*
+ * Seed data for the in‑memory data store.
+ *
+ * When the app runs with `dataBackend: 'memory'` (see config.js) and no
+ * saved state exists in localStorage, the store is populated with the rows
+ * below so that the marketplace, messages, saved items and admin panel all
+ * have something to show.  Every demo account uses the password
+ * `password123`.  Rows mirror the columns of the Supabase tables described
+ * in the README so the same rendering code works against either backend.
+ */
+
+const ALEX_ID = '00000000-0000-4000-8000-000000000001';
+const PRIYA_ID = '00000000-0000-4000-8000-000000000002';
+const SAM_ID = '00000000-0000-4000-8000-000000000003';
+const ADMIN_ID = '00000000-0000-4000-8000-000000000004';
+
+const CALCULUS_ID = '10000000-0000-4000-8000-000000000001';
+const LAPTOP_ID = '10000000-0000-4000-8000-000000000002';
+const DESK_ID = '10000000-0000-4000-8000-000000000003';
+const CHEMISTRY_ID = '10000000-0000-4000-8000-000000000004';
+const HOODIE_ID = '10000000-0000-4000-8000-000000000005';
+const ART_KIT_ID = '10000000-0000-4000-8000-000000000006';
+const PSYCH_ID = '10000000-0000-4000-8000-000000000007';
+const FRIDGE_ID = '10000000-0000-4000-8000-000000000008';
+
+// Matches the default `listingLifetimeDays` in config.js
+const LISTING_LIFETIME_DAYS = 60;
+
+/**
+ * Return an ISO timestamp a number of days before now.  Seed rows are
+ * dated relative to the moment the store is first created so that "newest
+ * first" ordering looks plausible in a demo.
+ *
+ * @param {number} days Number of days in the past
+ * @returns {string} ISO 8601 timestamp
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * The school directory: canonical names, the other names students use and
+ * the email domains their students have addresses at.  Also used to add
+ * the directory to stores saved before it existed.
+ *
+ * @returns {object[]} Rows of the schools table
+ */
+export function createSeedSchools() {
+  const school = (id, name, aliases, emailDomains) => ({
+    id: `20000000-0000-4000-8000-00000000000${id}`,
+    name,
+    aliases,
+    email_domains: emailDomains,
+    created_at: daysAgo(90),
+  });
+  return [
+    school(1, 'University of Toronto', ['UofT', 'U of T', 'Toronto'], ['utoronto.ca']),
+    school(2, 'McGill University', ['McGill'], ['mcgill.ca']),
+    school(3, 'Université Laval', ['Laval', 'ULaval'], ['ulaval.ca']),
+    school(4, 'University of British Columbia', ['UBC', 'U of British Columbia'], ['ubc.ca']),
+    school(5, 'University of Waterloo', ['Waterloo', 'UW', 'UWaterloo'], ['uwaterloo.ca']),
+    school(6, 'Concordia University', ['Concordia'], ['concordia.ca']),
+  ];
+}
+
+/**
+ * Build a fresh copy of the seed data.  A function is used rather than a
+ * constant so each new store gets its own objects and timestamps.
+ *
+ * @returns {object} Map of table name to an array of rows
+ */
+export function createSeedData() {
+  const schools = createSeedSchools();
+
+  const users = [
+    {
+      id: ALEX_ID,
+      email: 'alex.chen@mail.utoronto.ca',
+      full_name: 'Alex Chen',
+      school_name: 'University of Toronto',
+      program_name: 'Computer Science',
+      is_admin: false,
+      blocked: false,
+      rating_sum: 9,
+      rating_count: 2,
+    },
+    {
+      id: PRIYA_ID,
+      email: 'priya.patel@mail.mcgill.ca',
+      full_name: 'Priya Patel',
+      school_name: 'McGill University',
+      program_name: 'Biochemistry',
+      is_admin: false,
+      blocked: false,
+      rating_sum: 5,
+      rating_count: 1,
+    },
+    {
+      id: SAM_ID,
+      email: 'sam.tremblay@ulaval.ca',
+      full_name: 'Sam Tremblay',
+      school_name: 'Université Laval',
+      program_name: 'Génie logiciel',
+      is_admin: false,
+      blocked: false,
+      rating_sum: 0,
+      rating_count: 0,
+    },
+    {
+      id: ADMIN_ID,
+      email: 'admin@campustrade.ca',
+      full_name: 'CampusTrade Admin',
+      school_name: 'University of Toronto',
+      program_name: null,
+      is_admin: true,
+      blocked: false,
+      rating_sum: 0,
+      rating_count: 0,
+    },
+  ];
+
+  // Credentials for the in‑memory auth provider.  Stored separately from
+  // the public users table, just as Supabase keeps auth.users apart.
+  const auth_users = users.map((u) => ({
+    id: u.id,
+    email: u.email,
+    password: 'password123',
+    user_metadata: {
+      full_name: u.full_name,
+      school_name: u.school_name,
+      program_name: u.program_name,
+    },
+    created_at: daysAgo(60),
+  }));
+
+  const listing = (fields) => ({
+    images: [],
+    thumbnails: [],
+    program: null,
+    isbn: null,
+    author: null,
+    edition: null,
+    course_codes: [],
+    includes_access_code: false,
+    view_count: 0,
+    rating_sum: 0,
+    rating_count: 0,
+    status: 'active',
+    status_changed_at: null,
+    expires_at: new Date(Date.parse(fields.created_at) + LISTING_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    ...fields,
+  });
+
+  const listings = [
+    listing({
+      id: CALCULUS_ID,
+      owner_id: ALEX_ID,
+      owner_name: 'Alex Chen',
+      owner_email: 'alex.chen@mail.utoronto.ca',
+      title: 'Calculus: Early Transcendentals (8th ed.)',
+      description: 'Stewart calculus textbook used for MAT137. A few highlighted pages, otherwise in great shape.',
+      price: 45,
+      category: 'textbooks',
+      images: ['https://placehold.co/600x400?text=Calculus'],
+      school: 'University of Toronto',
+      program: 'Mathematics',
+      isbn: '9781285741550',
+      author: 'James Stewart',
+      edition: '8th',
+      course_codes: ['MAT 137'],
+      created_at: daysAgo(2),
+      view_count: 34,
+      rating_sum: 9,
+      rating_count: 2,
+    }),
+    listing({
+      id: LAPTOP_ID,
+      owner_id: ALEX_ID,
+      owner_name: 'Alex Chen',
+      owner_email: 'alex.chen@mail.utoronto.ca',
+      title: 'ThinkPad X1 Carbon laptop',
+      description: '16 GB RAM, 512 GB SSD. Battery holds about six hours. Charger included.',
+      price: 650,
+      category: 'electronics',
+      images: ['https://placehold.co/600x400?text=Laptop'],
+      school: 'University of Toronto',
+      program: 'Computer Science',
+      created_at: daysAgo(5),
+      view_count: 81,
+      status: 'reserved',
+      status_changed_at: daysAgo(0.8),
+    }),
+    listing({
+      id: DESK_ID,
+      owner_id: PRIYA_ID,
+      owner_name: 'Priya Patel',
+      owner_email: 'priya.patel@mail.mcgill.ca',
+      title: 'IKEA study desk',
+      description: 'White desk, 120 x 60 cm. Pickup near the Milton Gates.',
+      price: 40,
+      category: 'furniture',
+      images: ['https://placehold.co/600x400?text=Desk'],
+      school: 'McGill University',
+      created_at: daysAgo(9),
+      view_count: 12,
+    }),
+    listing({
+      id: CHEMISTRY_ID,
+      owner_id: PRIYA_ID,
+      owner_name: 'Priya Patel',
+      owner_email: 'priya.patel@mail.mcgill.ca',
+      title: 'Organic Chemistry lab coat and goggles',
+      description: 'Required for CHEM 222 labs. Worn for one semester.',
+      price: 0,
+      category: 'supplies',
+      school: 'McGill University',
+      program: 'Biochemistry',
+      course_codes: ['CHEM 222'],
+      created_at: daysAgo(1),
+      view_count: 7,
+      rating_sum: 5,
+      rating_count: 1,
+    }),
+    listing({
+      id: HOODIE_ID,
+      owner_id: SAM_ID,
+      owner_name: 'Sam Tremblay',
+      owner_email: 'sam.tremblay@ulaval.ca',
+      title: 'Chandail Rouge et Or',
+      description: 'Chandail officiel de l’Université Laval, taille M. Porté deux fois.',
+      price: 25,
+      category: 'clothing',
+      images: ['https://placehold.co/600x400?text=Hoodie'],
+      school: 'Université Laval',
+      program: 'Génie logiciel',
+      created_at: daysAgo(3),
+      view_count: 19,
+    }),
+    listing({
+      id: ART_KIT_ID,
+      owner_id: SAM_ID,
+      owner_name: 'Sam Tremblay',
+      owner_email: 'sam.tremblay@ulaval.ca',
+      title: 'Trousse d’arts plastiques complète',
+      description: 'Pinceaux, acryliques et carnet de croquis pour le cours ARV-1000.',
+      price: 30,
+      category: 'supplies',
+      school: 'Université Laval',
+      course_codes: ['ARV 1000'],
+      created_at: daysAgo(12),
+      view_count: 4,
+    }),
+    listing({
+      id: PSYCH_ID,
+      owner_id: ALEX_ID,
+      owner_name: 'Alex Chen',
+      owner_email: 'alex.chen@mail.utoronto.ca',
+      title: 'Psychology: Themes and Variations',
+      description: 'Weiten, Canadian edition. Used for PSY100.',
+      price: 35,
+      category: 'textbooks',
+      school: 'University of Toronto',
+      program: 'Psychology',
+      author: 'Wayne Weiten',
+      edition: 'Canadian',
+      course_codes: ['PSY 100'],
+      created_at: daysAgo(20),
+      view_count: 26,
+      status: 'sold',
+      status_changed_at: daysAgo(14),
+    }),
+    listing({
+      id: FRIDGE_ID,
+      owner_id: SAM_ID,
+      owner_name: 'Sam Tremblay',
+      owner_email: 'sam.tremblay@ulaval.ca',
+      title: 'Mini‑frigo pour résidence',
+      description: 'Petit réfrigérateur, parfait pour une chambre en résidence.',
+      price: 60,
+      category: 'furniture',
+      school: 'Université Laval',
+      created_at: daysAgo(70),
+      view_count: 15,
+    }),
+  ];
+
+  const saved_listings = [
+    { user_id: PRIYA_ID, listing_id: LAPTOP_ID, created_at: daysAgo(1) },
+    { user_id: ALEX_ID, listing_id: DESK_ID, created_at: daysAgo(2) },
+  ];
+
+  const saved_searches = [
+    {
+      id: '30000000-0000-4000-8000-000000000001',
+      user_id: PRIYA_ID,
+      name: 'Cheap desks at McGill',
+      criteria: { searchTerm: 'desk', category: 'furniture', school: 'McGill', program: '', minPrice: null, maxPrice: 60 },
+      alerts_enabled: true,
+      created_at: daysAgo(4),
+    },
+  ];
+
+  // Conversations are per listing; participants are stored sorted
+  const [firstId, secondId] = [ALEX_ID, PRIYA_ID].sort();
+  const conversations = [
+    {
+      id: '40000000-0000-4000-8000-000000000001',
+      listing_id: LAPTOP_ID,
+      participant_a: firstId,
+      participant_b: secondId,
+      created_at: daysAgo(1),
+    },
+  ];
+  const laptopChat = conversations[0].id;
+  const messages = [
+    {
+      id: '20000000-0000-4000-8000-000000000001',
+      conversation_id: laptopChat,
+      sender_id: PRIYA_ID,
+      receiver_id: ALEX_ID,
+      content: 'Hi! Is the ThinkPad still available?',
+      created_at: daysAgo(1),
+      read_at: daysAgo(0.95),
+    },
+    {
+      id: '20000000-0000-4000-8000-000000000002',
+      conversation_id: laptopChat,
+      sender_id: ALEX_ID,
+      receiver_id: PRIYA_ID,
+      content: 'Yes it is. I can meet at Robarts tomorrow afternoon.',
+      created_at: daysAgo(0.9),
+      read_at: null,
+    },
+  ];
+
+  const review = (fields) => ({
+    comment: null,
+    seller_reply: null,
+    seller_reply_at: null,
+    updated_at: null,
+    ...fields,
+  });
+  const ratings = [
+    review({
+      id: 1,
+      listing_id: CALCULUS_ID,
+      user_id: PRIYA_ID,
+      reviewer_name: 'Priya Patel',
+      rating: 5,
+      comment: 'Exactly as described.',
+      seller_reply: 'Thanks Priya, good luck with MAT137!',
+      seller_reply_at: daysAgo(0.8),
+      created_at: daysAgo(1),
+    }),
+    review({
+      id: 2,
+      listing_id: CALCULUS_ID,
+      user_id: SAM_ID,
+      reviewer_name: 'Sam Tremblay',
+      rating: 4,
+      comment: 'Quick and friendly pickup.',
+      created_at: daysAgo(1),
+    }),
+    review({
+      id: 3,
+      listing_id: CHEMISTRY_ID,
+      user_id: ALEX_ID,
+      reviewer_name: 'Alex Chen',
+      rating: 5,
+      created_at: daysAgo(0.5),
+    }),
+  ];
+
+  const reports = [
+    {
+      id: 1,
+      listing_id: LAPTOP_ID,
+      user_id: SAM_ID,
+      category: 'scam',
+      reason: 'Price seems too good to be true.',
+      status: 'open',
+      admin_note: null,
+      resolved_by: null,
+      resolved_at: null,
+      created_at: daysAgo(0.5),
+    },
+  ];
+
+  // Starter screening rules for things that can't be sold on campus
+  const screening_rules = [
+    {
+      id: '50000000-0000-4000-8000-000000000001',
+      type: 'keyword',
+      pattern: 'counterfeit',
+      amount: null,
+      category: null,
+      note: 'Counterfeit goods',
+      enabled: true,
+      created_at: daysAgo(30),
+    },
+    {
+      id: '50000000-0000-4000-8000-000000000002',
+      type: 'keyword',
+      pattern: 'replica',
+      amount: null,
+      category: null,
+      note: 'Counterfeit goods',
+      enabled: true,
+      created_at: daysAgo(30),
+    },
+    {
+      id: '50000000-0000-4000-8000-000000000003',
+      type: 'regex',
+      pattern: 'prescription|adderall|oxycodone',
+      amount: null,
+      category: null,
+      note: 'Prescription drugs',
+      enabled: true,
+      created_at: daysAgo(30),
+    },
+    {
+      id: '50000000-0000-4000-8000-000000000004',
+      type: 'regex',
+      pattern: 'exam (answers|solutions)|answer key|test bank',
+      amount: null,
+      category: null,
+      note: 'Academic dishonesty',
+      enabled: true,
+      created_at: daysAgo(30),
+    },
+    {
+      id: '50000000-0000-4000-8000-000000000005',
+      type: 'price_below',
+      pattern: null,
+      amount: 20,
+      category: 'electronics',
+      note: 'Electronics this cheap are usually scams',
+      enabled: true,
+      created_at: daysAgo(30),
+    },
+  ];
+
+  return {
+    schools,
+    auth_users,
+    users,
+    listings,
+    saved_listings,
+    saved_searches,
+    conversations,
+    messages,
+    ratings,
+    reports,
+    appeals: [],
+    screening_rules,
+    admin_audit_log: [],
+    storage_objects: [],
+  };
+}
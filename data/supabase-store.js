@@ -0,0 +1,800 @@
+/*
+ * Supabase data store.
+ *
+ * Implements the repository interface described in data/index.js on top of
+ * the Supabase JavaScript client.  Each method wraps one query against the
+ * tables defined in the README and resolves to the client's usual
+ * `{ data, error }` result, so page code never touches the client directly.
+ * The client library is loaded lazily from the CDN so that the in‑memory
+ * backend can run without any network access.
+ */
+
+import { parseSearchQuery, toTsQuery } from '../search.js';
+import { LISTING_SORTS, resolveSort, decodeCursor, cursorAfter } from './pagination.js';
+import { visibleStatuses } from '../listing-status.js';
+import { isbnFromQuery } from '../isbn.js';
+import { normalizeCourseCode } from '../course-codes.js';
+
+const SUPABASE_JS_URL = 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2.39.0/+esm';
+
+/**
+ * Create a Supabase‑backed data store.
+ *
+ * @param {object} config
+ * @param {string} config.supabaseUrl     Project URL
+ * @param {string} config.supabaseAnonKey Anon/public API key
+ * @returns {Promise<object>} Repository object (see data/index.js)
+ */
+export async function createSupabaseStore(config) {
+  const { createClient } = await import(SUPABASE_JS_URL);
+  const supabase = createClient(config.supabaseUrl, config.supabaseAnonKey);
+
+  const auth = {
+    getSession() {
+      return supabase.auth.getSession();
+    },
+
+    signIn({ email, password }) {
+      return supabase.auth.signInWithPassword({ email, password });
+    },
+
+    signUp({ email, password, metadata = {} }) {
+      return supabase.auth.signUp({ email, password, options: { data: metadata } });
+    },
+
+    signOut() {
+      return supabase.auth.signOut();
+    },
+
+    /**
+     * Email a password reset link.  Opening it signs the user in and fires
+     * PASSWORD_RECOVERY, after which updateUser() sets the new password.
+     */
+    sendPasswordReset(email, redirectTo) {
+      return supabase.auth.resetPasswordForEmail(email, { redirectTo });
+    },
+
+    /**
+     * Email a one‑time sign‑in link.  Only existing accounts get one, so
+     * new students still go through sign‑up and its school email check.
+     */
+    sendMagicLink(email, redirectTo) {
+      return supabase.auth.signInWithOtp({
+        email,
+        options: { emailRedirectTo: redirectTo, shouldCreateUser: false },
+      });
+    },
+
+    /**
+     * Change the signed‑in user's email and/or password.  A new email only
+     * takes effect once confirmed from the link Supabase sends; until then
+     * the returned user carries it as `new_email`.
+     */
+    updateUser({ email, password }, redirectTo) {
+      const changes = {};
+      if (email) changes.email = email;
+      if (password) changes.password = password;
+      return supabase.auth.updateUser(changes, { emailRedirectTo: redirectTo });
+    },
+
+    onAuthStateChange(callback) {
+      const { data } = supabase.auth.onAuthStateChange(callback);
+      return data.subscription;
+    },
+  };
+
+  const schools = {
+    list() {
+      return supabase.from('schools').select('*').order('name');
+    },
+
+    create(school) {
+      return supabase.from('schools').insert(school).select().single();
+    },
+
+    update(id, patch) {
+      return supabase.from('schools').update(patch).eq('id', id).select().single();
+    },
+  };
+
+  const screeningRules = {
+    list() {
+      return supabase.from('screening_rules').select('*').order('created_at');
+    },
+
+    create(rule) {
+      return supabase.from('screening_rules').insert(rule).select().single();
+    },
+
+    update(id, patch) {
+      return supabase.from('screening_rules').update(patch).eq('id', id).select().single();
+    },
+
+    remove(id) {
+      return supabase.from('screening_rules').delete().eq('id', id);
+    },
+  };
+
+  const users = {
+    get(id) {
+      return supabase.from('users').select('*').eq('id', id).single();
+    },
+
+    create(row) {
+      return supabase.from('users').insert(row).select().single();
+    },
+
+    update(id, patch) {
+      return supabase.from('users').update(patch).eq('id', id).select().single();
+    },
+
+    /**
+     * Users whose name or email contains `text`, for the admin page.
+     */
+    search(text, { limit = 50 } = {}) {
+      // Characters that would break the or() filter syntax are dropped
+      const needle = text.trim().replace(/[,()*%\\]/g, ' ');
+      return supabase
+        .from('users')
+        .select('*')
+        .or(`full_name.ilike.*${needle}*,email.ilike.*${needle}*`)
+        .order('full_name', { ascending: true })
+        .limit(limit);
+    },
+
+    /**
+     * Users who are banned or whose suspension hasn't ended yet.
+     */
+    listRestricted() {
+      return supabase
+        .from('users')
+        .select('*')
+        .or(`blocked.eq.true,suspended_until.gt.${new Date().toISOString()}`);
+    },
+  };
+
+  const listings = {
+    get(id) {
+      return supabase.from('listings').select('*').eq('id', id).single();
+    },
+
+    /**
+     * Search listings one page at a time.  Column sorts use keyset
+     * pagination on (sort column, id); relevance order comes from
+     * search_listings() and is paged by offset.  The total number of
+     * matches is only counted for the first page.  See data/pagination.js.
+     */
+    async search(filters = {}, { cursor = null, pageSize = 24, signal = null } = {}) {
+      const { searchTerm, category, school, program, courseCode, minPrice, maxPrice, sort, status, excludeOwnerIds } = filters;
+      // A search that is an ISBN finds that book rather than keywords
+      const isbn = isbnFromQuery(searchTerm);
+      const tokens = isbn ? [] : parseSearchQuery(searchTerm);
+      const position = decodeCursor(cursor);
+      const count = position ? undefined : 'exact';
+      // Keyword searches go through the search_listings() function (see the
+      // README), which matches the weighted, accent‑insensitive
+      // search_vector column and returns rows in relevance order.  The
+      // usual filters and sorts are then applied to its result set.
+      let query = tokens.length
+        ? supabase.rpc('search_listings', { search_query: toTsQuery(tokens) }, { count })
+        : supabase.from('listings').select('*', { count });
+      // Active and reserved listings drop out once expires_at has passed,
+      // whether or not the expiry job has updated their status yet (see
+      // listing-status.js).  Sold listings are no longer subject to expiry.
+      const statuses = visibleStatuses(status);
+      const now = new Date().toISOString();
+      query = query.in('status', statuses);
+      query = statuses.includes('sold')
+        ? query.or(`status.eq.sold,expires_at.gt."${now}"`)
+        : query.gt('expires_at', now);
+      if (excludeOwnerIds?.length) {
+        query = query.not('owner_id', 'in', `(${excludeOwnerIds.join(',')})`);
+      }
+      if (isbn) {
+        query = query.eq('isbn', isbn);
+      }
+      if (category) {
+        query = query.eq('category', category);
+      }
+      if (school) {
+        query = query.eq('school', school);
+      }
+      if (program) {
+        query = query.ilike('program', `%${program}%`);
+      }
+      if (courseCode) {
+        query = query.contains('course_codes', [normalizeCourseCode(courseCode) || courseCode]);
+      }
+      if (minPrice !== undefined && !isNaN(minPrice)) {
+        query = query.gte('price', minPrice);
+      }
+      if (maxPrice !== undefined && !isNaN(maxPrice)) {
+        query = query.lte('price', maxPrice);
+      }
+      const mode = resolveSort(sort, tokens.length > 0);
+      const { column, ascending } = LISTING_SORTS[mode];
+      let offset = 0;
+      if (column) {
+        if (position) {
+          // Rows strictly after (value, id) in the sort direction.  Values
+          // are quoted because timestamps contain reserved characters.
+          // Nulls (e.g. free listings' price) sort last either way, as in
+          // the memory store, so they follow every value and only each
+          // other.
+          const op = ascending ? 'gt' : 'lt';
+          const id = `"${position.id}"`;
+          if (position.value === null || position.value === undefined) {
+            query = query.or(`and(${column}.is.null,id.${op}.${id})`);
+          } else {
+            const value = `"${position.value}"`;
+            query = query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id}),${column}.is.null`);
+          }
+        }
+        query = query.order(column, { ascending, nullsFirst: false }).order('id', { ascending });
+        // Fetch one extra row to learn whether another page exists
+        query = query.limit(pageSize + 1);
+      } else {
+        // Keep the order produced by search_listings()
+        offset = position?.offset || 0;
+        query = query.range(offset, offset + pageSize);
+      }
+      if (signal) {
+        query = query.abortSignal(signal);
+      }
+      const { data, error, count: total } = await query;
+      if (error) return { data: null, error };
+      const items = data.slice(0, pageSize);
+      const nextCursor = data.length > pageSize ? cursorAfter(mode, items, offset) : null;
+      return { data: { items, nextCursor, total: position ? null : total }, error: null };
+    },
+
+    listByOwner(ownerId) {
+      return supabase
+        .from('listings')
+        .select('*')
+        .eq('owner_id', ownerId)
+        .neq('status', 'deleted')
+        .order('created_at', { ascending: false });
+    },
+
+    listByIds(ids) {
+      return supabase.from('listings').select('*').in('id', ids).neq('status', 'deleted');
+    },
+
+    /**
+     * The distinct course codes on listings at `school` (or at every
+     * school when it is empty), via the listing_course_codes() function
+     * described in the README.
+     */
+    async listCourseCodes(school = '') {
+      const { data, error } = await supabase.rpc('listing_course_codes', { school_filter: school });
+      return { data: data ? data.map((row) => row.code) : null, error };
+    },
+
+    create(record) {
+      return supabase.from('listings').insert(record).select().single();
+    },
+
+    /**
+     * Create several listings in one insert; either all are added or none.
+     */
+    createMany(records) {
+      return supabase.from('listings').insert(records).select();
+    },
+
+    update(id, patch) {
+      return supabase.from('listings').update(patch).eq('id', id).select().single();
+    },
+
+    /**
+     * Listings held for review, oldest first, for the admin review queue.
+     */
+    listForReview() {
+      return supabase
+        .from('listings')
+        .select('*')
+        .eq('status', 'pending')
+        .order('status_changed_at', { ascending: true });
+    },
+
+    async recordView(id) {
+      const { data, error } = await supabase.from('listings').select('view_count').eq('id', id).single();
+      if (error) return { data: null, error };
+      return supabase.from('listings').update({ view_count: (data.view_count || 0) + 1 }).eq('id', id);
+    },
+  };
+
+  const savedListings = {
+    async listIds(userId) {
+      const { data, error } = await supabase
+        .from('saved_listings')
+        .select('listing_id')
+        .eq('user_id', userId);
+      return { data: data ? data.map((row) => row.listing_id) : null, error };
+    },
+
+    add(userId, listingId) {
+      return supabase.from('saved_listings').insert({ user_id: userId, listing_id: listingId });
+    },
+
+    remove(userId, listingId) {
+      return supabase.from('saved_listings').delete().match({ user_id: userId, listing_id: listingId });
+    },
+  };
+
+  const savedSearches = {
+    list(userId) {
+      return supabase
+        .from('saved_searches')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+    },
+
+    create(search) {
+      return supabase.from('saved_searches').insert(search).select().single();
+    },
+
+    update(id, patch) {
+      return supabase.from('saved_searches').update(patch).eq('id', id).select().single();
+    },
+
+    remove(id) {
+      return supabase.from('saved_searches').delete().eq('id', id);
+    },
+  };
+
+  const drafts = {
+    list(userId) {
+      return supabase
+        .from('listing_drafts')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false });
+    },
+
+    /**
+     * Insert a draft or replace the saved copy with the same ID.
+     */
+    save(draft) {
+      return supabase.from('listing_drafts').upsert(draft).select().single();
+    },
+
+    remove(id) {
+      return supabase.from('listing_drafts').delete().eq('id', id);
+    },
+  };
+
+  const conversations = {
+    get(id) {
+      return supabase.from('conversations').select('*').eq('id', id).single();
+    },
+
+    listForUser(userId) {
+      return supabase
+        .from('conversations')
+        .select('*')
+        .or(`participant_a.eq.${userId},participant_b.eq.${userId}`)
+        .order('created_at', { ascending: false });
+    },
+
+    /**
+     * Return the conversation between two users about a listing (or their
+     * general conversation when `listingId` is null), creating it if it
+     * doesn't exist yet.  If the other participant creates it at the same
+     * moment the unique constraint rejects our insert and theirs is used.
+     */
+    async findOrCreate({ listingId = null, participants }) {
+      const [a, b] = [...participants].sort();
+      const find = () => {
+        let query = supabase.from('conversations').select('*').eq('participant_a', a).eq('participant_b', b);
+        query = listingId ? query.eq('listing_id', listingId) : query.is('listing_id', null);
+        return query.maybeSingle();
+      };
+      const existing = await find();
+      if (existing.error || existing.data) return existing;
+      const { data, error } = await supabase
+        .from('conversations')
+        .insert({ listing_id: listingId, participant_a: a, participant_b: b })
+        .select()
+        .single();
+      if (error && error.code === '23505') return find();
+      return { data, error };
+    },
+  };
+
+  const messages = {
+    listForUser(userId) {
+      return supabase
+        .from('messages')
+        .select('*')
+        .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`)
+        .order('created_at', { ascending: false });
+    },
+
+    listConversation(conversationId) {
+      return supabase
+        .from('messages')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+    },
+
+    send(message) {
+      return supabase.from('messages').insert(message).select().single();
+    },
+
+    async countUnread(userId) {
+      const { count, error } = await supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('receiver_id', userId)
+        .is('read_at', null);
+      return { data: count, error };
+    },
+
+    /**
+     * Mark every message the user has received in a conversation as read.
+     */
+    markRead(conversationId, userId) {
+      return supabase
+        .from('messages')
+        .update({ read_at: new Date().toISOString() })
+        .eq('conversation_id', conversationId)
+        .eq('receiver_id', userId)
+        .is('read_at', null)
+        .select();
+    },
+  };
+
+  const blocks = {
+    list(blockerId) {
+      return supabase
+        .from('user_blocks')
+        .select('*')
+        .eq('blocker_id', blockerId)
+        .order('created_at', { ascending: false });
+    },
+
+    add(blockerId, blockedId) {
+      return supabase
+        .from('user_blocks')
+        .upsert({ blocker_id: blockerId, blocked_id: blockedId }, { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true });
+    },
+
+    remove(blockerId, blockedId) {
+      return supabase.from('user_blocks').delete().match({ blocker_id: blockerId, blocked_id: blockedId });
+    },
+  };
+
+  const offers = {
+    get(id) {
+      return supabase.from('offers').select('*').eq('id', id).single();
+    },
+
+    listForListing(listingId) {
+      return supabase
+        .from('offers')
+        .select('*')
+        .eq('listing_id', listingId)
+        .order('created_at', { ascending: false });
+    },
+
+    create(offer) {
+      return supabase.from('offers').insert(offer).select().single();
+    },
+
+    /**
+     * Move a pending offer to a final status.  The filters make the update
+     * a no‑op if the offer was already answered or has expired, which is
+     * reported as an error.
+     */
+    async respond(id, status) {
+      const { data, error } = await supabase
+        .from('offers')
+        .update({ status, responded_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString())
+        .select();
+      if (error) return { data: null, error };
+      if (!data || data.length === 0) {
+        return { data: null, error: { message: 'This offer is no longer open.' } };
+      }
+      return { data: data[0], error: null };
+    },
+  };
+
+  const ratings = {
+    listForListing(listingId) {
+      return supabase
+        .from('ratings')
+        .select('*')
+        .eq('listing_id', listingId)
+        .order('created_at', { ascending: false });
+    },
+
+    /**
+     * Create or update the reviewer's review of a listing.  The unique
+     * (listing_id, user_id) constraint turns a second review into an edit;
+     * rating aggregates are maintained by a trigger (see the README).
+     */
+    save(review) {
+      return supabase
+        .from('ratings')
+        .upsert(review, { onConflict: 'listing_id,user_id' })
+        .select()
+        .single();
+    },
+
+    reply(id, reply) {
+      return supabase
+        .from('ratings')
+        .update({ seller_reply: reply || null, seller_reply_at: reply ? new Date().toISOString() : null })
+        .eq('id', id)
+        .select()
+        .single();
+    },
+  };
+
+  const reports = {
+    list({ status = '' } = {}) {
+      let query = supabase.from('reports').select('*').order('created_at', { ascending: false });
+      if (status) query = query.eq('status', status);
+      return query;
+    },
+
+    create(report) {
+      return supabase.from('reports').insert(report);
+    },
+
+    /**
+     * Apply the same change to several reports, e.g. closing every report
+     * on a listing.
+     */
+    update(ids, patch) {
+      return supabase.from('reports').update(patch).in('id', ids).select();
+    },
+  };
+
+  const appeals = {
+    list({ status = '' } = {}) {
+      let query = supabase.from('appeals').select('*').order('created_at', { ascending: false });
+      if (status) query = query.eq('status', status);
+      return query;
+    },
+
+    listForUser(userId) {
+      return supabase.from('appeals').select('*').eq('user_id', userId).order('created_at', { ascending: false });
+    },
+
+    create(appeal) {
+      return supabase.from('appeals').insert(appeal).select().single();
+    },
+
+    update(id, patch) {
+      return supabase.from('appeals').update(patch).eq('id', id).select().single();
+    },
+  };
+
+  const rateLimits = {
+    /**
+     * How many more rows of `action` the signed‑in user may create now,
+     * from rate_limit_remaining() in the README; null when it isn't limited.
+     */
+    remaining(action) {
+      return supabase.rpc('rate_limit_remaining', { limited_action: action });
+    },
+
+    /**
+     * Accounts that have used at least `minShare` of a rate limit in its
+     * current window, from the admin‑only rate_limit_usage() function in
+     * the README.
+     */
+    usage({ minShare = 0.5 } = {}) {
+      return supabase.rpc('rate_limit_usage', { min_share: minShare });
+    },
+  };
+
+  const auditLog = {
+    /**
+     * The most recent `limit` audit log entries matching `filters`, newest
+     * first.  Filters as auditEntryMatches() in moderation.js.
+     */
+    list({ action = '', adminId = '', from = '', to = '', text = '' } = {}, { limit = 200 } = {}) {
+      let query = supabase
+        .from('admin_audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (action) query = query.eq('action', action);
+      if (adminId) query = query.eq('admin_id', adminId);
+      if (from) query = query.gte('created_at', from);
+      if (to) {
+        const dayAfter = new Date(`${to}T00:00:00Z`);
+        dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+        query = query.lt('created_at', dayAfter.toISOString());
+      }
+      // Characters that would break the or() filter syntax are dropped
+      const needle = text.trim().replace(/[,()*%\\]/g, ' ');
+      if (needle) query = query.or(`admin_name.ilike.*${needle}*,target_label.ilike.*${needle}*`);
+      return query;
+    },
+  };
+
+  const account = {
+    /**
+     * Everything stored about the signed‑in user, for the privacy export.
+     * Each part is read under the user's own row level security, which is
+     * why a student can only export themselves.
+     */
+    async exportData(userId) {
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user || user.id !== userId) {
+        return { data: null, error: userError || { message: 'You can only export your own data.' } };
+      }
+      const { data: conversationRows, error: conversationError } = await conversations.listForUser(userId);
+      if (conversationError) return { data: null, error: conversationError };
+      const conversationIds = conversationRows.map((c) => c.id);
+      const { data: listingRows, error: listingError } = await supabase.from('listings').select('*').eq('owner_id', userId);
+      if (listingError) return { data: null, error: listingError };
+      const listingIds = listingRows.map((l) => l.id);
+      const parts = {
+        profile: supabase.from('users').select('*').eq('id', userId).single(),
+        saved_listings: supabase.from('saved_listings').select('*').eq('user_id', userId),
+        saved_searches: supabase.from('saved_searches').select('*').eq('user_id', userId),
+        listing_drafts: supabase.from('listing_drafts').select('*').eq('user_id', userId),
+        messages: supabase.from('messages').select('*').in('conversation_id', conversationIds),
+        offers: supabase.from('offers').select('*').or(`buyer_id.eq.${userId},seller_id.eq.${userId}`),
+        reviews_written: supabase.from('ratings').select('*').eq('user_id', userId),
+        reviews_received: supabase.from('ratings').select('*').in('listing_id', listingIds),
+        reports_filed: supabase.from('reports').select('*').eq('user_id', userId),
+        blocked_users: supabase.from('user_blocks').select('*').eq('blocker_id', userId),
+        appeals: supabase.from('appeals').select('*').eq('user_id', userId),
+      };
+      const results = await Promise.all(Object.values(parts));
+      const failed = results.find((result) => result.error);
+      if (failed) return { data: null, error: failed.error };
+      const data = {
+        account: { email: user.email, created_at: user.created_at },
+        listings: listingRows,
+        conversations: conversationRows,
+      };
+      Object.keys(parts).forEach((name, index) => {
+        data[name] = results[index].data;
+      });
+      return { data, error: null };
+    },
+  };
+
+  /**
+   * Upload a file with XMLHttpRequest so that progress can be reported; the
+   * Supabase client uploads with fetch, which has no upload progress
+   * events.  Talks to the same Storage REST endpoint as the client.
+   */
+  async function uploadWithProgress(bucket, path, file, { cacheControl = '3600', upsert = false, onProgress }) {
+    const { data: { session } } = await supabase.auth.getSession();
+    const token = session?.access_token || config.supabaseAnonKey;
+    const objectPath = path.split('/').map(encodeURIComponent).join('/');
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', `${config.supabaseUrl}/storage/v1/object/${bucket}/${objectPath}`);
+      xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+      xhr.setRequestHeader('apikey', config.supabaseAnonKey);
+      xhr.setRequestHeader('cache-control', `max-age=${cacheControl}`);
+      xhr.setRequestHeader('x-upsert', String(upsert));
+      if (file.type) xhr.setRequestHeader('Content-Type', file.type);
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) onProgress(event.loaded / event.total);
+      };
+      xhr.onload = () => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          onProgress(1);
+          resolve({ data: { path }, error: null });
+          return;
+        }
+        let message = `Upload failed (${xhr.status})`;
+        try {
+          message = JSON.parse(xhr.responseText).message || message;
+        } catch (err) {
+          // Not a JSON error body; keep the status message
+        }
+        resolve({ data: null, error: { message } });
+      };
+      xhr.onerror = () => resolve({ data: null, error: { message: 'Network error during upload' } });
+      xhr.send(file);
+    });
+  }
+
+  const storage = {
+    /**
+     * Upload a file.  Pass `options.onProgress` to be called with the
+     * fraction uploaded so far.
+     */
+    upload(bucket, path, file, options = {}) {
+      const { onProgress, ...uploadOptions } = options;
+      if (onProgress) {
+        return uploadWithProgress(bucket, path, file, { ...uploadOptions, onProgress });
+      }
+      return supabase.storage
+        .from(bucket)
+        .upload(path, file, { cacheControl: '3600', upsert: false, ...uploadOptions });
+    },
+
+    getPublicUrl(bucket, path) {
+      const { data } = supabase.storage.from(bucket).getPublicUrl(path);
+      return data ? data.publicUrl : null;
+    },
+
+    /**
+     * Find the path of the object a public URL points to, or null when the
+     * URL isn't in this bucket (for example an external placeholder).
+     */
+    getPathFromUrl(bucket, url) {
+      const prefix = `${config.supabaseUrl}/storage/v1/object/public/${bucket}/`;
+      if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+      return url.slice(prefix.length).split('/').map(decodeURIComponent).join('/');
+    },
+
+    /**
+     * Create a time‑limited URL for an object in a private bucket.
+     * Resolves to the URL itself.
+     */
+    async createSignedUrl(bucket, path, expiresIn = 3600) {
+      const { data, error } = await supabase.storage.from(bucket).createSignedUrl(path, expiresIn);
+      return { data: data ? data.signedUrl : null, error };
+    },
+
+    remove(bucket, paths) {
+      return supabase.storage.from(bucket).remove(paths);
+    },
+  };
+
+  const realtime = {
+    /**
+     * Subscribe to Postgres changes on a table.  `filter` is an object of
+     * column/value pairs; Supabase only supports a single `eq` filter per
+     * subscription, so at most one entry is sent to the server and any
+     * others are checked client side.
+     */
+    subscribe({ table, event = '*', filter = {} }, callback) {
+      const entries = Object.entries(filter);
+      const [first] = entries;
+      const options = { event, schema: 'public', table };
+      if (first) options.filter = `${first[0]}=eq.${first[1]}`;
+      const channelName = `${table}-${entries.map((e) => e.join('=')).join('&') || 'all'}-${crypto.randomUUID()}`;
+      return supabase
+        .channel(channelName)
+        .on('postgres_changes', options, (payload) => {
+          const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+          const matches = entries.every(([column, value]) => String(row[column]) === String(value));
+          if (matches) callback(payload);
+        })
+        .subscribe();
+    },
+  };
+
+  return {
+    backend: 'supabase',
+    auth,
+    schools,
+    screeningRules,
+    users,
+    listings,
+    savedListings,
+    savedSearches,
+    drafts,
+    conversations,
+    messages,
+    blocks,
+    offers,
+    ratings,
+    reports,
+    appeals,
+    rateLimits,
+    auditLog,
+    account,
+    storage,
+    realtime,
+  };
+}
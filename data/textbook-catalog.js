@@ -0,0 +1,29 @@
+/*
+ * Local textbook catalog.
+ *
+ * A small table of common first‑year textbooks keyed by ISBN‑13, used to
+ * fill in the title, author and edition when a seller types an ISBN on
+ * the listing form.  It ships with the app so lookups work offline and
+ * without an external API key; add the books your campus uses most.
+ */
+
+export const TEXTBOOK_CATALOG = {
+  '9781285741550': { title: 'Calculus: Early Transcendentals', author: 'James Stewart', edition: '8th' },
+  '9780134093413': { title: 'Campbell Biology', author: 'Lisa A. Urry, Michael L. Cain, Steven A. Wasserman, Peter V. Minorsky, Jane B. Reece', edition: '11th' },
+  '9780262033848': { title: 'Introduction to Algorithms', author: 'Thomas H. Cormen, Charles E. Leiserson, Ronald L. Rivest, Clifford Stein', edition: '3rd' },
+  '9781118230718': { title: 'Fundamentals of Physics', author: 'David Halliday, Robert Resnick, Jearl Walker', edition: '10th' },
+  '9781305585126': { title: 'Principles of Economics', author: 'N. Gregory Mankiw', edition: '8th' },
+  '9780321856562': { title: 'Introduction to Electrodynamics', author: 'David J. Griffiths', edition: '4th' },
+  '9780321982384': { title: 'Linear Algebra and Its Applications', author: 'David C. Lay, Steven R. Lay, Judi J. McDonald', edition: '5th' },
+};
+
+/**
+ * Look up a textbook by ISBN‑13.
+ *
+ * @param {string|null} isbn13 ISBN‑13 as returned by parseIsbn()
+ * @returns {{title: string, author: string, edition: string}|null} The
+ *   catalog entry, or null when the book isn't listed
+ */
+export function lookupTextbook(isbn13) {
+  return (isbn13 && TEXTBOOK_CATALOG[isbn13]) || null;
+}
@@ -0,0 +1,99 @@
+/*
+ * Listing photo processing.
+ *
+ * Phone cameras produce large photos (often 5–10 MB) carrying EXIF
+ * metadata such as the GPS location they were taken at.  Before a listing
+ * photo is uploaded it is redrawn onto a canvas: this scales it down to a
+ * sensible size, recompresses it as JPEG and, because a canvas only holds
+ * pixels, drops every piece of metadata from the original file.  A small
+ * thumbnail is produced at the same time for the listing cards.
+ *
+ * The browser applies the EXIF orientation while decoding, so photos taken
+ * in portrait keep the right way up even though the tag itself is gone.
+ */
+
+// Formats the browser can decode for us.  HEIC and similar formats are
+// rejected up front rather than failing halfway through processing.
+export const SUPPORTED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Decode an image file.  createImageBitmap is used where available as it
+ * decodes off the main thread; older browsers fall back to an <img>.
+ *
+ * @param {Blob} file Image file
+ * @returns {Promise<CanvasImageSource & {width: number, height: number}>}
+ */
+async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw an image scaled to fit within a square of `maxDimension` pixels and
+ * encode it as JPEG.  Images are never scaled up.  Transparent areas (PNG,
+ * GIF) are filled with white since JPEG has no alpha channel.
+ *
+ * @param {CanvasImageSource} image Decoded image
+ * @param {number} maxDimension     Longest side of the output, in pixels
+ * @param {number} quality          JPEG quality between 0 and 1
+ * @returns {Promise<Blob>} The encoded image
+ */
+function renderJpeg(image, maxDimension, quality) {
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Unable to encode image'))),
+      'image/jpeg',
+      quality,
+    );
+  });
+}
+
+/**
+ * Prepare a photo for upload: resize, recompress, strip metadata and
+ * generate a thumbnail.
+ *
+ * @param {File} file Photo chosen by the user
+ * @param {object} [options]
+ * @param {number} [options.maxDimension]       Longest side of the photo
+ * @param {number} [options.thumbnailDimension] Longest side of the thumbnail
+ * @param {number} [options.quality]            JPEG quality between 0 and 1
+ * @returns {Promise<{image: Blob, thumbnail: Blob}>} JPEG photo and thumbnail
+ */
+export async function processListingPhoto(file, options = {}) {
+  const { maxDimension = 1600, thumbnailDimension = 400, quality = 0.82 } = options;
+  if (!SUPPORTED_PHOTO_TYPES.includes(file.type)) {
+    throw new Error(`${file.name} isn't a supported image (JPEG, PNG, WebP or GIF).`);
+  }
+  let decoded;
+  try {
+    decoded = await decodeImage(file);
+  } catch (err) {
+    throw new Error(`${file.name} couldn't be read as an image.`);
+  }
+  try {
+    const image = await renderJpeg(decoded, maxDimension, quality);
+    const thumbnail = await renderJpeg(decoded, thumbnailDimension, quality);
+    return { image, thumbnail };
+  } finally {
+    if (typeof decoded.close === 'function') decoded.close();
+  }
+}
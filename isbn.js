@@ -0,0 +1,119 @@
+/*
+ * ISBN helpers.
+ *
+ * Textbook listings carry an ISBN so buyers can find the exact edition
+ * their course requires.  Sellers may type either an ISBN‑10 or an
+ * ISBN‑13, with or without hyphens and spaces; listings always store the
+ * ISBN‑13 form so that both spellings of the same book match.  Shared by
+ * the listing form, the data stores' ISBN search and the detail page.
+ */
+
+/**
+ * Strip hyphens and spaces and upper‑case a trailing check character.
+ *
+ * @param {string|null} input ISBN as typed
+ * @returns {string} Digits (and possibly a final X)
+ */
+export function compactIsbn(input) {
+  return (input || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Check an ISBN‑10: nine digits and a check character (0–9 or X) such
+ * that the weighted sum 10·d1 + 9·d2 + … + 1·d10 is divisible by 11.
+ *
+ * @param {string} isbn Compact ISBN
+ * @returns {boolean} Whether it is a valid ISBN‑10
+ */
+export function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const value = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += value * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Check an ISBN‑13: thirteen digits starting 978 or 979 whose digits,
+ * weighted alternately 1 and 3, sum to a multiple of 10.
+ *
+ * @param {string} isbn Compact ISBN
+ * @returns {boolean} Whether it is a valid ISBN‑13
+ */
+export function isValidIsbn13(isbn) {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Convert a valid ISBN‑10 to its ISBN‑13 (978 prefix, new check digit).
+ *
+ * @param {string} isbn10 Compact, valid ISBN‑10
+ * @returns {string} ISBN‑13
+ */
+export function isbn10To13(isbn10) {
+  const body = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(body[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Convert a valid ISBN‑13 to ISBN‑10.  Only 978‑prefixed ISBNs have an
+ * ISBN‑10 form.
+ *
+ * @param {string} isbn13 Compact, valid ISBN‑13
+ * @returns {string|null} ISBN‑10, or null for 979 ISBNs
+ */
+export function isbn13To10(isbn13) {
+  if (!isbn13.startsWith('978')) return null;
+  const body = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(body[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return `${body}${check === 10 ? 'X' : check}`;
+}
+
+/**
+ * Validate an ISBN as typed and work out both of its forms.
+ *
+ * @param {string|null} input ISBN‑10 or ISBN‑13, hyphens allowed
+ * @returns {{isbn13: string|null, isbn10: string|null, error: string|null}}
+ *   The ISBN‑13 to store and the ISBN‑10 (when one exists), or an error
+ *   describing what is wrong
+ */
+export function parseIsbn(input) {
+  const isbn = compactIsbn(input);
+  if (isbn.length === 10) {
+    if (!isValidIsbn10(isbn)) return { isbn13: null, isbn10: null, error: "That ISBN‑10 isn't valid; check the digits." };
+    return { isbn13: isbn10To13(isbn), isbn10: isbn, error: null };
+  }
+  if (isbn.length === 13) {
+    if (!isValidIsbn13(isbn)) return { isbn13: null, isbn10: null, error: "That ISBN‑13 isn't valid; check the digits." };
+    return { isbn13: isbn, isbn10: isbn13To10(isbn), error: null };
+  }
+  return { isbn13: null, isbn10: null, error: 'An ISBN has 10 or 13 digits.' };
+}
+
+/**
+ * Recognise a search query that is nothing but an ISBN, so the
+ * marketplace can look the book up directly instead of by keyword.
+ *
+ * @param {string|null} query Search text
+ * @returns {string|null} The ISBN‑13, or null when the query isn't an ISBN
+ */
+export function isbnFromQuery(query) {
+  const compact = compactIsbn(query);
+  if (!/^[\dX]{10}$|^\d{13}$/.test(compact)) return null;
+  return parseIsbn(compact).isbn13;
+}
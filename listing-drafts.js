@@ -0,0 +1,150 @@
+/*
+ * Listing drafts.
+ *
+ * The listing form autosaves what the user has entered as a draft so that
+ * nothing is lost on accidental navigation.  A draft looks like:
+ *
+ *   {
+ *     id, user_id,
+ *     listing_id,   // the listing being edited, or null for a new one
+ *     fields,       // { title, description, price, category, school, program }
+ *     photos,       // [{ name, url, thumbnail_url, image, thumbnail }]
+ *     updated_at,
+ *   }
+ *
+ * Drafts are always kept on this device in IndexedDB, which (unlike
+ * localStorage) can hold the processed photo blobs of photos that haven't
+ * been uploaded yet.  When `listingDrafts.saveToBackend` is set in
+ * config.js a copy is also saved through the data store so the draft shows
+ * up on other devices; that copy only carries photos already in storage
+ * (those with a `url`), since new photos are uploaded on publishing.
+ *
+ * Functions resolve to `{ data, error }` like the data stores.
+ */
+
+const DATABASE_NAME = 'studentswap:drafts';
+const DATABASE_VERSION = 1;
+const DRAFT_STORE = 'listing_drafts';
+
+let databasePromise = null;
+
+/**
+ * Open (and on first use create) the drafts database.
+ *
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Drafts cannot be saved in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(DRAFT_STORE, { keyPath: 'id' });
+        store.createIndex('user_id', 'user_id');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again rather than caching the failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run one request against the drafts object store.
+ *
+ * @param {IDBTransactionMode} mode     'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation Builds the request
+ * @returns {Promise<{data: any, error: object|null}>} The request's result
+ */
+async function run(mode, operation) {
+  try {
+    const database = await openDatabase();
+    const data = await new Promise((resolve, reject) => {
+      const request = operation(database.transaction(DRAFT_STORE, mode).objectStore(DRAFT_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return { data: data === undefined ? null : data, error: null };
+  } catch (err) {
+    return { data: null, error: { message: err?.message || 'Unable to access drafts' } };
+  }
+}
+
+/**
+ * Save (or replace) a draft on this device.
+ *
+ * @param {object} draft Draft to save
+ */
+export function saveLocalDraft(draft) {
+  return run('readwrite', (store) => store.put(draft));
+}
+
+/**
+ * Load a draft saved on this device.
+ *
+ * @param {string} id Draft ID
+ */
+export function getLocalDraft(id) {
+  return run('readonly', (store) => store.get(id));
+}
+
+/**
+ * List a user's drafts saved on this device.
+ *
+ * @param {string} userId Owner of the drafts
+ */
+export function listLocalDrafts(userId) {
+  return run('readonly', (store) => store.index('user_id').getAll(userId));
+}
+
+/**
+ * Delete a draft from this device.
+ *
+ * @param {string} id Draft ID
+ */
+export function removeLocalDraft(id) {
+  return run('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Make the copy of a draft saved to the backend: photo blobs are left out,
+ * along with the photos that only exist as blobs.
+ *
+ * @param {object} draft Local draft
+ * @returns {object} Draft row for the data store
+ */
+export function toRemoteDraft(draft) {
+  return {
+    ...draft,
+    photos: draft.photos
+      .filter((photo) => photo.url)
+      .map(({ name, url, thumbnail_url: thumbnailUrl }) => ({ name, url, thumbnail_url: thumbnailUrl })),
+  };
+}
+
+/**
+ * Combine the drafts found on this device with those saved to the
+ * backend.  When both have a draft the more recently updated copy wins;
+ * the local copy is preferred on a tie since it also holds unsent photos.
+ *
+ * @param {object[]} localDrafts  Drafts from listLocalDrafts()
+ * @param {object[]} remoteDrafts Drafts from the data store
+ * @returns {object[]} Drafts, most recently updated first
+ */
+export function mergeDrafts(localDrafts, remoteDrafts) {
+  const byId = new Map();
+  [...localDrafts, ...remoteDrafts].forEach((draft) => {
+    const existing = byId.get(draft.id);
+    if (!existing || new Date(draft.updated_at) > new Date(existing.updated_at)) {
+      byId.set(draft.id, draft);
+    }
+  });
+  return [...byId.values()].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+}
@@ -0,0 +1,280 @@
+/*
+ * Bulk listing import and export.
+ *
+ * Listings are exchanged as CSV or JSON with one record per listing and
+ * the columns in LISTING_FILE_COLUMNS.  `images` holds up to four photo
+ * URLs, separated by `|` in CSV or as an array in JSON, and
+ * `course_codes` lists the courses the item is for in the same way.  The
+ * textbook columns (isbn, author, edition, includes_access_code) are
+ * optional and only kept for the textbooks category.  Export produces
+ * exactly what import accepts, so a seller can export their listings, edit
+ * the file in a spreadsheet and import it again.
+ *
+ * Nothing here touches the data store: parseListingFile() turns a file
+ * into records, validateListingRecord() checks each against the listing
+ * fields and the pages decide what to save.
+ */
+
+import { parseIsbn } from './isbn.js';
+import { parseCourseCodes, MAX_COURSE_CODES } from './course-codes.js';
+import { findSchoolByName } from './schools.js';
+
+export const LISTING_FILE_COLUMNS = [
+  'title', 'description', 'price', 'category', 'school', 'program', 'images',
+  'course_codes', 'isbn', 'author', 'edition', 'includes_access_code',
+];
+
+// Categories offered by the listing form and marketplace filter, by value
+export const LISTING_CATEGORIES = {
+  textbooks: 'Textbooks',
+  electronics: 'Electronics',
+  furniture: 'Furniture',
+  clothing: 'Clothing',
+  supplies: 'Supplies',
+  other: 'Other',
+};
+
+// Largest number of listings one import may create
+export const MAX_IMPORT_ROWS = 100;
+
+const MAX_IMAGES = 4;
+const LIST_SEPARATOR = '|';
+
+/**
+ * Split CSV text into rows of fields.  Follows RFC 4180: fields may be
+ * quoted, quoted fields may contain commas, line breaks and doubled
+ * quotes, and lines may end in CRLF or LF.
+ *
+ * @param {string} text CSV text
+ * @returns {string[][]} Rows of raw field values
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no record
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or line break.
+ *
+ * @param {*} value Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read an import file into records keyed by column name, each with the
+ * number a user would use to find it in the file (the row of a CSV record,
+ * counting the header as row 1, or the position of a JSON item).
+ *
+ * @param {string} text   File contents
+ * @param {string} format 'csv' or 'json'
+ * @returns {{records: Array<{rowNumber: number, values: object}>, error: string|null}}
+ */
+export function parseListingFile(text, format) {
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      return { records: [], error: "The file isn't valid JSON." };
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.listings;
+    if (!Array.isArray(items)) {
+      return { records: [], error: 'Expected a JSON array of listings.' };
+    }
+    return {
+      records: items.map((item, index) => ({
+        rowNumber: index + 1,
+        values: item && typeof item === 'object' ? item : {},
+      })),
+      error: null,
+    };
+  }
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { records: [], error: 'The file is empty.' };
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = ['title', 'price'].filter((name) => !columns.includes(name));
+  if (missing.length) {
+    return { records: [], error: `The header row is missing the ${missing.join(' and ')} column.` };
+  }
+  return {
+    records: rows.map((row, index) => ({
+      rowNumber: index + 2,
+      values: Object.fromEntries(columns.map((name, i) => [name, row[i] ?? ''])),
+    })),
+    error: null,
+  };
+}
+
+/**
+ * Check one imported record and turn it into listing fields.  Category
+ * may be given by value or label in any case; a missing school falls back
+ * to `defaults.school`.  When `defaults.schools` holds the school
+ * directory, the school may be given by any of its names and is stored
+ * under its canonical one.
+ *
+ * @param {object} values   Record from parseListingFile()
+ * @param {object} [defaults] { school, schools }: the school for records
+ *   without one and the rows of the schools table
+ * @returns {{fields: object|null, errors: string[]}} Listing fields (title,
+ *   description, price, category, school, program, images, course codes
+ *   and the textbook fields) or the reasons the record was rejected
+ */
+export function validateListingRecord(values, defaults = {}) {
+  const errors = [];
+  const text = (name) => (values[name] === null || values[name] === undefined ? '' : String(values[name]).trim());
+
+  const title = text('title');
+  if (!title) errors.push('Title is required.');
+  else if (title.length > 120) errors.push('Title must be 120 characters or fewer.');
+
+  const description = text('description');
+  if (!description) errors.push('Description is required.');
+
+  const rawPrice = text('price').replace(/^\$/, '');
+  const price = Number(rawPrice);
+  if (!rawPrice) errors.push('Price is required.');
+  else if (!Number.isFinite(price) || price < 0) errors.push(`Price "${text('price')}" isn't a valid amount.`);
+
+  const rawCategory = text('category').toLowerCase();
+  const category = rawCategory
+    ? Object.keys(LISTING_CATEGORIES).find((key) => key === rawCategory || LISTING_CATEGORIES[key].toLowerCase() === rawCategory)
+    : 'other';
+  if (!category) {
+    errors.push(`Category "${text('category')}" isn't one of: ${Object.values(LISTING_CATEGORIES).join(', ')}.`);
+  }
+
+  let school = text('school') || (defaults.school || '').trim();
+  if (!school) {
+    errors.push('School is required.');
+  } else if (defaults.schools?.length) {
+    const known = findSchoolByName(defaults.schools, school);
+    if (known) school = known.name;
+    else errors.push(`School "${school}" isn't in the school directory.`);
+  }
+
+  const program = text('program');
+
+  const rawImages = values.images;
+  const images = (Array.isArray(rawImages) ? rawImages : text('images').split(LIST_SEPARATOR))
+    .map((url) => String(url).trim())
+    .filter(Boolean);
+  if (images.length > MAX_IMAGES) errors.push(`A listing can have up to ${MAX_IMAGES} photos.`);
+  images.forEach((url) => {
+    if (!/^https?:\/\//i.test(url)) errors.push(`Photo "${url}" must be an http(s) URL.`);
+  });
+
+  // Files exported before listings could have several courses have a
+  // single course_code column
+  const rawCodes = values.course_codes ?? values.course_code;
+  const { codes: courseCodes, invalid: invalidCodes } = parseCourseCodes(Array.isArray(rawCodes) ? rawCodes : String(rawCodes ?? ''));
+  invalidCodes.forEach((code) => errors.push(`"${code}" isn't a course code, e.g. MATH 1010.`));
+  if (courseCodes.length > MAX_COURSE_CODES) errors.push(`A listing can have up to ${MAX_COURSE_CODES} course codes.`);
+
+  const isTextbook = category === 'textbooks';
+  let isbn = null;
+  if (isTextbook && text('isbn')) {
+    const parsed = parseIsbn(text('isbn'));
+    if (parsed.error) errors.push(`ISBN "${text('isbn')}": ${parsed.error}`);
+    isbn = parsed.isbn13;
+  }
+  const rawAccessCode = values.includes_access_code;
+  const accessCode = typeof rawAccessCode === 'boolean' ? rawAccessCode : text('includes_access_code').toLowerCase();
+  const includesAccessCode = accessCode === true || ['yes', 'y', 'true', '1'].includes(accessCode);
+  if (typeof accessCode === 'string' && accessCode && !includesAccessCode && !['no', 'n', 'false', '0'].includes(accessCode)) {
+    errors.push(`Includes access code "${text('includes_access_code')}" should be yes or no.`);
+  }
+
+  if (errors.length) return { fields: null, errors };
+  return {
+    fields: {
+      title,
+      description,
+      price: Math.round(price * 100) / 100,
+      category,
+      school,
+      program: program || null,
+      images,
+      course_codes: courseCodes,
+      isbn,
+      author: (isTextbook && text('author')) || null,
+      edition: (isTextbook && text('edition')) || null,
+      includes_access_code: isTextbook && includesAccessCode,
+    },
+    errors,
+  };
+}
+
+/**
+ * Serialise listings in the import format.
+ *
+ * @param {object[]} listings Listing rows
+ * @param {string} format     'csv' or 'json'
+ * @returns {string} File contents
+ */
+export function formatListingFile(listings, format) {
+  const records = listings.map((listing) => ({
+    title: listing.title,
+    description: listing.description || '',
+    price: Number(listing.price) || 0,
+    category: listing.category || 'other',
+    school: listing.school || '',
+    program: listing.program || '',
+    images: Array.isArray(listing.images) ? listing.images : [],
+    course_codes: Array.isArray(listing.course_codes) ? listing.course_codes : [],
+    isbn: listing.isbn || '',
+    author: listing.author || '',
+    edition: listing.edition || '',
+    includes_access_code: Boolean(listing.includes_access_code),
+  }));
+  if (format === 'json') return `${JSON.stringify(records, null, 2)}\n`;
+  const lines = [LISTING_FILE_COLUMNS.join(',')];
+  records.forEach((record) => {
+    lines.push(LISTING_FILE_COLUMNS
+      .map((name) => {
+        if (name === 'images' || name === 'course_codes') return csvField(record[name].join(LIST_SEPARATOR));
+        if (name === 'includes_access_code') return record[name] ? 'yes' : 'no';
+        return csvField(record[name]);
+      })
+      .join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,68 @@
+/*
+ * Near‑duplicate listing detection.
+ *
+ * Posting the same item several times crowds out other sellers, so the
+ * listing form warns a seller whose new listing reads almost the same as
+ * one of their own active listings.  Listings are compared on the words
+ * of their title and description, folded and with stop words dropped as
+ * for search (see search.js); title words count double because a repost
+ * usually keeps the title and reworks the description.  Listings in
+ * different categories are never duplicates.  This is advice rather than
+ * a rule, so it runs in the browser only.
+ */
+
+import { parseSearchQuery } from './search.js';
+
+/**
+ * Weigh the words of a listing: 2 for a title word, 1 for a word only in
+ * the description.
+ *
+ * @param {object} listing Listing fields (title, description)
+ * @returns {Map<string, number>} Weight of each word
+ */
+function listingWords(listing) {
+  const words = new Map();
+  parseSearchQuery(listing.description).forEach((word) => words.set(word, 1));
+  parseSearchQuery(listing.title).forEach((word) => words.set(word, 2));
+  return words;
+}
+
+/**
+ * How alike two listings read, as the weighted Jaccard index of their
+ * words.
+ *
+ * @param {object} a Listing fields (title, description, category)
+ * @param {object} b Listing fields
+ * @returns {number} From 0 (nothing in common) to 1 (the same words)
+ */
+export function listingSimilarity(a, b) {
+  if ((a.category || 'other') !== (b.category || 'other')) return 0;
+  const wordsA = listingWords(a);
+  const wordsB = listingWords(b);
+  let shared = 0;
+  let total = 0;
+  new Set([...wordsA.keys(), ...wordsB.keys()]).forEach((word) => {
+    const weightA = wordsA.get(word) || 0;
+    const weightB = wordsB.get(word) || 0;
+    shared += Math.min(weightA, weightB);
+    total += Math.max(weightA, weightB);
+  });
+  return total ? shared / total : 0;
+}
+
+/**
+ * Find the listings a new or edited listing is likely a duplicate of.
+ *
+ * @param {object} listing      Listing fields being saved
+ * @param {object[]} candidates The seller's other listings
+ * @param {number} threshold    Smallest similarity that counts, 0 to 1
+ * @returns {Array<{listing: object, similarity: number}>} Likely
+ *   duplicates, most similar first
+ */
+export function findSimilarListings(listing, candidates, threshold) {
+  return candidates
+    .filter((candidate) => candidate.id !== listing.id)
+    .map((candidate) => ({ listing: candidate, similarity: listingSimilarity(listing, candidate) }))
+    .filter((match) => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+}
@@ -0,0 +1,95 @@
+/*
+ * Listing lifecycle.
+ *
+ * A listing moves through explicit states rather than a single
+ * `is_deleted` flag:
+ *
+ *   active    visible in the marketplace and open to offers
+ *   reserved  still visible, but promised to a buyer
+ *   sold      kept for the record under the seller's "Past listings"
+ *   expired   not renewed within the listing lifetime (see config.js)
+ *   deleted   removed by its owner or an admin
+ *   pending   held for an admin to review because it matched a screening
+ *             rule (see screening.js); hidden from everyone but its owner
+ *             and the admins
+ *   rejected  turned down by an admin after review, and hidden likewise
+ *
+ * Expiry is driven by the `expires_at` column: an active or reserved
+ * listing whose expiry time has passed is treated as expired straight away,
+ * even before the scheduled job described in the README has updated its
+ * stored status.  Shared by both data stores and the pages so every part of
+ * the app agrees on what a listing's status is.
+ */
+
+export const LISTING_STATUS_LABELS = {
+  active: 'Active',
+  reserved: 'Reserved',
+  sold: 'Sold',
+  expired: 'Expired',
+  deleted: 'Deleted',
+  pending: 'Pending review',
+  rejected: 'Rejected',
+};
+
+// Statuses of listings held back by screening, which only their owner and
+// the admins can see
+export const REVIEW_STATUSES = ['pending', 'rejected'];
+
+/**
+ * Marketplace visibility options: which stored statuses a search returns.
+ * `available` is the default; expired and deleted listings are never
+ * shown in the marketplace.
+ */
+export const MARKETPLACE_VISIBILITY = {
+  available: ['active', 'reserved'],
+  active: ['active'],
+  all: ['active', 'reserved', 'sold'],
+};
+
+/**
+ * Resolve a marketplace visibility option to the statuses it includes.
+ * Unknown values fall back to `available`.
+ *
+ * @param {string} visibility A key of MARKETPLACE_VISIBILITY
+ * @returns {string[]} Listing statuses to include
+ */
+export function visibleStatuses(visibility) {
+  return MARKETPLACE_VISIBILITY[visibility] || MARKETPLACE_VISIBILITY.available;
+}
+
+/**
+ * Whether a status is still subject to expiry.
+ *
+ * @param {string} status Stored listing status
+ * @returns {boolean} True for active and reserved listings
+ */
+export function expires(status) {
+  return status === 'active' || status === 'reserved';
+}
+
+/**
+ * Work out the effective status of a listing, taking its expiry time into
+ * account.
+ *
+ * @param {object} listing Listing row
+ * @param {Date} [now]     Reference time
+ * @returns {string} A key of LISTING_STATUS_LABELS
+ */
+export function listingStatus(listing, now = new Date()) {
+  const status = listing.status || 'active';
+  if (expires(status) && listing.expires_at && new Date(listing.expires_at) <= now) {
+    return 'expired';
+  }
+  return status;
+}
+
+/**
+ * Compute the expiry time of a listing posted or renewed now.
+ *
+ * @param {number} days Listing lifetime in days
+ * @param {Date} [from] Start of the lifetime
+ * @returns {string} ISO 8601 timestamp
+ */
+export function listingExpiryDate(days, from = new Date()) {
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
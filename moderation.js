@@ -0,0 +1,127 @@
+/*
+ * Moderation vocabulary.
+ *
+ * Students report a listing under one of REPORT_CATEGORIES, optionally
+ * with details.  Reports are never deleted: an admin closes them as
+ * `actioned` (the listing was removed) or `dismissed` (nothing wrong), so
+ * the history of every listing stays visible.  Admins can also suspend a
+ * user until a date or ban them (`users.blocked`), with a reason; while
+ * restricted a user can't post listings, message, make offers, rate or
+ * report, and may appeal.  Listings held back by a screening rule (see
+ * screening.js) are approved or rejected from the review queue.  Everything an admin does is written to the
+ * append‑only audit log as one of AUDIT_ACTIONS, naming the admin, the
+ * time and the row acted on; the data stores write the entries themselves
+ * (triggers in Postgres), so nothing an admin does goes unlogged.  Shared
+ * by the report form, the admin page and both data stores.
+ */
+
+// Why a listing was reported, by value
+export const REPORT_CATEGORIES = {
+  scam: 'Scam or fraud',
+  prohibited: 'Prohibited item',
+  duplicate: 'Duplicate listing',
+  offensive: 'Offensive content',
+};
+
+// Where a report is in the moderation queue, by value
+export const REPORT_STATUSES = {
+  open: 'Open',
+  actioned: 'Actioned',
+  dismissed: 'Dismissed',
+};
+
+// What an audit log entry records, by value
+export const AUDIT_ACTIONS = {
+  'listing.remove': 'Removed listing',
+  'report.action': 'Actioned reports',
+  'report.dismiss': 'Dismissed reports',
+  'report.reopen': 'Reopened reports',
+  'listing.approve': 'Approved held listing',
+  'listing.reject': 'Rejected held listing',
+  'rule.create': 'Added screening rule',
+  'rule.update': 'Edited screening rule',
+  'rule.delete': 'Deleted screening rule',
+  'user.suspend': 'Suspended user',
+  'user.ban': 'Banned user',
+  'user.unblock': 'Lifted suspension or ban',
+  'appeal.uphold': 'Upheld restriction on appeal',
+  'appeal.overturn': 'Lifted restriction on appeal',
+  'school.create': 'Added school',
+  'school.update': 'Edited school',
+};
+
+// Where an appeal against a suspension or ban stands, by value
+export const APPEAL_STATUSES = {
+  open: 'Waiting for review',
+  upheld: 'Restriction upheld',
+  overturned: 'Restriction lifted',
+};
+
+/**
+ * Label a report category, keeping reports filed before categories
+ * existed readable.
+ *
+ * @param {string|null} category Value from REPORT_CATEGORIES
+ * @returns {string} Label, e.g. "Prohibited item"
+ */
+export function reportCategoryLabel(category) {
+  return REPORT_CATEGORIES[category] || 'Other';
+}
+
+/**
+ * Whether an audit log entry matches the admin page filters.  The memory
+ * store filters with this; the Supabase store builds the same conditions
+ * into its query.
+ *
+ * @param {object} entry   Row from the audit log
+ * @param {object} filters { action, adminId, from, to, text }; `from` and
+ *   `to` are ISO dates (YYYY-MM-DD) and include the whole day, and `text`
+ *   is looked for in the admin's name and the target's label
+ * @returns {boolean} Whether the entry should be shown
+ */
+export function auditEntryMatches(entry, { action = '', adminId = '', from = '', to = '', text = '' } = {}) {
+  if (action && entry.action !== action) return false;
+  if (adminId && entry.admin_id !== adminId) return false;
+  const day = (entry.created_at || '').slice(0, 10);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  const needle = text.trim().toLowerCase();
+  if (needle && ![entry.admin_name, entry.target_label].some((value) => (value || '').toLowerCase().includes(needle))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Whether an admin has restricted a user, and how.  A suspension ends by
+ * itself once `suspended_until` has passed; a ban lasts until an admin
+ * lifts it.
+ *
+ * @param {object|null} user Row from the users table
+ * @param {Date} [now]      Current time
+ * @returns {{kind: string, until: string|null, reason: string|null}|null}
+ *   'banned' or 'suspended', when the suspension ends and the admin's
+ *   reason, or null when the user isn't restricted
+ */
+export function accountRestriction(user, now = new Date()) {
+  if (!user) return null;
+  const reason = user.suspension_reason || null;
+  if (user.blocked) return { kind: 'banned', until: null, reason };
+  if (user.suspended_until && new Date(user.suspended_until) > now) {
+    return { kind: 'suspended', until: user.suspended_until, reason };
+  }
+  return null;
+}
+
+/**
+ * Describe a restriction to the user it applies to.
+ *
+ * @param {object} restriction Result of accountRestriction()
+ * @returns {string} e.g. "Your account is suspended until 3/14/2026: spam."
+ */
+export function describeRestriction(restriction) {
+  const what = restriction.kind === 'banned'
+    ? 'Your account has been banned'
+    : `Your account is suspended until ${new Date(restriction.until).toLocaleString()}`;
+  return restriction.reason ? `${what}: ${restriction.reason}` : `${what}.`;
+}
@@ -0,0 +1,100 @@
+/*
+ * Per‑account rate limits.
+ *
+ * Each account may create at most `max` rows of each of
+ * RATE_LIMITED_ACTIONS (new listings, messages and reports) in a rolling
+ * window of `windowMinutes`, as set in `config.rateLimits`.  The
+ * `enforce_rate_limit` trigger described in the README refuses anything
+ * over the limit, and the memory store does the same, with an error whose
+ * message starts with RATE_LIMIT_ERROR so the pages can explain it.
+ * Admins see which accounts are at or close to a limit through
+ * rateLimitUsage().
+ */
+
+// What is limited, by table name
+export const RATE_LIMITED_ACTIONS = {
+  listings: 'New listings',
+  messages: 'Messages',
+  reports: 'Reports',
+};
+
+// Start of the message of every rate limit error, from either store
+export const RATE_LIMIT_ERROR = 'Rate limit reached';
+
+/**
+ * The error message for a refused write, word for word what the trigger
+ * in the README raises.
+ *
+ * @param {string} action Key of RATE_LIMITED_ACTIONS
+ * @param {object} limit  { max, windowMinutes }
+ * @returns {string} e.g. "Rate limit reached: at most 10 listings per 60 minutes"
+ */
+export function rateLimitMessage(action, limit) {
+  return `${RATE_LIMIT_ERROR}: at most ${limit.max} ${action} per ${limit.windowMinutes} minutes`;
+}
+
+/**
+ * Whether a store error is a rate limit refusal.
+ *
+ * @param {object|null} error Error from a store call
+ * @returns {boolean} Whether the write was over a limit
+ */
+export function isRateLimitError(error) {
+  return Boolean(error?.message?.startsWith(RATE_LIMIT_ERROR));
+}
+
+/**
+ * Describe a limit for people, e.g. "10 an hour" or "60 every 15 minutes".
+ *
+ * @param {object} limit { max, windowMinutes }
+ * @returns {string} Description
+ */
+export function describeRateLimit({ max, windowMinutes }) {
+  let per;
+  if (windowMinutes === 1440) per = 'a day';
+  else if (windowMinutes === 60) per = 'an hour';
+  else if (windowMinutes % 1440 === 0) per = `every ${windowMinutes / 1440} days`;
+  else if (windowMinutes % 60 === 0) per = `every ${windowMinutes / 60} hours`;
+  else per = `every ${windowMinutes} minutes`;
+  return `${max} ${per}`;
+}
+
+/**
+ * Work out how much of each limit each account has used, for the admin
+ * page.  The memory store calls this; the Supabase store gets the same
+ * rows from the rate_limit_usage() function in the README.
+ *
+ * @param {Array<{action: string, user_id: string, created_at: string}>} activity
+ *   Rows created by each account, by action
+ * @param {object} limits   config.rateLimits
+ * @param {object} [options]
+ * @param {number} [options.minShare] Smallest share of a limit worth
+ *   showing, from 0 to 1 (1 means only accounts at the limit)
+ * @param {Date} [options.now]        Current time
+ * @returns {Array<{user_id: string, action: string, used: number,
+ *   max_count: number, window_minutes: number, last_at: string}>} Usage,
+ *   the most used share of a limit first
+ */
+export function rateLimitUsage(activity, limits, { minShare = 0.5, now = new Date() } = {}) {
+  const usage = new Map();
+  activity.forEach(({ action, user_id: userId, created_at: createdAt }) => {
+    const limit = limits[action];
+    if (!limit || !userId) return;
+    if (new Date(createdAt) <= new Date(now.getTime() - limit.windowMinutes * 60 * 1000)) return;
+    const key = `${action}:${userId}`;
+    const entry = usage.get(key) || {
+      user_id: userId,
+      action,
+      used: 0,
+      max_count: limit.max,
+      window_minutes: limit.windowMinutes,
+      last_at: createdAt,
+    };
+    entry.used++;
+    if (createdAt > entry.last_at) entry.last_at = createdAt;
+    usage.set(key, entry);
+  });
+  return [...usage.values()]
+    .filter((entry) => entry.used >= entry.max_count * minShare)
+    .sort((a, b) => b.used / b.max_count - a.used / a.max_count || b.last_at.localeCompare(a.last_at));
+}
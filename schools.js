@@ -0,0 +1,115 @@
+/*
+ * School directory helpers.
+ *
+ * Schools are rows of the `schools` table: a canonical `name`, the
+ * `aliases` students also use for it ("UofT", "U of T") and the
+ * `email_domains` its students have addresses at.  Listings and profiles
+ * store the canonical name only, so "UBC", "U of British Columbia" and
+ * "ubc" are all the same school.  A domain also covers its subdomains
+ * (utoronto.ca admits mail.utoronto.ca), which is how sign‑up tells which
+ * school a student email belongs to.  Shared by the sign‑up, profile,
+ * listing and marketplace pages, the admin school tools and both data
+ * stores.
+ */
+
+import { normalizeText } from './search.js';
+
+/**
+ * Take the domain part of an email address.
+ *
+ * @param {string|null} email Email address
+ * @returns {string|null} Lower‑case domain, or null when the address has
+ *   no single @
+ */
+export function emailDomain(email) {
+  const parts = (email || '').trim().split('@');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+  return parts[1].toLowerCase();
+}
+
+/**
+ * Whether an email domain is one of a school's domains or a subdomain of
+ * one.
+ *
+ * @param {string} domain  Domain from emailDomain()
+ * @param {object} school  Row from the schools table
+ * @returns {boolean} Whether the school admits the domain
+ */
+function schoolAdmitsDomain(domain, school) {
+  return (school.email_domains || []).some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+}
+
+/**
+ * Find the school a student email address belongs to.
+ *
+ * @param {object[]} schools Rows from the schools table
+ * @param {string|null} email Email address
+ * @returns {object|null} The school, or null when no school admits the
+ *   address's domain
+ */
+export function findSchoolByEmail(schools, email) {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+  return schools.find((school) => schoolAdmitsDomain(domain, school)) || null;
+}
+
+/**
+ * Find a school by its name or one of its aliases, ignoring case, accents
+ * and extra spaces.
+ *
+ * @param {object[]} schools Rows from the schools table
+ * @param {string|null} text School name as typed or stored
+ * @returns {object|null} The school, or null when nothing matches
+ */
+export function findSchoolByName(schools, text) {
+  const wanted = foldName(text);
+  if (!wanted) return null;
+  return schools.find((school) => [school.name, ...(school.aliases || [])].some((name) => foldName(name) === wanted)) || null;
+}
+
+/**
+ * Fold a school name for comparison.
+ *
+ * @param {string|null} name School name
+ * @returns {string} Accent‑free lower‑case name with single spaces
+ */
+function foldName(name) {
+  return normalizeText(name).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check a school entered by an admin and tidy its fields.  Aliases and
+ * domains may be given as arrays or as comma‑separated text; domains may
+ * be written as addresses ("@ubc.ca").
+ *
+ * @param {object} values   { name, aliases, email_domains }
+ * @param {object[]} schools Existing schools, to catch duplicates
+ * @param {string|null} [id] ID of the school being edited, if any
+ * @returns {{fields: object|null, errors: string[]}} The school's fields
+ *   or what is wrong with them
+ */
+export function validateSchool(values, schools, id = null) {
+  const errors = [];
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+  const name = String(values.name || '').replace(/\s+/g, ' ').trim();
+  if (!name) errors.push('Name is required.');
+  const aliases = [...new Set(list(values.aliases))].filter((alias) => foldName(alias) !== foldName(name));
+  const domains = [...new Set(list(values.email_domains).map((domain) => domain.toLowerCase().replace(/^.*@/, '')))];
+  if (domains.length === 0) errors.push('Add at least one email domain.');
+  domains.forEach((domain) => {
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) errors.push(`"${domain}" isn't a domain, e.g. ubc.ca.`);
+  });
+  const others = schools.filter((school) => school.id !== id);
+  [name, ...aliases].forEach((text) => {
+    const clash = findSchoolByName(others, text);
+    if (clash) errors.push(`"${text}" is already used by ${clash.name}.`);
+  });
+  domains.forEach((domain) => {
+    const clash = others.find((school) => (school.email_domains || []).includes(domain));
+    if (clash) errors.push(`${domain} already belongs to ${clash.name}.`);
+  });
+  if (errors.length) return { fields: null, errors };
+  return { fields: { name, aliases, email_domains: domains }, errors };
+}
@@ -0,0 +1,134 @@
+/*
+ * Listing screening rules.
+ *
+ * Admins keep a list of rules in the `screening_rules` table, each one of
+ * SCREENING_RULE_TYPES: a keyword or phrase, a regular expression, or a
+ * price below or above an amount.  A rule may be limited to one listing
+ * category.  Keywords and regular expressions are matched, ignoring case,
+ * against a listing's title and description; a keyword must appear as
+ * whole words, so "rx" doesn't catch "Xbox Series X".
+ *
+ * A listing matching any enabled rule when it is created, or when its
+ * owner edits it, is saved as `pending` instead of going live, with the
+ * rules it matched in `screening_matches`.  Pending listings are hidden
+ * from the marketplace until an admin approves them (back to `active`) or
+ * rejects them (`rejected`).  The memory store applies screenListing()
+ * itself; in Postgres the `screen_listing` trigger described in the README
+ * does the same, so the check can't be skipped by calling the API directly.
+ * Regular expressions should stick to syntax JavaScript and Postgres share.
+ */
+
+import { LISTING_CATEGORIES } from './listing-import.js';
+
+// Kinds of screening rule, by value
+export const SCREENING_RULE_TYPES = {
+  keyword: 'Keyword or phrase',
+  regex: 'Regular expression',
+  price_below: 'Price below',
+  price_above: 'Price above',
+};
+
+/**
+ * Whether one rule matches a listing.  Disabled rules and regular
+ * expressions that don't compile never match.
+ *
+ * @param {object} rule    Row from the screening_rules table
+ * @param {object} listing Listing fields (title, description, price,
+ *   category)
+ * @returns {boolean} Whether the listing should be held for review
+ */
+export function ruleMatches(rule, listing) {
+  if (!rule.enabled) return false;
+  if (rule.category && rule.category !== listing.category) return false;
+  const text = `${listing.title || ''}\n${listing.description || ''}`;
+  const price = Number(listing.price);
+  switch (rule.type) {
+    case 'keyword': {
+      const phrase = (rule.pattern || '').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return phrase !== '' && new RegExp(`(^|[^\\p{L}\\p{N}])${phrase}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+    }
+    case 'regex':
+      try {
+        return new RegExp(rule.pattern, 'i').test(text);
+      } catch (err) {
+        return false;
+      }
+    case 'price_below':
+      return Number.isFinite(price) && price < Number(rule.amount);
+    case 'price_above':
+      return Number.isFinite(price) && price > Number(rule.amount);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a listing against every rule.
+ *
+ * @param {object} listing Listing fields
+ * @param {object[]} rules Rows from the screening_rules table
+ * @returns {Array<{rule_id: string, description: string}>} The rules the
+ *   listing matched, as stored in `listings.screening_matches`; empty
+ *   when it can go live
+ */
+export function screenListing(listing, rules) {
+  return rules
+    .filter((rule) => ruleMatches(rule, listing))
+    .map((rule) => ({ rule_id: rule.id, description: describeRule(rule) }));
+}
+
+/**
+ * Describe a rule for the admin page, e.g. `Keyword "exam answers"` or
+ * "Price below $5 in Electronics".
+ *
+ * @param {object} rule Row from the screening_rules table
+ * @returns {string} Description
+ */
+export function describeRule(rule) {
+  let what;
+  if (rule.type === 'keyword') what = `Keyword "${rule.pattern}"`;
+  else if (rule.type === 'regex') what = `Pattern /${rule.pattern}/`;
+  else what = `${SCREENING_RULE_TYPES[rule.type] || rule.type} $${Number(rule.amount).toFixed(2)}`;
+  return rule.category ? `${what} in ${LISTING_CATEGORIES[rule.category] || rule.category}` : what;
+}
+
+/**
+ * Check a rule entered by an admin and tidy its fields.
+ *
+ * @param {object} values { type, pattern, amount, category, note, enabled }
+ * @returns {{fields: object|null, errors: string[]}} The rule's fields or
+ *   what is wrong with them
+ */
+export function validateScreeningRule(values) {
+  const errors = [];
+  const type = values.type;
+  if (!SCREENING_RULE_TYPES[type]) errors.push('Choose what kind of rule this is.');
+  const isPrice = type === 'price_below' || type === 'price_above';
+  const pattern = isPrice ? null : String(values.pattern || '').trim();
+  if (!isPrice && !pattern) errors.push(type === 'regex' ? 'Enter a regular expression.' : 'Enter a keyword or phrase.');
+  if (type === 'regex' && pattern) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (err) {
+      errors.push(`"${pattern}" isn't a valid regular expression.`);
+    }
+  }
+  const amount = isPrice ? Number(String(values.amount ?? '').replace(/^\$/, '')) : null;
+  if (isPrice && (String(values.amount ?? '').trim() === '' || !Number.isFinite(amount) || amount < 0)) {
+    errors.push('Enter a price of 0 or more.');
+  }
+  const category = values.category || null;
+  if (category && !LISTING_CATEGORIES[category]) errors.push(`"${category}" isn't a listing category.`);
+  if (errors.length) return { fields: null, errors };
+  return {
+    fields: {
+      type,
+      pattern,
+      amount: isPrice ? Math.round(amount * 100) / 100 : null,
+      category,
+      note: String(values.note || '').trim() || null,
+      enabled: values.enabled !== false,
+    },
+    errors,
+  };
+}
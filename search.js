@@ -0,0 +1,204 @@
+/*
+ * Full‑text search helpers.
+ *
+ * Shared by both data stores and the marketplace page so that a query is
+ * interpreted the same way everywhere: text is folded to lower case with
+ * accents removed (so "genie logiciel" finds "Génie logiciel"), split into
+ * word tokens, and common English/French stop words are dropped.  Every
+ * remaining token must match the start of a word somewhere in the listing
+ * (prefix matching, like `calc:*` in Postgres).  The Supabase store turns
+ * the tokens into a tsquery for the `search_listings` function described in
+ * the README; the memory store ranks listings with rankListing() below.
+ */
+
+import { listingStatus } from './listing-status.js';
+import { isbnFromQuery } from './isbn.js';
+import { normalizeCourseCode } from './course-codes.js';
+
+// Words too common to be useful in a query.  Kept deliberately short: the
+// goal is only to stop "the" or "de" from excluding otherwise good matches.
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+  'au', 'aux', 'd', 'de', 'des', 'du', 'et', 'l', 'la', 'le', 'les', 'pour', 'un', 'une',
+]);
+
+// Relative importance of each listing field when ranking, mirroring the
+// A/B/C weights of the Postgres search_vector column.
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 1.0,
+  category: 0.4,
+  school: 0.4,
+  program: 0.4,
+  description: 0.2,
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Fold text for comparison: decompose accented characters, strip the
+ * combining marks and lower‑case the result.
+ *
+ * @param {string|null} text Text to normalise
+ * @returns {string} Accent‑free lower‑case text
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalised word tokens.
+ *
+ * @param {string|null} text Text to tokenise
+ * @returns {string[]} Tokens in order of appearance
+ */
+export function tokenize(text) {
+  return normalizeText(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Turn a free‑form search string into the list of tokens every match must
+ * contain.  Stop words and duplicates are removed, except that a query
+ * consisting only of stop words keeps them so it still searches for
+ * something.
+ *
+ * @param {string|null} query User‑entered search text
+ * @returns {string[]} Distinct query tokens
+ */
+export function parseSearchQuery(query) {
+  const tokens = [...new Set(tokenize(query))];
+  const meaningful = tokens.filter((t) => !STOP_WORDS.has(t));
+  return meaningful.length ? meaningful : tokens;
+}
+
+/**
+ * Build a Postgres tsquery string (for the 'simple' configuration) from
+ * query tokens.  Tokens only ever contain letters and digits, so no
+ * escaping is required.
+ *
+ * @param {string[]} tokens Tokens from parseSearchQuery()
+ * @returns {string} e.g. `calcul:* & stewart:*`
+ */
+export function toTsQuery(tokens) {
+  return tokens.map((t) => `${t}:*`).join(' & ');
+}
+
+/**
+ * Score a listing against query tokens.  Each token contributes the weight
+ * of the best field it prefixes a word in, with a small bonus for
+ * repeated occurrences and for whole‑word (rather than prefix) matches.
+ * A listing missing any token scores 0 and should be excluded.
+ *
+ * @param {object} listing  Listing row
+ * @param {string[]} tokens Tokens from parseSearchQuery()
+ * @returns {number} Relevance score; higher is better
+ */
+export function rankListing(listing, tokens) {
+  if (!tokens.length) return 0;
+  const fieldTokens = Object.keys(SEARCH_FIELD_WEIGHTS).map((field) => [
+    SEARCH_FIELD_WEIGHTS[field],
+    tokenize(listing[field]),
+  ]);
+  let score = 0;
+  for (const token of tokens) {
+    let best = 0;
+    for (const [weight, words] of fieldTokens) {
+      let hits = 0;
+      let exact = false;
+      for (const word of words) {
+        if (word.startsWith(token)) {
+          hits += 1;
+          if (word === token) exact = true;
+        }
+      }
+      if (hits) {
+        const fieldScore = weight * (1 + Math.log(hits)) * (exact ? 1.2 : 1);
+        best = Math.max(best, fieldScore);
+      }
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+/**
+ * Locate the words in `text` that match any query token, for highlighting.
+ * Positions refer to the original (accented, mixed‑case) text.
+ *
+ * @param {string|null} text  Text to scan
+ * @param {string[]} tokens   Tokens from parseSearchQuery()
+ * @returns {Array<[number, number]>} [start, end) offsets of matching words
+ */
+export function findMatchRanges(text, tokens) {
+  const ranges = [];
+  if (!text || !tokens.length) return ranges;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = normalizeText(match[0]);
+    if (tokens.some((t) => word.startsWith(t))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Extract a short excerpt of `text` centred on the first matching word so
+ * that description‑only matches can be shown on a listing card.
+ *
+ * @param {string|null} text  Text to excerpt
+ * @param {string[]} tokens   Tokens from parseSearchQuery()
+ * @param {number} [length]   Approximate excerpt length in characters
+ * @returns {string} The excerpt, with ellipses where text was cut, or ''
+ *   when nothing matches
+ */
+export function makeSnippet(text, tokens, length = 100) {
+  const [first] = findMatchRanges(text, tokens);
+  if (!first) return '';
+  let start = Math.max(0, first[0] - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  // Avoid cutting words in half at either end
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first[0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first[1]) end = space;
+  }
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Decide whether a single listing satisfies a set of marketplace filters.
+ * Used to evaluate saved searches against newly posted listings as they
+ * arrive over realtime, so it applies the same rules as a marketplace
+ * query: exact category and school (the canonical name, compared without
+ * regard to case or accents), substring match on program, the course code
+ * among the listing's codes, every keyword matching (or the ISBN, when the
+ * search is one), and an inclusive price range.  Only active listings
+ * match.
+ *
+ * @param {object} listing  Listing row
+ * @param {object} criteria Filters: searchTerm, category, school, program,
+ *   courseCode, minPrice, maxPrice (empty values are ignored)
+ * @returns {boolean} Whether the listing matches
+ */
+export function listingMatchesCriteria(listing, criteria = {}) {
+  if (!listing || listingStatus(listing) !== 'active') return false;
+  const { searchTerm, category, school, program, courseCode, minPrice, maxPrice } = criteria;
+  if (category && listing.category !== category) return false;
+  if (school && normalizeText(listing.school) !== normalizeText(school)) return false;
+  if (program && !normalizeText(listing.program).includes(normalizeText(program))) return false;
+  if (courseCode && !(listing.course_codes || []).includes(normalizeCourseCode(courseCode))) return false;
+  const isbn = isbnFromQuery(searchTerm);
+  if (isbn && listing.isbn !== isbn) return false;
+  const tokens = isbn ? [] : parseSearchQuery(searchTerm);
+  if (tokens.length && rankListing(listing, tokens) === 0) return false;
+  const price = Number(listing.price) || 0;
+  if (minPrice !== null && minPrice !== undefined && minPrice !== '' && price < Number(minPrice)) return false;
+  if (maxPrice !== null && maxPrice !== undefined && maxPrice !== '' && price > Number(maxPrice)) return false;
+  return true;
+}